@@ -0,0 +1,276 @@
+/**
+ * LandlordPolicy - AI 房東決策策略
+ * 職責：
+ * 1. 定義策略介面：由唯讀狀態視圖與合法操作清單選出下一個操作
+ * 2. 提供參考策略（隨機、資源貪婪、謹慎篩選感染）
+ * 3. 以名稱建立策略，供無介面模擬、自動遊玩展示與回歸測試共用
+ *
+ * 設計模式：策略模式 + 簡單工廠（createPolicy）
+ * 核心特性：策略不直接修改遊戲狀態，只回傳 PolicyAgent 列舉的合法操作
+ */
+
+/**
+ * 策略基底類別
+ *
+ * 子類別實作 chooseAction(view, legalActions, context)：
+ * - view：PolicyAgent.createStateView() 產生的深凍結狀態視圖
+ * - legalActions：合法操作陣列 {type, args, label, meta}
+ * - context：{ random() 策略專用隨機數, day }
+ * 回傳值必須是 legalActions 其中之一（或 type/args 相同的物件）
+ */
+export class LandlordPolicy {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = options;
+  }
+
+  chooseAction(view, legalActions, context) {
+    throw new Error(`策略 ${this.name} 未實作 chooseAction`);
+  }
+
+  /**
+   * 取得指定類型的合法操作
+   */
+  actionsOfType(legalActions, type) {
+    return legalActions.filter((action) => action.type === type);
+  }
+
+  /**
+   * 取得下一天操作（永遠合法，事件待決時除外）
+   */
+  nextDay(legalActions) {
+    return legalActions.find((action) => action.type === "nextDay");
+  }
+
+  /**
+   * 依評分選出最佳操作，分數相同時保留清單順序
+   * @param {Function} scoreFn - (action) => 分數，回傳 null 表示不考慮
+   */
+  pickBest(legalActions, scoreFn) {
+    let best = null;
+    let bestScore = -Infinity;
+
+    legalActions.forEach((action) => {
+      const score = scoreFn(action);
+      if (score !== null && score > bestScore) {
+        best = action;
+        bestScore = score;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * 計算效果列表的資源淨變化（只計頂層 modifyResource）
+   */
+  resourceDelta(effects = [], weights = {}) {
+    return effects
+      .filter((effect) => effect.type === "modifyResource")
+      .reduce(
+        (sum, effect) => sum + effect.amount * (weights[effect.resource] ?? 1),
+        0
+      );
+  }
+
+  /**
+   * 計算成本總量
+   */
+  costTotal(cost = {}, weights = {}) {
+    return Object.entries(cost).reduce(
+      (sum, [resource, amount]) => sum + amount * (weights[resource] ?? 1),
+      0
+    );
+  }
+}
+
+/**
+ * 隨機策略：在非「下一天」的操作中隨機挑選，依機率結束當天
+ */
+export class RandomPolicy extends LandlordPolicy {
+  constructor(options = {}) {
+    super("random", { endDayChance: 0.25, ...options });
+  }
+
+  chooseAction(view, legalActions, context) {
+    const candidates = legalActions.filter(
+      (action) => action.type !== "nextDay"
+    );
+
+    if (
+      candidates.length === 0 ||
+      (this.nextDay(legalActions) &&
+        context.random() < this.options.endDayChance)
+    ) {
+      return this.nextDay(legalActions) || legalActions[0];
+    }
+
+    return candidates[Math.floor(context.random() * candidates.length)];
+  }
+}
+
+/**
+ * 資源貪婪策略：每一步選擇立即資源收益最高的操作，不考慮感染風險
+ */
+export class GreedyResourcePolicy extends LandlordPolicy {
+  constructor(options = {}) {
+    super("greedy-resource", {
+      // 現金價值較低，避免為了金錢犧牲生存物資
+      resourceWeights: { cash: 0.5 },
+      harvestValue: 6,
+      scavengeValue: 10,
+      visitorValue: 1,
+      ...options,
+    });
+  }
+
+  chooseAction(view, legalActions) {
+    const weights = this.options.resourceWeights;
+
+    const scores = {
+      eventChoice: (action) =>
+        this.resourceDelta(action.meta.choice.effects, weights),
+      collectRent: (action) => action.meta.expectedRent * (weights.cash ?? 1),
+      harvestYard: () => this.options.harvestValue,
+      scavenge: (action) =>
+        (action.meta.successRate / 100) * this.options.scavengeValue,
+      generateApplicants: () => this.options.visitorValue,
+      hireTenant: (action) => action.meta.applicant.rent,
+      useSkill: (action) => {
+        const gain = this.resourceDelta(action.meta.skill.effects, weights);
+        const cost = this.costTotal(action.meta.skill.cost, weights);
+        return gain - cost > 0 ? gain - cost : null;
+      },
+      nextDay: () => 0,
+    };
+
+    return (
+      this.pickBest(legalActions, (action) => scores[action.type](action)) ||
+      legalActions[0]
+    );
+  }
+}
+
+/**
+ * 謹慎策略：篩選疑似感染的申請者、優先治療感染者、保留醫療與食物存量
+ */
+export class CautiousScreeningPolicy extends LandlordPolicy {
+  constructor(options = {}) {
+    super("cautious-infection-screening", {
+      healSkillIds: ["heal_infection", "health_check"],
+      preferredTypes: ["doctor", "farmer"],
+      minScavengeSuccessRate: 60,
+      minMedicalForScavenge: 2,
+      ...options,
+    });
+  }
+
+  chooseAction(view, legalActions) {
+    const eventActions = this.actionsOfType(legalActions, "eventChoice");
+    if (view.pendingEvent) {
+      return this.chooseEventOption(eventActions);
+    }
+
+    const hasInfected = view.tenants.some((tenant) => tenant.infected);
+    const priorities = [
+      // 1. 有感染者時優先治療
+      () =>
+        hasInfected &&
+        this.actionsOfType(legalActions, "useSkill").find((action) =>
+          this.options.healSkillIds.includes(action.meta.skill.id)
+        ),
+      // 2. 持續型危機：每天執行不需冒險的逐日行動
+      () =>
+        this.chooseEventOption(
+          eventActions.filter((action) => action.meta.choice.partial)
+        ),
+      // 3. 穩定收入
+      () => this.actionsOfType(legalActions, "collectRent")[0],
+      () => this.actionsOfType(legalActions, "harvestYard")[0],
+      // 4. 有空房才查看訪客，並只雇用通過篩選的申請者
+      () => this.actionsOfType(legalActions, "generateApplicants")[0],
+      () => this.chooseApplicant(view, legalActions),
+      // 5. 醫療存量足夠時才派遣高成功率的租客搜刮
+      () =>
+        view.state.resources.medical >= this.options.minMedicalForScavenge &&
+        this.pickBest(this.actionsOfType(legalActions, "scavenge"), (action) =>
+          action.meta.successRate >= this.options.minScavengeSuccessRate
+            ? action.meta.successRate
+            : null
+        ),
+    ];
+
+    for (const choose of priorities) {
+      const action = choose();
+      if (action) return action;
+    }
+
+    return this.nextDay(legalActions);
+  }
+
+  /**
+   * 篩選申請者：排除已知或外觀疑似感染者，偏好指定類型與高租金
+   */
+  chooseApplicant(view, legalActions) {
+    const suspicious = new Set(view.knowledge.infectedAppearances);
+
+    return this.pickBest(
+      this.actionsOfType(legalActions, "hireTenant"),
+      (action) => {
+        const applicant = action.meta.applicant;
+        if (applicant.infected || suspicious.has(applicant.appearance)) {
+          return null;
+        }
+
+        const preferred = this.options.preferredTypes.includes(
+          applicant.typeId || applicant.type
+        );
+        return (preferred ? 100 : 0) + applicant.rent;
+      }
+    );
+  }
+
+  /**
+   * 事件選擇：避開需要賭機率的選項，其次選擇資源損失最小者
+   */
+  chooseEventOption(eventActions) {
+    return this.pickBest(eventActions, (action) => {
+      const effects = action.meta.choice.effects || [];
+      const risky = effects.some(
+        (effect) => effect.type === "probabilityCheck"
+      );
+      return (risky ? -1000 : 0) + this.resourceDelta(effects);
+    });
+  }
+}
+
+/**
+ * 參考策略登錄表：名稱 → 策略類別
+ */
+const POLICY_REGISTRY = Object.freeze({
+  random: RandomPolicy,
+  "greedy-resource": GreedyResourcePolicy,
+  "cautious-infection-screening": CautiousScreeningPolicy,
+});
+
+/**
+ * 取得所有參考策略名稱
+ */
+export function getPolicyNames() {
+  return Object.keys(POLICY_REGISTRY);
+}
+
+/**
+ * 依名稱建立參考策略
+ * @param {string} name - 策略名稱（見 getPolicyNames）
+ * @param {Object} options - 策略參數（覆寫預設值）
+ */
+export function createPolicy(name, options = {}) {
+  const PolicyClass = POLICY_REGISTRY[name];
+  if (!PolicyClass) {
+    throw new Error(
+      `未知的策略: ${name}（可用：${getPolicyNames().join(", ")}）`
+    );
+  }
+  return new PolicyClass(options);
+}
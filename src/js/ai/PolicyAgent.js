@@ -0,0 +1,346 @@
+/**
+ * PolicyAgent - AI 房東策略執行器
+ * 職責：
+ * 1. 列舉目前狀態下所有合法的玩家操作（收租、訪客、雇用、採集、搜刮、技能、事件選擇、危機行動、下一天）
+ * 2. 提供策略唯讀的遊戲狀態視圖，避免策略直接修改遊戲狀態
+ * 3. 驗證策略回傳的操作並透過 Game.performAction 執行
+ *
+ * 設計模式：策略模式（LandlordPolicy 可替換）+ 命令模式（操作即 ActionLog 指令）
+ * 核心特性：合法操作白名單、唯讀深凍結視圖、獨立的策略隨機數序列、每日操作上限
+ */
+
+import { RandomService } from "../core/RandomService.js";
+
+/** 策略隨機數種子的擾動值，讓策略序列與遊戲序列互不干擾 */
+const POLICY_SEED_SALT = 0x9e3779b9;
+
+export class PolicyAgent {
+  /**
+   * @param {Game} game - 遊戲實例（需提供 performAction）
+   * @param {LandlordPolicy} policy - 決策策略
+   * @param {Object} options - 執行選項
+   * @param {number} [options.maxActionsPerDay] - 每日操作上限，超過時強制進入下一天
+   * @param {number|string} [options.seed] - 策略隨機種子（預設由遊戲種子衍生）
+   */
+  constructor(game, policy, options = {}) {
+    if (!policy || typeof policy.chooseAction !== "function") {
+      throw new Error("策略必須實作 chooseAction(view, legalActions, context)");
+    }
+
+    this.game = game;
+    this.policy = policy;
+    this.options = {
+      maxActionsPerDay: 20,
+      seed: null,
+      ...options,
+    };
+
+    // 策略使用獨立的隨機數序列，不影響遊戲本身的隨機結果
+    const gameSeed = game.gameState.randomSeed ?? RandomService.generateSeed();
+    this.random = new RandomService(
+      this.options.seed ?? (gameSeed ^ POLICY_SEED_SALT) >>> 0
+    );
+
+    // 統計資訊
+    this.stats = {
+      totalActions: 0,
+      forcedDays: 0,
+      actionCounts: {},
+    };
+  }
+
+  // ==================== 合法操作 ====================
+
+  /**
+   * 列舉目前所有合法操作
+   * 有待決事件時只能選擇事件選項
+   * @returns {Array<Object>} 操作陣列 {type, args, label, meta}
+   */
+  getLegalActions() {
+    const pendingEvent = this.getPendingEvent();
+    if (pendingEvent) {
+      return pendingEvent.choices.map((choice) =>
+        this.createAction("eventChoice", [pendingEvent.event.id, choice.id], {
+          label: `${pendingEvent.event.title}：${choice.text}`,
+          meta: { event: pendingEvent.event, choice: choice },
+        })
+      );
+    }
+
+    const state = this.game.gameState;
+    const tenants = this.getTenants();
+    const hasEmptyRoom = state.rooms.some((room) => !room.tenant);
+    const actions = [];
+
+    if (!state.rentCollected && tenants.length > 0) {
+      actions.push(
+        this.createAction("collectRent", [], {
+          label: "收租",
+          meta: {
+            expectedRent: tenants.reduce((sum, t) => sum + (t.rent || 0), 0),
+          },
+        })
+      );
+    }
+
+    if (hasEmptyRoom && this.game.tenantSystem?.getStatus().initialized) {
+      if (this.game.tenantSystem.lastApplicantGeneration !== state.day) {
+        actions.push(
+          this.createAction("generateApplicants", [], { label: "查看訪客" })
+        );
+      } else {
+        this.getApplicants().forEach((applicant) => {
+          actions.push(
+            this.createAction("hireTenant", [applicant.id], {
+              label: `雇用 ${applicant.name}（${applicant.typeName}）`,
+              meta: { applicant: applicant },
+            })
+          );
+        });
+      }
+    }
+
+    if (!state.harvestUsed && state.harvestCooldown === 0) {
+      actions.push(this.createAction("harvestYard", [], { label: "院子採集" }));
+    }
+
+    if (state.scavengeUsed < state.maxScavengePerDay) {
+      this.game.getAvailableTenantsForScavenge().forEach((tenant) => {
+        actions.push(
+          this.createAction("scavenge", [tenant.name], {
+            label: `派遣 ${tenant.name} 搜刮`,
+            meta: {
+              tenant: tenant,
+              successRate: this.game.calculateScavengeSuccessRate(tenant),
+            },
+          })
+        );
+      });
+    }
+
+    if (this.game.skillSystem?.getStatus().initialized) {
+      tenants
+        .filter((tenant) => !tenant.infected)
+        .forEach((tenant) => {
+          this.game.skillSystem
+            .getAvailableSkills(tenant.name)
+            .filter((skill) => skill.canAfford && !skill.cooldownRemaining)
+            .forEach((skill) => {
+              actions.push(
+                this.createAction("useSkill", [tenant.name, skill.id], {
+                  label: `${tenant.name} 使用 ${skill.name}`,
+                  meta: { tenant: tenant, skill: skill },
+                })
+              );
+            });
+        });
+    }
+
+    // 持續型危機的可執行行動（逐日行動每天限一次）
+    (this.game.eventSystem?.getOngoingEvents() || []).forEach((ongoing) => {
+      ongoing.previews
+        .filter((preview) => preview.available)
+        .forEach(({ choice }) => {
+          actions.push(
+            this.createAction("eventChoice", [ongoing.event.id, choice.id], {
+              label: `${ongoing.event.title}：${choice.text}`,
+              meta: {
+                event: ongoing.event,
+                choice: choice,
+                daysLeft: ongoing.daysLeft,
+              },
+            })
+          );
+        });
+    });
+
+    actions.push(this.createAction("nextDay", [], { label: "下一天" }));
+    return actions;
+  }
+
+  /**
+   * 建立操作描述（meta 深凍結，策略只能讀取）
+   * @private
+   */
+  createAction(type, args, { label = type, meta = {} } = {}) {
+    return Object.freeze({
+      type: type,
+      args: Object.freeze([...args]),
+      label: label,
+      meta: PolicyAgent.freezeCopy(meta),
+    });
+  }
+
+  /**
+   * 取得目前待決事件（由 EventSystem 管理，已排除沒有可行選項的事件）
+   * @private
+   */
+  getPendingEvent() {
+    return this.game.eventSystem?.getPendingEvents()[0] || null;
+  }
+
+  /**
+   * 取得目前在住的租客
+   * @private
+   */
+  getTenants() {
+    return this.game.gameState.rooms
+      .filter((room) => room.tenant)
+      .map((room) => room.tenant);
+  }
+
+  /**
+   * 取得今日的申請者（需先查看訪客）
+   * @private
+   */
+  getApplicants() {
+    return [...(this.game.tenantSystem?.applicantPool || [])];
+  }
+
+  // ==================== 狀態視圖 ====================
+
+  /**
+   * 建立策略使用的唯讀狀態視圖
+   */
+  createStateView() {
+    const state = this.game.gameState;
+    const helpers = this.game.gameHelpers;
+
+    return PolicyAgent.freezeCopy({
+      day: state.day,
+      state: state,
+      tenants: this.getTenants(),
+      applicants: this.getApplicants(),
+      hunger: helpers ? helpers.getHungerStatus(state.landlordHunger) : null,
+      pendingEvent: this.getPendingEvent(),
+      knowledge: {
+        infectedAppearances:
+          helpers?.getContentConfig("appearanceDescriptions.infected", []) ||
+          [],
+      },
+    });
+  }
+
+  /**
+   * 深拷貝並凍結資料
+   */
+  static freezeCopy(value) {
+    return PolicyAgent.deepFreeze(structuredClone(value));
+  }
+
+  static deepFreeze(value) {
+    if (value && typeof value === "object" && !Object.isFrozen(value)) {
+      Object.freeze(value);
+      Object.values(value).forEach((child) => PolicyAgent.deepFreeze(child));
+    }
+    return value;
+  }
+
+  // ==================== 執行 ====================
+
+  /**
+   * 詢問策略並執行一個操作
+   * @param {boolean} forceEndDay - 是否強制結束當天（僅允許事件選擇與下一天）
+   * @returns {Promise<Object>} {action, result}
+   */
+  async step(forceEndDay = false) {
+    const legalActions = this.getLegalActions();
+
+    let action;
+    if (forceEndDay) {
+      // 先處理待決事件（採第一個選項），再進入下一天
+      action = this.getPendingEvent()
+        ? legalActions[0]
+        : legalActions.find((a) => a.type === "nextDay");
+    } else {
+      const choice = await this.policy.chooseAction(
+        this.createStateView(),
+        legalActions,
+        this.createContext()
+      );
+      action = this.matchLegalAction(choice, legalActions);
+
+      if (!action) {
+        throw new Error(
+          `策略 ${this.policy.name} 回傳了不合法的操作: ${JSON.stringify(choice)}`
+        );
+      }
+    }
+
+    const result = await this.game.performAction(action);
+
+    this.stats.totalActions++;
+    this.stats.actionCounts[action.type] =
+      (this.stats.actionCounts[action.type] || 0) + 1;
+
+    return { action: action, result: result };
+  }
+
+  /**
+   * 依策略進行一整天，直到策略選擇下一天或達到每日上限
+   * @returns {Promise<Array<Object>>} 當天執行的操作
+   */
+  async playDay() {
+    const day = this.game.gameState.day;
+    const actions = [];
+
+    // 進入下一天後，仍需處理換日時觸發的事件
+    while (this.game.gameState.day === day || this.getPendingEvent()) {
+      const forced = actions.length >= this.options.maxActionsPerDay;
+      if (actions.length === this.options.maxActionsPerDay) {
+        this.stats.forcedDays++;
+        console.warn(
+          `⚠️ 策略 ${this.policy.name} 第${day}天操作超過上限，強制進入下一天`
+        );
+      }
+
+      const { action } = await this.step(forced);
+      actions.push(action);
+    }
+
+    return actions;
+  }
+
+  /**
+   * 比對策略回傳的操作是否在合法清單中
+   * @private
+   */
+  matchLegalAction(choice, legalActions) {
+    if (!choice || typeof choice.type !== "string") {
+      return null;
+    }
+
+    const args = JSON.stringify(choice.args || []);
+    return (
+      legalActions.find(
+        (action) =>
+          action.type === choice.type && JSON.stringify(action.args) === args
+      ) || null
+    );
+  }
+
+  /**
+   * 建立策略執行上下文
+   * @private
+   */
+  createContext() {
+    return {
+      random: () => this.random.next(),
+      day: this.game.gameState.day,
+    };
+  }
+
+  /**
+   * 取得狀態資訊
+   */
+  getStatus() {
+    return {
+      policy: this.policy.name,
+      randomSeed: this.random.getSeed(),
+      stats: {
+        ...this.stats,
+        actionCounts: { ...this.stats.actionCounts },
+      },
+    };
+  }
+}
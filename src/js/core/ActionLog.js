@@ -0,0 +1,457 @@
+/**
+ * ActionLog - 玩家操作記錄與確定性回放
+ * 職責：
+ * 1. 依序記錄每一個玩家指令（含天數戳記）
+ * 2. 以本局起點快照 + 操作序列組成可匯出的回放檔
+ * 3. 在全新的遊戲實例上重新執行回放檔，並比對最終狀態指紋
+ *
+ * 設計模式：命令模式（操作即可重播的指令）+ 備忘錄模式（起點快照）
+ * 核心特性：起點快照、指令白名單、狀態指紋比對、回放期間抑制互動
+ */
+
+import { SAVE_SYSTEM, ERROR_CODES } from "../utils/constants.js";
+import { SaveManager } from "./SaveManager.js";
+
+/**
+ * 可記錄的玩家指令：操作類型 → 對應的 Game 方法
+ */
+const ACTION_DEFINITIONS = Object.freeze({
+  collectRent: { method: "handleCollectRent", label: "收租" },
+  generateApplicants: { method: "generateApplicants", label: "查看訪客" },
+  hireTenant: { method: "hireTenant", label: "雇用租客" },
+  harvestYard: { method: "handleHarvestYard", label: "院子採集" },
+  scavenge: { method: "sendTenantOnScavenge", label: "派遣搜刮" },
+  useSkill: { method: "useSkillFromMenu", label: "使用技能" },
+  eventChoice: { method: "handleEventChoice", label: "事件選擇" },
+  nextDay: { method: "handleNextDay", label: "下一天" },
+});
+
+export class ActionLog {
+  constructor(gameInstance) {
+    // 核心依賴
+    this.game = gameInstance;
+
+    // 記錄狀態
+    this.initialSnapshot = null;
+    this.actions = [];
+    this.recording = false;
+    this.truncated = false;
+    this.replaying = false;
+
+    // 統計資訊
+    this.stats = {
+      totalRecorded: 0,
+      totalReplays: 0,
+      divergedReplays: 0,
+    };
+
+    console.log("🎬 ActionLog 建構完成");
+  }
+
+  /**
+   * 取得所有可記錄的操作類型
+   */
+  static getActionTypes() {
+    return Object.keys(ACTION_DEFINITIONS);
+  }
+
+  /**
+   * 取得操作類型對應的 Game 方法名稱
+   * @returns {string|null} 方法名稱，未知類型回傳 null
+   */
+  static getActionMethod(type) {
+    return ACTION_DEFINITIONS[type]?.method || null;
+  }
+
+  /**
+   * 取得回放錄製時生效的模組包 ID，舊版回放檔沒有記錄時為 null
+   */
+  static getReplayMods(replay) {
+    return replay.mods ?? replay.initialSnapshot?.mods ?? null;
+  }
+
+  /**
+   * 以目前遊戲狀態為起點開始新的記錄
+   * 新遊戲、讀檔、匯入後都會重新建立起點
+   * @param {string} label - 起點說明
+   */
+  startRecording(label = "新遊戲") {
+    const saveManager = this.game.saveManager;
+    if (!saveManager) {
+      console.warn("⚠️ SaveManager 不可用，無法建立回放起點");
+      this.recording = false;
+      return false;
+    }
+
+    // 透過序列化深拷貝，避免起點快照隨遊戲狀態變動
+    const snapshot = saveManager.createSnapshot(label);
+    this.initialSnapshot = saveManager.deserialize(
+      saveManager.serialize(snapshot)
+    );
+    this.actions = [];
+    this.truncated = false;
+    this.recording = true;
+
+    console.log(`🎬 開始記錄操作：${label}（第${snapshot.gameState.day}天）`);
+    return true;
+  }
+
+  /**
+   * 記錄一個玩家指令
+   * @param {string} type - 操作類型（見 ACTION_DEFINITIONS）
+   * @param {Array} args - 指令參數（必須可 JSON 序列化）
+   */
+  record(type, args = []) {
+    if (!this.recording || this.truncated) return null;
+
+    if (!ACTION_DEFINITIONS[type]) {
+      console.warn(`⚠️ 未知的操作類型: ${type}`);
+      return null;
+    }
+
+    if (this.actions.length >= SAVE_SYSTEM.REPLAY.MAX_ACTIONS) {
+      console.warn("⚠️ 操作記錄已達上限，停止記錄（本局將無法回放）");
+      this.truncated = true;
+      return null;
+    }
+
+    const entry = {
+      seq: this.actions.length + 1,
+      day: this.game.gameState.day,
+      type: type,
+      args: args,
+    };
+
+    this.actions.push(entry);
+    this.stats.totalRecorded++;
+    return entry;
+  }
+
+  /**
+   * 檢查目前記錄是否可回放
+   */
+  isReplayable() {
+    return this.recording && !this.truncated && !!this.initialSnapshot;
+  }
+
+  /**
+   * 匯出回放檔
+   * @returns {{filename: string, content: string}}
+   */
+  exportReplay() {
+    if (!this.isReplayable()) {
+      throw new Error(
+        this.truncated ? "操作記錄已超過上限，無法匯出回放" : "尚未開始記錄"
+      );
+    }
+
+    const exportedAt = new Date().toISOString();
+    const day = this.game.gameState.day;
+    const replay = {
+      format: SAVE_SYSTEM.REPLAY.FORMAT,
+      formatVersion: SAVE_SYSTEM.REPLAY.FORMAT_VERSION,
+      gameVersion: "2.0.0",
+      exportedAt: exportedAt,
+      seed: this.initialSnapshot.gameState.randomSeed ?? null,
+      mods: this.initialSnapshot.mods ?? null,
+      startDay: this.initialSnapshot.gameState.day,
+      finalDay: day,
+      actionCount: this.actions.length,
+      initialSnapshot: this.initialSnapshot,
+      actions: this.actions,
+      finalFingerprint: this.computeFingerprint(),
+    };
+
+    const timestamp = exportedAt.replace(/[:.]/g, "-");
+
+    return {
+      filename: `${SAVE_SYSTEM.REPLAY.FILE_PREFIX}_day${day}_${timestamp}.json`,
+      content: JSON.stringify(replay, SaveManager.replacer, 2),
+    };
+  }
+
+  /**
+   * 解析並驗證回放檔內容
+   * @returns {Object} 成功時含 replay 物件，失敗時含錯誤訊息
+   */
+  parseReplay(jsonText) {
+    let replay;
+    try {
+      replay = JSON.parse(jsonText, SaveManager.reviver);
+    } catch (error) {
+      return this.createFailure(
+        ERROR_CODES.REPLAY_INVALID,
+        `回放檔不是有效的 JSON: ${error.message}`
+      );
+    }
+
+    if (!replay || replay.format !== SAVE_SYSTEM.REPLAY.FORMAT) {
+      return this.createFailure(
+        ERROR_CODES.REPLAY_INVALID,
+        "檔案不是本遊戲的回放檔"
+      );
+    }
+
+    if (replay.formatVersion > SAVE_SYSTEM.REPLAY.FORMAT_VERSION) {
+      return this.createFailure(
+        ERROR_CODES.REPLAY_INVALID,
+        `回放檔版本 v${replay.formatVersion} 比遊戲支援的版本新`
+      );
+    }
+
+    if (!replay.initialSnapshot || typeof replay.initialSnapshot !== "object") {
+      return this.createFailure(
+        ERROR_CODES.REPLAY_INVALID,
+        "回放檔缺少起點快照"
+      );
+    }
+
+    if (
+      !Array.isArray(replay.actions) ||
+      replay.actions.length > SAVE_SYSTEM.REPLAY.MAX_ACTIONS
+    ) {
+      return this.createFailure(
+        ERROR_CODES.REPLAY_INVALID,
+        "回放檔的操作序列無效"
+      );
+    }
+
+    const mods = ActionLog.getReplayMods(replay);
+    if (
+      mods !== null &&
+      (!Array.isArray(mods) || mods.some((id) => typeof id !== "string"))
+    ) {
+      return this.createFailure(
+        ERROR_CODES.REPLAY_INVALID,
+        "回放檔的模組包清單無效"
+      );
+    }
+
+    const invalidIndex = replay.actions.findIndex(
+      (action) =>
+        !action ||
+        !ACTION_DEFINITIONS[action.type] ||
+        !Array.isArray(action.args)
+    );
+    if (invalidIndex !== -1) {
+      return this.createFailure(
+        ERROR_CODES.REPLAY_INVALID,
+        `回放檔第 ${invalidIndex + 1} 個操作無效: ${
+          replay.actions[invalidIndex]?.type
+        }`
+      );
+    }
+
+    return { success: true, replay: replay };
+  }
+
+  /**
+   * 在全新的遊戲實例上回放（由 game.createReplayInstance() 建立）
+   * 目前遊戲不受影響；呼叫端可再以 adoptReplayResult() 接手回放結果
+   * @param {Object} replay - 已通過 parseReplay 驗證的回放物件
+   * @returns {Promise<Object>} 回放結果，game 為回放完成的遊戲實例
+   */
+  async replayInFreshGame(replay) {
+    const mods = ActionLog.getReplayMods(replay);
+
+    let game;
+    try {
+      game = await this.game.createReplayInstance(mods);
+    } catch (error) {
+      return this.createFailure(
+        ERROR_CODES.SERVICE_UNAVAILABLE,
+        `無法建立回放用的遊戲實例: ${error.message}`
+      );
+    }
+
+    if (!game?.actionLog) {
+      game?.shutdown?.();
+      return this.createFailure(
+        ERROR_CODES.SERVICE_UNAVAILABLE,
+        "回放用的遊戲實例缺少操作記錄器"
+      );
+    }
+
+    // 回放必須使用錄製時的模組包，缺少任何一個都無法重現
+    const loadedMods = game.saveManager.getActiveModIds();
+    if (mods !== null && mods.join("\n") !== loadedMods.join("\n")) {
+      game.shutdown?.();
+      const expected = mods.join(", ") || "無";
+      const actual = loadedMods.join(", ") || "無";
+      return this.createFailure(
+        ERROR_CODES.REPLAY_INVALID,
+        `回放檔使用的模組包（${expected}）無法完整載入，實際為（${actual}）`
+      );
+    }
+
+    const result = await game.actionLog.replay(replay);
+    this.stats.totalReplays++;
+    if (result.success && !result.identical) {
+      this.stats.divergedReplays++;
+    }
+
+    return { ...result, game: game };
+  }
+
+  /**
+   * 接手回放實例的最終狀態與操作記錄，之後可從回放結果繼續遊戲
+   * @param {Game} replayGame - replayInFreshGame() 回傳的遊戲實例
+   * @returns {Object} 套用結果（同 SaveManager.applySnapshot）
+   */
+  adoptReplayResult(replayGame) {
+    const saveManager = this.game.saveManager;
+    const snapshot = saveManager.deserialize(
+      saveManager.serialize(replayGame.saveManager.createSnapshot("回放結果"))
+    );
+
+    const restore = saveManager.applySnapshot(snapshot);
+    if (restore.success) {
+      this.initialSnapshot = replayGame.actionLog.initialSnapshot;
+      this.actions = replayGame.actionLog.actions.map((entry) => ({
+        ...entry,
+      }));
+      this.truncated = replayGame.actionLog.truncated;
+      this.recording = replayGame.actionLog.recording;
+    }
+
+    return restore;
+  }
+
+  /**
+   * 回放：將起點快照套用到本記錄器所屬的遊戲後依序重新執行所有操作
+   * 一般由 replayInFreshGame() 在全新實例上呼叫
+   * @param {Object} replay - 已通過 parseReplay 驗證的回放物件
+   * @returns {Promise<Object>} 回放結果（含最終狀態比對）
+   */
+  async replay(replay) {
+    const saveManager = this.game.saveManager;
+    if (!saveManager) {
+      return this.createFailure(
+        ERROR_CODES.SERVICE_UNAVAILABLE,
+        "SaveManager 不可用，無法回放"
+      );
+    }
+
+    const restore = saveManager.applySnapshot(replay.initialSnapshot);
+    if (!restore.success) {
+      return this.createFailure(
+        restore.code,
+        `回放起點快照無法套用: ${restore.error}`
+      );
+    }
+
+    this.startRecording(replay.initialSnapshot.label || "回放");
+    this.replaying = true;
+    this.stats.totalReplays++;
+
+    console.log(`▶️ 開始回放 ${replay.actions.length} 個操作...`);
+
+    try {
+      for (const action of replay.actions) {
+        await this.game.performAction(action);
+      }
+    } catch (error) {
+      this.replaying = false;
+      return this.createFailure(
+        ERROR_CODES.REPLAY_DIVERGED,
+        `回放第 ${this.actions.length} 個操作時失敗: ${error.message}`
+      );
+    }
+
+    this.replaying = false;
+
+    const actualFingerprint = this.computeFingerprint();
+    const expectedFingerprint = replay.finalFingerprint || null;
+    const identical =
+      expectedFingerprint === null || actualFingerprint === expectedFingerprint;
+
+    if (!identical) {
+      this.stats.divergedReplays++;
+      console.warn(
+        `⚠️ 回放結果與原始紀錄不一致: ${expectedFingerprint} ≠ ${actualFingerprint}`
+      );
+    } else {
+      console.log(`✅ 回放完成，最終狀態指紋: ${actualFingerprint}`);
+    }
+
+    return {
+      success: true,
+      identical: identical,
+      verified: expectedFingerprint !== null,
+      actionsReplayed: replay.actions.length,
+      finalDay: this.game.gameState.day,
+      expectedFingerprint: expectedFingerprint,
+      actualFingerprint: actualFingerprint,
+    };
+  }
+
+  /**
+   * 計算目前遊戲狀態指紋（遊戲狀態 + 隨機數序列位置）
+   */
+  computeFingerprint() {
+    const payload = ActionLog.canonicalize({
+      gameState: this.game.gameState,
+      random: this.game.randomService?.exportState?.() || null,
+    });
+    const text = JSON.stringify(payload);
+
+    // FNV-1a 32 位元雜湊
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+
+    return (hash >>> 0).toString(16).padStart(8, "0");
+  }
+
+  /**
+   * 正規化資料結構（排序物件鍵值、展開 Map/Set），讓指紋不受插入順序影響
+   * @private
+   */
+  static canonicalize(value) {
+    if (value instanceof Map) {
+      return ActionLog.canonicalize(Object.fromEntries(value));
+    }
+    if (value instanceof Set) {
+      return Array.from(value).map((item) => ActionLog.canonicalize(item));
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => ActionLog.canonicalize(item));
+    }
+    if (value && typeof value === "object") {
+      return Object.keys(value)
+        .sort()
+        .reduce((result, key) => {
+          if (value[key] !== undefined) {
+            result[key] = ActionLog.canonicalize(value[key]);
+          }
+          return result;
+        }, {});
+    }
+    return value;
+  }
+
+  /**
+   * 建立失敗結果
+   * @private
+   */
+  createFailure(code, message) {
+    console.warn(`⚠️ ${message}`);
+    return { success: false, code: code, error: message };
+  }
+
+  /**
+   * 取得狀態資訊
+   */
+  getStatus() {
+    return {
+      recording: this.recording,
+      replaying: this.replaying,
+      replayable: this.isReplayable(),
+      actionCount: this.actions.length,
+      startDay: this.initialSnapshot?.gameState?.day ?? null,
+      stats: { ...this.stats },
+    };
+  }
+}
@@ -0,0 +1,514 @@
+/**
+ * ConditionRegistry - 共用條件檢查註冊表
+ * 職責：
+ * 1. 集中實作 RuleEngine、EventSystem、SkillSystem 共用的條件類型
+ * 2. 將資料檔中的參數別名（tenantType / value 等）正規化為標準欄位
+ * 3. 讓各系統註冊專屬條件（劇情進度、技能觸發器），註冊後所有系統皆可使用
+ * 4. 產生條件檢查追蹤樹（explain），說明每個條件的實際值、期望值與結果
+ * 5. 比對事件觸發器（trigger.on）的 filter 與事件資料
+ *
+ * 設計模式：策略模式 + 單例服務（透過 GameBridge.registerService 共用）
+ * 核心特性：參數別名、巢狀條件、呼叫端提供狀態與隨機數、不擲骰的診斷模式
+ */
+
+/**
+ * 參數別名：條件類型 -> { 標準欄位: [別名...] }
+ * 標準欄位未設定時才採用別名，保持既有 JSON 資料相容
+ */
+const PARAMETER_ALIASES = Object.freeze({
+  hasTenantType: { tenantType: ["value"] },
+  hasResource: { amount: ["value"] },
+  probability: { chance: ["value"] },
+});
+
+/** 未注入 GameHelpers 時使用的資源警告閾值 */
+const DEFAULT_WARNING_THRESHOLDS = Object.freeze({
+  food: 5,
+  materials: 3,
+  medical: 2,
+  fuel: 2,
+});
+
+export class ConditionRegistry {
+  constructor() {
+    // 條件類型 -> (condition, context) => boolean
+    this.evaluators = new Map();
+    // 條件類型 -> (condition, context) => {subject, actual, operator, expected}
+    this.explainers = new Map();
+
+    this.registerBuiltinConditions();
+  }
+
+  /**
+   * 註冊條件類型（同名時覆寫）
+   * @param {string} type - 條件類型
+   * @param {Function} evaluator - (condition, context) => boolean，condition 已正規化
+   * @param {Function} [explainer] - (condition, context) => 追蹤欄位，供 explain 顯示實際值與期望值
+   */
+  register(type, evaluator, explainer = null) {
+    if (typeof evaluator !== "function") {
+      throw new Error(`條件 ${type} 的檢查函數必須是函數`);
+    }
+
+    this.evaluators.set(type, evaluator);
+    if (explainer) {
+      this.explainers.set(type, explainer);
+    } else {
+      this.explainers.delete(type);
+    }
+    return this;
+  }
+
+  has(type) {
+    return this.evaluators.has(type);
+  }
+
+  getTypes() {
+    return Array.from(this.evaluators.keys());
+  }
+
+  /**
+   * 將參數別名轉為標準欄位
+   */
+  normalize(condition) {
+    const aliases = PARAMETER_ALIASES[condition?.type];
+    if (!aliases) return condition;
+
+    const normalized = { ...condition };
+    Object.entries(aliases).forEach(([field, alternatives]) => {
+      if (normalized[field] !== undefined) return;
+
+      const alias = alternatives.find((name) => condition[name] !== undefined);
+      if (alias) {
+        normalized[field] = condition[alias];
+      }
+    });
+
+    return normalized;
+  }
+
+  /**
+   * 檢查條件
+   * @param {Object} condition - 條件設定
+   * @param {Object} context - 呼叫端提供的執行環境
+   * @param {Object} context.gameState - 遊戲狀態
+   * @param {Function} [context.random] - 隨機數來源（應使用共用的種子隨機數）
+   * @param {Object} [context.gameHelpers] - 配置輔助工具
+   * @returns {boolean}
+   */
+  evaluate(condition, context = {}) {
+    const evaluator = this.evaluators.get(condition?.type);
+
+    if (!evaluator) {
+      console.warn(`⚠️ 未知的條件類型: ${condition?.type}`);
+      return false;
+    }
+
+    try {
+      return !!evaluator(this.normalize(condition), context);
+    } catch (error) {
+      console.error(`❌ 條件檢查失敗 (${condition.type}):`, error);
+      return false;
+    }
+  }
+
+  /**
+   * 檢查所有條件皆成立
+   */
+  evaluateAll(conditions = [], context = {}) {
+    return conditions.every((condition) => this.evaluate(condition, context));
+  }
+
+  /**
+   * 檢查事件資料是否符合觸發器的 filter
+   * filter 以路徑對應期望值（相等比較），或 {operator, value} 指定比較方式
+   * 例如 { "tenant.infected": true, newValue: { operator: "<=", value: 2 } }
+   * @param {Object} [filter] - 觸發器 filter（未設定時一律符合）
+   * @param {Object} payload - 事件資料
+   * @returns {boolean}
+   */
+  matchesPayload(filter, payload = {}) {
+    if (!filter) return true;
+
+    return Object.entries(filter).every(([path, expected]) => {
+      const actual = this.getNestedValue(payload, path);
+
+      if (expected && typeof expected === "object" && "operator" in expected) {
+        return this.compareValues(actual, expected.operator, expected.value);
+      }
+      return actual === expected;
+    });
+  }
+
+  // ==================== 診斷追蹤 ====================
+
+  /**
+   * 產生條件檢查追蹤節點（不擲骰：機率條件的結果為 null，表示由隨機數決定）
+   * @param {Object} condition - 條件設定
+   * @param {Object} context - 與 evaluate 相同的執行環境
+   * @returns {Object} {type, subject, actual, operator, expected, passed, children?, note?}
+   */
+  explain(condition, context = {}) {
+    const type = condition?.type;
+    const node = { type: type, condition: condition };
+
+    if (!this.evaluators.has(type)) {
+      return { ...node, passed: false, note: `未知的條件類型: ${type}` };
+    }
+
+    try {
+      const normalized = this.normalize(condition);
+      const explainer = this.explainers.get(type);
+      const details = explainer ? explainer(normalized, context) : {};
+
+      Object.assign(node, details);
+      if (node.actual !== undefined) {
+        node.actual = this.summarizeValue(node.actual);
+      }
+      if (node.passed === undefined) {
+        node.passed = !!this.evaluators.get(type)(normalized, context);
+      }
+    } catch (error) {
+      node.passed = false;
+      node.note = `檢查失敗: ${error.message}`;
+    }
+
+    return node;
+  }
+
+  /**
+   * 產生一組條件（全部成立）的追蹤節點
+   * @param {string} [label] - 節點說明
+   */
+  explainAll(conditions = [], context = {}, label = "全部條件") {
+    return this.createGroupNode(
+      label,
+      conditions.map((condition) => this.explain(condition, context))
+    );
+  }
+
+  /**
+   * 建立群組節點，供各系統組合冷卻、次數限制等非條件檢查
+   * @param {string} label - 節點說明
+   * @param {Array<Object>} children - 子節點
+   * @param {string} [mode] - "and"：全部成立；"or"：任一成立
+   */
+  createGroupNode(label, children, mode = "and") {
+    return {
+      type: mode,
+      label: label,
+      passed: this.combineResults(
+        children.map((child) => child.passed),
+        mode
+      ),
+      children: children,
+    };
+  }
+
+  /**
+   * 合併子節點結果（null 表示由隨機數決定，不視為失敗）
+   */
+  combineResults(results, mode = "and") {
+    const decisive = mode === "and" ? false : true;
+
+    if (results.includes(decisive)) return decisive;
+    if (results.includes(null)) return null;
+    return !decisive;
+  }
+
+  /**
+   * 將追蹤樹轉為縮排文字，例如「❌ hasResource：resources.food = 4（需 >= 5）」
+   * @returns {Array<string>} 每行一個節點
+   */
+  formatExplanation(node, depth = 0) {
+    const icon = node.passed === null ? "🎲" : node.passed ? "✅" : "❌";
+    const parts = [`${"  ".repeat(depth)}${icon} ${node.label || node.type}`];
+
+    if (node.subject !== undefined) {
+      parts.push(`：${node.subject} = ${this.formatValue(node.actual)}`);
+    }
+    if (node.operator !== undefined) {
+      parts.push(`（需 ${node.operator} ${this.formatValue(node.expected)}）`);
+    }
+    if (node.note) {
+      parts.push(` ⚠️ ${node.note}`);
+    }
+
+    return [
+      parts.join(""),
+      ...(node.children || []).flatMap((child) =>
+        this.formatExplanation(child, depth + 1)
+      ),
+    ];
+  }
+
+  /**
+   * 追蹤節點只保留可序列化的摘要值
+   * @private
+   */
+  summarizeValue(value) {
+    if (Array.isArray(value)) return `[${value.length} 項]`;
+    if (value && typeof value === "object") return "{…}";
+    return value;
+  }
+
+  /**
+   * @private
+   */
+  formatValue(value) {
+    return typeof value === "string" ? value : JSON.stringify(value);
+  }
+
+  /**
+   * 註冊內建條件
+   */
+  registerBuiltinConditions() {
+    // 資源檢查（operator 預設 >=）
+    this.register(
+      "hasResource",
+      (condition, { gameState }) => {
+        const { resource, amount, operator = ">=" } = condition;
+        const currentAmount = gameState.resources[resource] || 0;
+        return this.compareValues(currentAmount, operator, amount);
+      },
+      ({ resource, amount, operator = ">=" }, { gameState }) => ({
+        subject: `resources.${resource}`,
+        actual: gameState.resources[resource] || 0,
+        operator: operator,
+        expected: amount,
+      })
+    );
+
+    // 租客類型檢查（any：任何租客；infected：感染者；其他：指定類型）
+    this.register(
+      "hasTenantType",
+      (condition, { gameState }) =>
+        this.countTenants(gameState, condition) >= (condition.count ?? 1),
+      (condition, { gameState }) => ({
+        subject: `tenants[${condition.tenantType}]`,
+        actual: this.countTenants(gameState, condition),
+        operator: ">=",
+        expected: condition.count ?? 1,
+      })
+    );
+
+    // 天數範圍檢查
+    this.register(
+      "dayRange",
+      (condition, { gameState }) => {
+        const { min, max } = condition;
+
+        if (min !== undefined && gameState.day < min) return false;
+        if (max !== undefined && gameState.day > max) return false;
+
+        return true;
+      },
+      ({ min, max }, { gameState }) => ({
+        subject: "day",
+        actual: gameState.day,
+        operator: "in",
+        expected: `${min ?? "-∞"}..${max ?? "∞"}`,
+      })
+    );
+
+    // 機率檢查（診斷時不擲骰，避免影響種子隨機序列）
+    this.register(
+      "probability",
+      (condition, { random = Math.random }) => {
+        return random() < condition.chance;
+      },
+      (condition) => ({
+        subject: "random()",
+        actual: "未擲骰",
+        operator: "<",
+        expected: condition.chance,
+        passed: null,
+      })
+    );
+
+    // 遊戲狀態檢查（路徑為 rooms 時可用 hasNeedsRepair、hasUnReinforced）
+    this.register(
+      "gameStateCheck",
+      (condition, { gameState }) => {
+        const { path, operator, value } = condition;
+        return this.compareValues(
+          this.getNestedValue(gameState, path),
+          operator,
+          value
+        );
+      },
+      ({ path, operator, value }, { gameState }) => ({
+        subject: path,
+        actual: this.getNestedValue(gameState, path),
+        operator: operator,
+        expected: value,
+      })
+    );
+
+    // 資源稀缺檢查（insufficient / low：低於警告閾值；critical：低於一半）
+    this.register(
+      "resourceScarcity",
+      (condition, context) => {
+        const limit = this.getScarcityLimit(condition, context);
+        const currentAmount = context.gameState.resources[condition.resource];
+        return limit !== null && (currentAmount || 0) < limit;
+      },
+      (condition, context) => ({
+        subject: `resources.${condition.resource}`,
+        actual: context.gameState.resources[condition.resource] || 0,
+        operator: "<",
+        expected: this.getScarcityLimit(condition, context),
+      })
+    );
+
+    // 建築狀態檢查
+    this.register(
+      "buildingState",
+      (condition, { gameState }) => {
+        const { property, operator, value } = condition;
+        const actual = this.getBuildingValue(gameState.rooms, property);
+
+        if (property === "hasRepairNeeds") return actual;
+        if (actual === undefined) return false;
+        return this.compareValues(actual, operator, value);
+      },
+      ({ property, operator, value }, { gameState }) => ({
+        subject: `building.${property}`,
+        actual: this.getBuildingValue(gameState.rooms, property),
+        operator: property === "hasRepairNeeds" ? "==" : operator,
+        expected: property === "hasRepairNeeds" ? true : value,
+      })
+    );
+
+    // 複合條件
+    this.register(
+      "and",
+      (condition, context) =>
+        condition.conditions.every((cond) => this.evaluate(cond, context)),
+      (condition, context) =>
+        this.createGroupNode(
+          "and",
+          condition.conditions.map((cond) => this.explain(cond, context))
+        )
+    );
+
+    this.register(
+      "or",
+      (condition, context) =>
+        condition.conditions.some((cond) => this.evaluate(cond, context)),
+      (condition, context) =>
+        this.createGroupNode(
+          "or",
+          condition.conditions.map((cond) => this.explain(cond, context)),
+          "or"
+        )
+    );
+  }
+
+  /**
+   * 計算符合租客類型條件的人數
+   * @private
+   */
+  countTenants(gameState, condition) {
+    const { tenantType, includeInfected = true } = condition;
+
+    return gameState.rooms.filter((room) => {
+      const tenant = room.tenant;
+      if (!tenant) return false;
+      if (tenantType === "any") return true;
+      if (tenantType === "infected") return !!tenant.infected;
+      if (!includeInfected && tenant.infected) return false;
+      return tenant.type === tenantType || tenant.typeId === tenantType;
+    }).length;
+  }
+
+  /**
+   * 取得資源稀缺門檻（未知的 threshold 回傳 null）
+   * @private
+   */
+  getScarcityLimit({ resource, threshold }, context) {
+    const warningThresholds = context.gameHelpers
+      ? context.gameHelpers.getResourceWarningThresholds()
+      : DEFAULT_WARNING_THRESHOLDS;
+    const warningLevel = warningThresholds[resource] || 5;
+
+    switch (threshold) {
+      case "insufficient":
+      case "low":
+        return warningLevel;
+      case "critical":
+        return warningLevel / 2;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * 取得建築狀態屬性值（未知屬性回傳 undefined）
+   * @private
+   */
+  getBuildingValue(rooms, property) {
+    switch (property) {
+      case "hasRepairNeeds":
+        return rooms.some((room) => room.needsRepair);
+      case "reinforcedCount":
+        return rooms.filter((room) => room.reinforced).length;
+      case "occupancyRate": {
+        const occupied = rooms.filter((room) => room.tenant).length;
+        return rooms.length > 0 ? occupied / rooms.length : 0;
+      }
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * 工具方法：取得嵌套物件值
+   */
+  getNestedValue(obj, path) {
+    return path
+      .split(".")
+      .reduce(
+        (current, key) =>
+          current && current[key] !== undefined ? current[key] : undefined,
+        obj
+      );
+  }
+
+  /**
+   * 工具方法：比較數值
+   */
+  compareValues(actual, operator, expected) {
+    switch (operator) {
+      case "==":
+        return actual == expected;
+      case "===":
+        return actual === expected;
+      case "!=":
+        return actual != expected;
+      case "!==":
+        return actual !== expected;
+      case ">":
+        return actual > expected;
+      case ">=":
+        return actual >= expected;
+      case "<":
+        return actual < expected;
+      case "<=":
+        return actual <= expected;
+      case "contains":
+        return Array.isArray(actual) && actual.includes(expected);
+      case "hasProperty":
+        return !!actual && Object.hasOwn(actual, expected);
+      case "hasNeedsRepair":
+        return Array.isArray(actual) && actual.some((room) => room.needsRepair);
+      case "hasUnReinforced":
+        return (
+          Array.isArray(actual) &&
+          actual.some((room) => room.tenant && !room.reinforced)
+        );
+      default:
+        return false;
+    }
+  }
+}
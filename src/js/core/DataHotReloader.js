@@ -0,0 +1,295 @@
+/**
+ * DataHotReloader - 資料檔熱重載（開發模式）
+ * 職責：
+ * 1. 定期讀取資料檔，內容有變動時以 DataManager.loadData(type, true) 重新載入
+ * 2. 重新載入沿用 DataManager 的驗證與模組包合併，驗證失敗時保留目前資料
+ * 3. 比對新舊資料並產生差異清單（新增、移除、變更的欄位路徑）
+ * 4. 將通過驗證的資料交給呼叫端套用到執行中的系統，不重設遊戲狀態
+ *
+ * 設計模式：輪詢觀察者
+ * 核心特性：只在檔案內容改變時重新驗證、同一錯誤只回報一次、差異路徑依 ID 標示
+ */
+
+import { DEV_CONFIG } from "../utils/constants.js";
+import { ModManager } from "./ModManager.js";
+
+export class DataHotReloader {
+  /**
+   * @param {DataManager} dataManager - 資料管理器
+   * @param {Object} options - 選項
+   * @param {Array<string>} [options.dataTypes] - 監看的資料類型（依序檢查）
+   * @param {number} [options.interval] - 輪詢間隔（毫秒）
+   * @param {Function} [options.onReload] - (dataType, data, changes) => void|Promise，資料變更並通過驗證後呼叫
+   * @param {Function} [options.onError] - (dataType, error) => void，讀取或驗證失敗時呼叫
+   */
+  constructor(dataManager, options = {}) {
+    this.dataManager = dataManager;
+    this.dataTypes = options.dataTypes || DEV_CONFIG.HOT_RELOAD.DATA_TYPES;
+    this.interval = options.interval ?? DEV_CONFIG.HOT_RELOAD.POLL_INTERVAL;
+    this.onReload = options.onReload || null;
+    this.onError = options.onError || null;
+
+    // 最近一次讀到的檔案內容（序列化）：dataType -> string
+    this.fingerprints = new Map();
+
+    // 最近一次載入的資料副本，作為差異比對基準：dataType -> any
+    // 各系統可能就地修改快取資料（如排序），不能直接拿快取比對
+    this.snapshots = new Map();
+
+    // 最近一次回報的錯誤訊息，避免每次輪詢重複回報：dataType -> string
+    this.lastErrors = new Map();
+
+    this.timer = null;
+    this.starting = false;
+    this.polling = false;
+    this.stats = { polls: 0, reloads: 0, failures: 0 };
+  }
+
+  /**
+   * 記錄目前的檔案內容後開始輪詢
+   * @returns {Promise<boolean>} 是否成功開始（已在執行或啟動期間被停止時為 false）
+   */
+  async start() {
+    if (this.timer || this.starting) return false;
+    this.starting = true;
+
+    for (const dataType of this.dataTypes) {
+      const fingerprint = await this.readFingerprint(dataType);
+      if (fingerprint !== null) {
+        this.fingerprints.set(dataType, fingerprint);
+      }
+      this.takeSnapshot(dataType, this.dataManager.getCachedData(dataType));
+    }
+
+    // 讀取期間已呼叫 stop()（如遊戲關閉），不再開始輪詢
+    if (!this.starting) return false;
+    this.starting = false;
+
+    this.timer = setInterval(() => this.poll(), this.interval);
+    console.log(
+      `♻️ 資料熱重載已啟動（每 ${this.interval}ms 檢查 ${this.dataTypes.join(
+        ", "
+      )}）`
+    );
+    return true;
+  }
+
+  /**
+   * 停止輪詢
+   */
+  stop() {
+    this.starting = false;
+    if (!this.timer) return;
+
+    clearInterval(this.timer);
+    this.timer = null;
+    console.log("♻️ 資料熱重載已停止");
+  }
+
+  isRunning() {
+    return this.timer !== null;
+  }
+
+  /**
+   * 檢查所有監看的資料檔（上一次輪詢未完成時略過）
+   * @returns {Promise<Array<{dataType: string, changes: Array}>>} 本次重新載入的資料
+   */
+  async poll() {
+    if (this.polling) return [];
+
+    this.polling = true;
+    this.stats.polls++;
+
+    const reloaded = [];
+    try {
+      for (const dataType of this.dataTypes) {
+        const changes = await this.checkDataType(dataType);
+        if (changes) reloaded.push({ dataType, changes });
+      }
+    } finally {
+      this.polling = false;
+    }
+
+    return reloaded;
+  }
+
+  /**
+   * 檔案內容改變時重新載入並比對差異
+   * @returns {Promise<Array|null>} 差異清單，沒有變更或載入失敗時為 null
+   * @private
+   */
+  async checkDataType(dataType) {
+    const fingerprint = await this.readFingerprint(dataType);
+    if (fingerprint === null) return null;
+
+    const previousFingerprint = this.fingerprints.get(dataType);
+    this.fingerprints.set(dataType, fingerprint);
+    if (
+      previousFingerprint === undefined ||
+      previousFingerprint === fingerprint
+    ) {
+      return null;
+    }
+
+    let data;
+    try {
+      // 驗證失敗時直接拋出，不改用預設資料，執行中的資料維持不變
+      data = await this.dataManager.loadData(dataType, true, {
+        useDefaultOnError: false,
+      });
+    } catch (error) {
+      this.reportError(dataType, error);
+      return null;
+    }
+    this.lastErrors.delete(dataType);
+
+    const previous = this.snapshots.get(dataType);
+    this.takeSnapshot(dataType, data);
+    const changes = DataHotReloader.diff(previous, data, dataType);
+    if (changes.length === 0) return null;
+
+    this.stats.reloads++;
+    try {
+      await this.onReload?.(dataType, data, changes);
+    } catch (error) {
+      this.reportError(dataType, error);
+    }
+
+    return changes;
+  }
+
+  /**
+   * 讀取資料檔並序列化，讀取或解析失敗時回報錯誤並回傳 null
+   * @private
+   */
+  async readFingerprint(dataType) {
+    try {
+      const raw = await this.dataManager.loadJsonFile(`${dataType}.json`);
+      return JSON.stringify(raw);
+    } catch (error) {
+      this.reportError(dataType, error);
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  takeSnapshot(dataType, data) {
+    if (data === null || data === undefined) return;
+    this.snapshots.set(dataType, structuredClone(data));
+  }
+
+  /**
+   * @private
+   */
+  reportError(dataType, error) {
+    if (this.lastErrors.get(dataType) === error.message) return;
+
+    this.lastErrors.set(dataType, error.message);
+    this.stats.failures++;
+
+    if (this.onError) {
+      this.onError(dataType, error);
+    } else {
+      console.warn(`⚠️ ${dataType} 熱重載失敗:`, error.message);
+    }
+  }
+
+  // ==================== 差異比對 ====================
+
+  /**
+   * 比對新舊資料
+   * 物件逐鍵比對；帶 id（租客類型為 typeId）的陣列依 ID 比對，路徑以 [ID] 標示
+   * @param {any} before - 舊資料
+   * @param {any} after - 新資料
+   * @param {string} path - 根路徑（通常為資料類型）
+   * @returns {Array<{kind: "added"|"removed"|"changed", path: string, before?: any, after?: any}>}
+   */
+  static diff(before, after, path = "") {
+    if (ModManager.isSameValue(before, after)) return [];
+
+    if (
+      Array.isArray(before) &&
+      Array.isArray(after) &&
+      ModManager.isKeyedArray(before) &&
+      ModManager.isKeyedArray(after)
+    ) {
+      return DataHotReloader.diffKeyedArrays(before, after, path);
+    }
+
+    if (ModManager.isPlainObject(before) && ModManager.isPlainObject(after)) {
+      const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+      return Array.from(keys).flatMap((key) => {
+        const childPath = path ? `${path}.${key}` : key;
+        if (!(key in before)) {
+          return [{ kind: "added", path: childPath, after: after[key] }];
+        }
+        if (!(key in after)) {
+          return [{ kind: "removed", path: childPath, before: before[key] }];
+        }
+        return DataHotReloader.diff(before[key], after[key], childPath);
+      });
+    }
+
+    return [{ kind: "changed", path, before, after }];
+  }
+
+  /**
+   * @private
+   */
+  static diffKeyedArrays(before, after, path) {
+    const beforeByKey = new Map(
+      before.map((entry) => [ModManager.getEntryKey(entry), entry])
+    );
+    const afterKeys = new Set(
+      after.map((entry) => ModManager.getEntryKey(entry))
+    );
+
+    const removed = before
+      .filter((entry) => !afterKeys.has(ModManager.getEntryKey(entry)))
+      .map((entry) => ({
+        kind: "removed",
+        path: `${path}[${ModManager.getEntryKey(entry)}]`,
+        before: entry,
+      }));
+
+    const addedOrChanged = after.flatMap((entry) => {
+      const key = ModManager.getEntryKey(entry);
+      const entryPath = `${path}[${key}]`;
+      if (!beforeByKey.has(key)) {
+        return [{ kind: "added", path: entryPath, after: entry }];
+      }
+      return DataHotReloader.diff(beforeByKey.get(key), entry, entryPath);
+    });
+
+    return [...removed, ...addedOrChanged];
+  }
+
+  /**
+   * 將單筆差異格式化為遊戲記錄文字
+   * @param {Object} change - diff() 回傳的差異
+   * @returns {string} 如「~ rules.mechanics.harvest.baseAmount：2 → 3」
+   */
+  static formatChange(change) {
+    switch (change.kind) {
+      case "added":
+        return `+ ${change.path}：${DataHotReloader.formatValue(change.after)}`;
+      case "removed":
+        return `- ${change.path}`;
+      default:
+        return `~ ${change.path}：${DataHotReloader.formatValue(
+          change.before
+        )} → ${DataHotReloader.formatValue(change.after)}`;
+    }
+  }
+
+  /**
+   * 精簡顯示值（物件與長字串截斷）
+   * @private
+   */
+  static formatValue(value) {
+    const text = JSON.stringify(value) ?? "undefined";
+    return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+  }
+}
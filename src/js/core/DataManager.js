@@ -4,7 +4,9 @@
  * 1. 從 JSON 配置檔案載入遊戲資料
  * 2. 整合 ConfigValidators 驗證系統
  * 3. 管理資料快取與更新
- * 4. 支援熱重載（開發階段）
+ * 4. 支援熱重載（開發階段，由 DataHotReloader 輪詢 loadData(type, true)）
+ * 5. 支援瀏覽器（fetch）與 Node.js（檔案系統）兩種載入環境
+ * 6. 套用啟用中的模組包（ModManager），基礎資料驗證通過後逐層合併
  *
  * 設計模式：單例模式 + 工廠模式
  * 核心特性：非同步載入、錯誤處理、快取機制、配置驅動驗證
@@ -22,7 +24,14 @@ import {
 } from "../utils/constants.js";
 
 export class DataManager {
-  constructor() {
+  /**
+   * @param {Object} options - 載入選項
+   * @param {string|URL} [options.dataPath] - 配置檔案目錄（預設為 data/）
+   */
+  constructor(options = {}) {
+    // 配置檔案位置（Node.js 環境預設為 src/data/）
+    this.dataPath = options.dataPath || null;
+
     // 資料快取系統
     this.cache = new Map();
     this.loadPromises = new Map();
@@ -45,6 +54,9 @@ export class DataManager {
     // 驗證器工廠實例
     this.validatorFactory = defaultValidatorFactory;
 
+    // 模組包管理器（由 loadModPacks 注入，未注入時只使用基礎資料）
+    this.modManager = null;
+
     console.log("📦 DataManager 初始化完成，整合 ConfigValidators 系統");
     console.log(
       "🔍 可用驗證器類型:",
@@ -56,9 +68,13 @@ export class DataManager {
    * 載入指定類型的資料
    * @param {string} dataType - 資料類型 (tenants, skills, events, rules)
    * @param {boolean} forceReload - 是否強制重新載入
+   * @param {Object} [options] - 載入選項
+   * @param {boolean} [options.useDefaultOnError=true] - 載入或驗證失敗時改用預設資料（熱重載時關閉，保留目前資料）
    * @returns {Promise<any>} 載入的資料
    */
-  async loadData(dataType, forceReload = false) {
+  async loadData(dataType, forceReload = false, options = {}) {
+    const { useDefaultOnError = true } = options;
+
     // 快取檢查
     if (!forceReload && this.cache.has(dataType)) {
       console.log(`📦 從快取載入 ${dataType} 資料`);
@@ -111,8 +127,11 @@ export class DataManager {
         });
       }
 
+      // 套用模組包（每層合併後重新驗證，未通過的模組包略過）
+      const layeredData = this.applyModPacks(dataType, data);
+
       // 快取資料和驗證結果
-      this.cache.set(dataType, data);
+      this.cache.set(dataType, layeredData);
       this.validationResults.set(dataType, validationResult);
       this.loadingStatus[dataType] = true;
 
@@ -123,13 +142,19 @@ export class DataManager {
       });
 
       // 特殊處理：rules 載入完成後初始化 GameHelpers
-      if (dataType === "rules" && data && window.gameApp) {
+      if (
+        dataType === "rules" &&
+        layeredData &&
+        typeof window !== "undefined" &&
+        window.gameApp
+      ) {
         try {
           if (
             window.gameApp.gameHelpers &&
             typeof window.gameApp.gameHelpers.injectConfig === "function"
           ) {
-            const success = window.gameApp.gameHelpers.injectConfig(data);
+            const success =
+              window.gameApp.gameHelpers.injectConfig(layeredData);
             console.log(
               success
                 ? "✅ GameHelpers 配置注入成功"
@@ -141,7 +166,7 @@ export class DataManager {
         }
       }
 
-      return data;
+      return layeredData;
     } catch (error) {
       const errorMessage = `載入 ${dataType} 資料失敗: ${error.message}`;
       console.error(`❌ ${errorMessage}`);
@@ -149,6 +174,10 @@ export class DataManager {
       // 記錄錯誤
       this.recordError(dataType, error);
 
+      if (!useDefaultOnError) {
+        throw new Error(errorMessage);
+      }
+
       // 嘗試使用預設資料
       console.warn(`🔄 嘗試使用 ${dataType} 預設資料...`);
       const defaultData = this.getDefaultData(dataType);
@@ -183,10 +212,23 @@ export class DataManager {
    * @private
    */
   async _loadFromFile(dataType) {
-    const filename = `data/${dataType}.json`;
+    return this.loadJsonFile(`${dataType}.json`);
+  }
+
+  /**
+   * 載入資料目錄下的 JSON 檔案（資料檔與模組包共用）
+   * @param {string} relativePath - 相對於資料目錄的路徑（如 mods/index.json）
+   */
+  async loadJsonFile(relativePath) {
+    if (DataManager.isNodeEnvironment()) {
+      return this._loadFromFileSystem(relativePath);
+    }
+
+    const filename = `${this.dataPath || "data"}/${relativePath}`;
 
     try {
-      const response = await fetch(filename);
+      // 熱重載會重複讀取同一檔案，要求瀏覽器向伺服器確認是否有更新
+      const response = await fetch(filename, { cache: "no-cache" });
 
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -207,6 +249,83 @@ export class DataManager {
     }
   }
 
+  /**
+   * 從檔案系統載入資料（Node.js 環境）
+   * @private
+   */
+  async _loadFromFileSystem(relativePath) {
+    const { readFile } = await import("node:fs/promises");
+    const { pathToFileURL } = await import("node:url");
+
+    // 自訂目錄以目前工作目錄解析；未指定時使用 src/data/
+    const baseUrl = this.dataPath
+      ? pathToFileURL(`${String(this.dataPath).replace(/\/?$/, "/")}`)
+      : new URL("../../data/", import.meta.url);
+    const fileUrl = new URL(relativePath, baseUrl);
+
+    let text;
+    try {
+      text = await readFile(fileUrl, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw new Error(`找不到配置檔案: ${fileUrl.pathname}`);
+      }
+      throw error;
+    }
+
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`JSON 檔案格式錯誤: ${error.message}`);
+    }
+  }
+
+  /**
+   * 載入模組包清單，之後載入的資料會套用啟用中的模組包
+   * 模組包清單載入失敗不影響基礎資料
+   * @param {ModManager} modManager - 模組包管理器
+   * @returns {Promise<number>} 可用的模組包數
+   */
+  async loadModPacks(modManager) {
+    this.modManager = modManager;
+
+    try {
+      return await modManager.loadManifests(
+        (relativePath) => this.loadJsonFile(relativePath),
+        this.validatorFactory
+      );
+    } catch (error) {
+      console.warn("⚠️ 模組包載入失敗，以基礎資料執行:", error.message);
+      this.recordError("mods", error);
+      return 0;
+    }
+  }
+
+  /**
+   * 將啟用中的模組包合併到已驗證的基礎資料
+   * @private
+   */
+  applyModPacks(dataType, data) {
+    if (!this.modManager?.loaded) {
+      return data;
+    }
+
+    return this.modManager.applyLayers(dataType, data, (type, candidate) =>
+      this.validatorFactory.validateConfig(type, candidate)
+    );
+  }
+
+  /**
+   * 檢查是否在 Node.js 環境執行（無 window、可存取檔案系統）
+   */
+  static isNodeEnvironment() {
+    return (
+      typeof window === "undefined" &&
+      typeof process !== "undefined" &&
+      !!process.versions?.node
+    );
+  }
+
   /**
    * 配置資料驗證（使用 ConfigValidators）
    * @param {string} dataType - 資料類型
@@ -557,6 +676,7 @@ export class DataManager {
         conflict_events: [],
         special_events: [],
         scripted_events: [],
+        chain_events: [],
       },
 
       rules: {
@@ -872,13 +992,18 @@ export class DataManager {
 
   /**
    * 批次驗證多種配置資料
+   * 提供兩種以上的遊戲資料時，結果另含 crossReferences（跨檔案參照檢查）
    * @param {Object} dataMap - 資料類型與資料的映射
+   * @param {Object} [options] - { knownTypes, strictTypes }：已註冊的條件與效果類型、未知類型是否視為錯誤
    * @returns {Object} 驗證結果映射
    */
-  validateMultipleConfigs(dataMap) {
+  validateMultipleConfigs(dataMap, options = {}) {
     console.log(`🔍 批次驗證配置: ${Object.keys(dataMap).join(", ")}`);
 
-    const results = this.validatorFactory.validateMultipleConfigs(dataMap);
+    const results = this.validatorFactory.validateMultipleConfigs(
+      dataMap,
+      options
+    );
 
     // 記錄批次驗證統計
     const summary = ValidationUtils.summarizeValidationResults(results);
@@ -933,6 +1058,7 @@ export class DataManager {
         keys: Array.from(this.cache.keys()),
       },
       activePromises: Array.from(this.loadPromises.keys()),
+      mods: this.modManager ? this.modManager.getStatus() : null,
       systemLimits: {
         maxErrorLogSize: this.maxErrorLogSize,
       },
@@ -0,0 +1,106 @@
+/**
+ * EffectTransaction - 效果批次交易
+ * 職責：
+ * 1. 在執行一批效果前記錄遊戲狀態（資源、房間、租客、滿意度等）
+ * 2. 任一效果拋出錯誤時將狀態還原到批次開始前，避免只套用一半的效果
+ * 3. 還原時保留物件參照，其他系統持有的租客、房間物件不會失效
+ *
+ * 設計模式：備忘錄模式（快照 + 還原）
+ * 核心特性：就地還原、循環參照安全、只記錄可修改的一般物件、陣列與 Map
+ * 限制：只還原狀態，批次中已送出的事件與其觸發的規則不會撤銷
+ */
+
+export class EffectTransaction {
+  /**
+   * 建立交易並立即記錄快照
+   * @param {Array<Object|Map>} roots - 需要保護的狀態根物件（通常為 gameState，可再加上系統內部佇列與租客狀態表）
+   */
+  constructor(roots = []) {
+    // 物件 -> 批次開始時的自有屬性（淺拷貝，子物件另行記錄）
+    this.snapshots = new Map();
+    this.settled = false;
+
+    roots.forEach((root) => this.capture(root));
+  }
+
+  /**
+   * 遞迴記錄所有可到達的一般物件、陣列與 Map
+   * Set、類別實例視為不可變的參照，不會被還原
+   * @private
+   */
+  capture(value) {
+    if (!EffectTransaction.isCapturable(value) || this.snapshots.has(value)) {
+      return;
+    }
+
+    // Map 記錄鍵值對，值（如租客狀態）再逐一記錄
+    if (value instanceof Map) {
+      const entries = Array.from(value.entries());
+      this.snapshots.set(value, entries);
+      entries.forEach(([, child]) => this.capture(child));
+      return;
+    }
+
+    const entries = Array.isArray(value) ? [...value] : { ...value };
+    this.snapshots.set(value, entries);
+
+    Object.values(entries).forEach((child) => this.capture(child));
+  }
+
+  /**
+   * 效果全部成功，放棄快照
+   */
+  commit() {
+    this.snapshots.clear();
+    this.settled = true;
+  }
+
+  /**
+   * 還原到批次開始前的狀態
+   * @returns {number} 還原的物件數
+   */
+  rollback() {
+    if (this.settled) {
+      throw new Error("交易已結束，無法還原");
+    }
+
+    this.snapshots.forEach((entries, target) => {
+      if (target instanceof Map) {
+        target.clear();
+        entries.forEach(([key, child]) => target.set(key, child));
+        return;
+      }
+
+      if (Array.isArray(target)) {
+        target.length = 0;
+        target.push(...entries);
+        return;
+      }
+
+      Object.keys(target).forEach((key) => {
+        if (!Object.hasOwn(entries, key)) {
+          delete target[key];
+        }
+      });
+      Object.assign(target, entries);
+    });
+
+    const restored = this.snapshots.size;
+    this.snapshots.clear();
+    this.settled = true;
+    return restored;
+  }
+
+  /**
+   * 是否為需要記錄的一般物件、陣列或 Map
+   */
+  static isCapturable(value) {
+    if (!value || typeof value !== "object" || Object.isFrozen(value)) {
+      return false;
+    }
+    if (Array.isArray(value) || value instanceof Map) return true;
+
+    const prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+  }
+}
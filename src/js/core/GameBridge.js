@@ -132,7 +132,7 @@ export class GameBridge extends EventTarget {
     this.addEventListener("rule:executed", this.handleRuleExecution.bind(this));
 
     // 設定定期健康檢查
-    setInterval(() => {
+    this.healthCheckTimer = setInterval(() => {
       this.performHealthCheck();
     }, 30000); // 每30秒檢查一次
   }
@@ -623,6 +623,20 @@ export class GameBridge extends EventTarget {
       : "0%";
   }
 
+  /**
+   * 關閉橋接器（停止定期健康檢查，讓 Node.js 腳本可以正常結束）
+   */
+  shutdown() {
+    if (this.healthCheckTimer) {
+      clearInterval(this.healthCheckTimer);
+      this.healthCheckTimer = null;
+    }
+
+    this.systemStatus.initialized = false;
+    this.emit("system:shutdown");
+    console.log("🔌 GameBridge 已關閉");
+  }
+
   /**
    * 除錯方法
    */
@@ -0,0 +1,453 @@
+/**
+ * ModManager - 模組包管理
+ * 職責：
+ * 1. 讀取 mods/index.json 列出的模組包清單，並以 ModManifestValidator 驗證
+ * 2. 依清單順序將啟用中的模組包逐層深度合併到基礎資料上
+ * 3. 每層合併後交由對應的配置驗證器檢查，未通過的模組包不套用該類資料
+ * 4. 記錄衝突：重複 ID（覆寫既有條目）與被覆寫的欄位，並標示原本的來源
+ * 5. 保存啟用狀態（localStorage），供模組畫面切換
+ *
+ * 設計模式：圖層合併（基礎資料 → 模組包 1 → 模組包 2 …）
+ * 核心特性：有 id/typeId 的陣列依 ID 合併、其他陣列整筆取代、合併不修改原始資料
+ */
+
+import { MOD_SYSTEM } from "../utils/constants.js";
+import { SaveManager } from "./SaveManager.js";
+
+export class ModManager {
+  /**
+   * @param {Object} options - 選項
+   * @param {Array<string>|null} [options.enabled] - 指定啟用的模組包（未指定時讀取已保存的設定）
+   * @param {Storage|null} [options.storage] - 保存啟用狀態的儲存區（預設為 localStorage）
+   */
+  constructor(options = {}) {
+    this.storage =
+      options.storage !== undefined
+        ? options.storage
+        : SaveManager.detectStorage();
+
+    // 模組包：id -> {manifest, order, valid, errors, appliedTypes, rejectedTypes}
+    this.packs = new Map();
+    this.enabledIds = new Set(options.enabled ?? this.readEnabledIds());
+
+    // 衝突記錄：dataType -> 衝突陣列（每次套用該類資料時重建）
+    this.conflicts = new Map();
+
+    // 來源追蹤：dataType -> (路徑 -> 模組包 ID)
+    this.provenance = new Map();
+
+    // 本次載入時實際生效的模組包（切換後需重新載入才會改變）
+    this.loadedIds = new Set();
+    this.loaded = false;
+  }
+
+  // ==================== 載入 ====================
+
+  /**
+   * 載入並驗證所有模組包清單
+   * 找不到 mods/index.json 時視為沒有模組包
+   * @param {Function} loadJson - (相對於資料目錄的路徑) => Promise<Object>
+   * @param {ValidatorFactory} validatorFactory - 驗證器工廠
+   * @returns {Promise<number>} 可用的模組包數
+   */
+  async loadManifests(loadJson, validatorFactory) {
+    this.packs.clear();
+
+    let index;
+    try {
+      index = await loadJson(MOD_SYSTEM.INDEX_FILE);
+    } catch (error) {
+      console.log(`🧩 未找到模組包清單（${error.message}），以基礎資料執行`);
+      this.loaded = true;
+      return 0;
+    }
+
+    const packIds = Array.isArray(index?.packs) ? index.packs : [];
+
+    for (const [order, packId] of packIds.entries()) {
+      const pack = {
+        id: packId,
+        manifest: null,
+        order: order,
+        valid: false,
+        errors: [],
+        appliedTypes: new Set(),
+        rejectedTypes: new Map(),
+      };
+      this.packs.set(packId, pack);
+
+      try {
+        pack.manifest = await loadJson(
+          `${MOD_SYSTEM.DIRECTORY}/${packId}.json`
+        );
+      } catch (error) {
+        pack.errors.push(error.message);
+        console.warn(`⚠️ 模組包 ${packId} 載入失敗: ${error.message}`);
+        continue;
+      }
+
+      const result = validatorFactory.validateConfig("mods", pack.manifest);
+      if (pack.manifest.id !== packId) {
+        result.addError(
+          `模組包 ID ${pack.manifest.id} 與清單中的 ${packId} 不一致`,
+          "id",
+          "MOD_ID_MISMATCH"
+        );
+      }
+
+      pack.valid = result.isValid;
+      pack.errors.push(...result.errors.map((error) => error.message));
+
+      if (!pack.valid) {
+        console.warn(`⚠️ 模組包 ${packId} 驗證失敗:`, pack.errors);
+      }
+    }
+
+    this.loaded = true;
+    this.loadedIds = new Set(this.getActivePacks().map((pack) => pack.id));
+    const validCount = this.getPacks().filter((pack) => pack.valid).length;
+    console.log(
+      `🧩 載入 ${validCount}/${packIds.length} 個模組包，啟用: ${
+        this.getActivePacks()
+          .map((pack) => pack.id)
+          .join(", ") || "無"
+      }`
+    );
+    return validCount;
+  }
+
+  // ==================== 合併 ====================
+
+  /**
+   * 將啟用中的模組包依序套用到基礎資料
+   * 沒有模組包提供此類資料時直接回傳原始資料
+   * @param {string} dataType - 資料類型
+   * @param {any} baseData - 已通過驗證的基礎資料
+   * @param {Function} validate - (dataType, data) => ValidationResult
+   * @returns {any} 合併後的資料
+   */
+  applyLayers(dataType, baseData, validate) {
+    this.conflicts.set(dataType, []);
+    this.provenance.set(dataType, new Map());
+
+    let data = baseData;
+
+    this.getActivePacks().forEach((pack) => {
+      pack.appliedTypes.delete(dataType);
+      pack.rejectedTypes.delete(dataType);
+
+      const patch = pack.manifest.data[dataType];
+      if (patch === undefined) return;
+
+      const trace = this.createTrace(pack.id, dataType);
+      const candidate = this.mergeValue(data, patch, dataType, trace);
+
+      const result = validate(dataType, candidate);
+      if (!result.isValid) {
+        const messages = result.errors.map((error) => error.message);
+        pack.rejectedTypes.set(dataType, messages);
+        console.warn(
+          `⚠️ 模組包 ${pack.id} 的 ${dataType} 資料合併後驗證失敗，略過:`,
+          messages
+        );
+        return;
+      }
+
+      data = candidate;
+      trace.commit();
+      pack.appliedTypes.add(dataType);
+      console.log(`🧩 已套用模組包 ${pack.id} 的 ${dataType} 資料`);
+    });
+
+    this.getConflicts(dataType).forEach((conflict) => {
+      console.warn(`⚠️ 模組衝突: ${this.formatConflict(conflict)}`);
+    });
+
+    return data;
+  }
+
+  /**
+   * 建立單層合併的追蹤器：衝突與來源先暫存，驗證通過後才寫入
+   * @private
+   */
+  createTrace(packId, dataType) {
+    const provenance = this.provenance.get(dataType);
+    const claims = new Map();
+    const conflicts = [];
+
+    // 由路徑往上找最近一次寫入的來源
+    const ownerOf = (path) => {
+      let current = path;
+      while (current) {
+        if (claims.has(current)) return claims.get(current);
+        if (provenance.has(current)) return provenance.get(current);
+        current = ModManager.parentPath(current);
+      }
+      return "base";
+    };
+
+    return {
+      claim: (path) => claims.set(path, packId),
+      report: (type, path) => {
+        conflicts.push({
+          packId: packId,
+          dataType: dataType,
+          type: type,
+          path: path,
+          overrides: ownerOf(path),
+        });
+      },
+      commit: () => {
+        claims.forEach((owner, path) => provenance.set(path, owner));
+        this.conflicts.get(dataType).push(...conflicts);
+      },
+    };
+  }
+
+  /**
+   * 深度合併一層資料（不修改 base 與 patch）
+   * - 物件：逐鍵合併
+   * - 兩邊都是帶 id/typeId 的物件陣列：依 ID 合併，新 ID 附加到尾端
+   * - 其他值：整筆取代，與原值不同時記為覆寫
+   * @private
+   */
+  mergeValue(base, patch, path, trace) {
+    if (
+      Array.isArray(base) &&
+      Array.isArray(patch) &&
+      ModManager.isKeyedArray(base) &&
+      ModManager.isKeyedArray(patch)
+    ) {
+      return this.mergeKeyedArray(base, patch, path, trace);
+    }
+
+    if (ModManager.isPlainObject(base) && ModManager.isPlainObject(patch)) {
+      const merged = { ...base };
+
+      Object.entries(patch).forEach(([key, value]) => {
+        const childPath = `${path}.${key}`;
+
+        if (Object.hasOwn(base, key)) {
+          merged[key] = this.mergeValue(base[key], value, childPath, trace);
+        } else {
+          merged[key] = structuredClone(value);
+          trace.claim(childPath);
+        }
+      });
+
+      return merged;
+    }
+
+    if (base !== undefined && !ModManager.isSameValue(base, patch)) {
+      trace.report("overriddenKey", path);
+    }
+    trace.claim(path);
+    return structuredClone(patch);
+  }
+
+  /**
+   * 依 ID 合併陣列：既有 ID 記為重複並深度合併，新 ID 附加
+   * @private
+   */
+  mergeKeyedArray(base, patch, path, trace) {
+    const merged = [...base];
+
+    patch.forEach((entry) => {
+      const key = ModManager.getEntryKey(entry);
+      const entryPath = `${path}[${key}]`;
+      const index = merged.findIndex(
+        (item) => ModManager.getEntryKey(item) === key
+      );
+
+      if (index === -1) {
+        merged.push(structuredClone(entry));
+        trace.claim(entryPath);
+        return;
+      }
+
+      trace.report("duplicateId", entryPath);
+      merged[index] = this.mergeValue(merged[index], entry, entryPath, trace);
+    });
+
+    return merged;
+  }
+
+  /**
+   * 取得條目 ID（事件、技能、規則用 id，租客類型用 typeId）
+   */
+  static getEntryKey(entry) {
+    return entry?.id ?? entry?.typeId;
+  }
+
+  /**
+   * 陣列中每個元素都是帶 ID 的物件（空陣列也算）
+   */
+  static isKeyedArray(array) {
+    return array.every(
+      (item) =>
+        ModManager.isPlainObject(item) &&
+        ModManager.getEntryKey(item) !== undefined
+    );
+  }
+
+  static isPlainObject(value) {
+    return !!value && typeof value === "object" && !Array.isArray(value);
+  }
+
+  static isSameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  /**
+   * 取得上一層路徑（a.b[c].d → a.b[c] → a.b → a → 空字串）
+   */
+  static parentPath(path) {
+    const parent = path.replace(/(\.[^.[\]]+|\[[^\]]*\])$/, "");
+    return parent === path ? "" : parent;
+  }
+
+  // ==================== 啟用狀態 ====================
+
+  /**
+   * 啟用或停用模組包（下次載入資料時生效）
+   * @returns {boolean} 是否成功
+   */
+  setEnabled(packId, enabled) {
+    const pack = this.packs.get(packId);
+    if (!pack) {
+      console.warn(`⚠️ 找不到模組包: ${packId}`);
+      return false;
+    }
+
+    if (enabled && !pack.valid) {
+      console.warn(`⚠️ 模組包 ${packId} 未通過驗證，無法啟用`);
+      return false;
+    }
+
+    if (enabled) {
+      this.enabledIds.add(packId);
+    } else {
+      this.enabledIds.delete(packId);
+    }
+
+    this.writeEnabledIds();
+    return true;
+  }
+
+  isEnabled(packId) {
+    return this.enabledIds.has(packId);
+  }
+
+  /**
+   * 取得所有模組包（依套用順序）
+   */
+  getPacks() {
+    return Array.from(this.packs.values()).sort((a, b) => a.order - b.order);
+  }
+
+  /**
+   * 取得啟用且通過驗證的模組包（依套用順序）
+   */
+  getActivePacks() {
+    return this.getPacks().filter(
+      (pack) => pack.valid && this.enabledIds.has(pack.id)
+    );
+  }
+
+  /**
+   * 讀取已保存的啟用清單
+   * @private
+   */
+  readEnabledIds() {
+    try {
+      const saved = JSON.parse(
+        this.storage?.getItem(MOD_SYSTEM.STORAGE_KEY) || "[]"
+      );
+      return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+      console.warn("⚠️ 模組啟用設定讀取失敗:", error.message);
+      return [];
+    }
+  }
+
+  /**
+   * 保存啟用清單
+   * @private
+   */
+  writeEnabledIds() {
+    try {
+      this.storage?.setItem(
+        MOD_SYSTEM.STORAGE_KEY,
+        JSON.stringify(Array.from(this.enabledIds))
+      );
+    } catch (error) {
+      console.warn("⚠️ 模組啟用設定保存失敗:", error.message);
+    }
+  }
+
+  // ==================== 查詢 ====================
+
+  /**
+   * 取得衝突記錄
+   * @param {string|null} dataType - 資料類型，null 表示全部
+   */
+  getConflicts(dataType = null) {
+    if (dataType) {
+      return [...(this.conflicts.get(dataType) || [])];
+    }
+    return Array.from(this.conflicts.values()).flat();
+  }
+
+  /**
+   * 格式化衝突說明
+   */
+  formatConflict(conflict) {
+    const source =
+      conflict.overrides === "base"
+        ? "基礎資料"
+        : `模組包 ${conflict.overrides}`;
+    const label = conflict.type === "duplicateId" ? "重複 ID" : "覆寫欄位";
+    return `${conflict.packId}：${label} ${conflict.path}（原來源：${source}）`;
+  }
+
+  /**
+   * 模組畫面使用的模組包摘要
+   */
+  getPackSummaries() {
+    return this.getPacks().map((pack) => ({
+      id: pack.id,
+      name: pack.manifest?.name || pack.id,
+      version: pack.manifest?.version || null,
+      description: pack.manifest?.description || "",
+      order: pack.order,
+      valid: pack.valid,
+      enabled: this.enabledIds.has(pack.id),
+      pendingReload:
+        this.enabledIds.has(pack.id) !== this.loadedIds.has(pack.id),
+      dataTypes: pack.manifest?.data ? Object.keys(pack.manifest.data) : [],
+      appliedTypes: Array.from(pack.appliedTypes),
+      errors: [
+        ...pack.errors,
+        ...Array.from(pack.rejectedTypes.entries()).flatMap(
+          ([dataType, messages]) =>
+            messages.map((message) => `${dataType}: ${message}`)
+        ),
+      ],
+      conflicts: this.getConflicts()
+        .filter((conflict) => conflict.packId === pack.id)
+        .map((conflict) => this.formatConflict(conflict)),
+    }));
+  }
+
+  /**
+   * 取得狀態資訊
+   */
+  getStatus() {
+    return {
+      loaded: this.loaded,
+      total: this.packs.size,
+      enabled: this.getActivePacks().map((pack) => pack.id),
+      conflicts: this.getConflicts().length,
+    };
+  }
+}
@@ -0,0 +1,177 @@
+/**
+ * RandomService - 可重現的種子隨機數服務
+ * 職責：
+ * 1. 以單一種子產生所有遊戲邏輯使用的隨機數
+ * 2. 提供機率判定、範圍整數、陣列抽選等常用介面
+ * 3. 匯出/復原產生器內部狀態，讓讀檔後的隨機序列保持一致
+ *
+ * 設計模式：單例服務（透過 GameBridge.registerService 共用）
+ * 核心特性：Mulberry32 演算法、字串種子雜湊、狀態序列化
+ */
+
+/** 32 位元無號整數上限（種子與內部狀態皆落在此範圍） */
+const UINT32_RANGE = 4294967296;
+
+export class RandomService {
+  constructor(seed = null) {
+    // 產生器狀態
+    this.seed = 0;
+    this.state = 0;
+
+    // 統計資訊
+    this.drawCount = 0;
+
+    this.setSeed(
+      seed === null || seed === undefined ? RandomService.generateSeed() : seed
+    );
+
+    console.log(`🎲 RandomService 建構完成，種子: ${this.seed}`);
+  }
+
+  /**
+   * 產生新的隨機種子（僅用於開新局，不參與遊戲邏輯）
+   */
+  static generateSeed() {
+    if (typeof crypto !== "undefined" && crypto.getRandomValues) {
+      return crypto.getRandomValues(new Uint32Array(1))[0];
+    }
+    return (Date.now() ^ Math.floor(Math.random() * UINT32_RANGE)) >>> 0;
+  }
+
+  /**
+   * 將任意種子輸入正規化為 32 位元無號整數
+   * @param {number|string} seed - 數字或字串種子
+   * @returns {number|null} 正規化後的種子，無效輸入回傳 null
+   */
+  static normalizeSeed(seed) {
+    if (typeof seed === "number") {
+      return Number.isFinite(seed)
+        ? Math.floor(Math.abs(seed)) % UINT32_RANGE
+        : null;
+    }
+
+    if (typeof seed !== "string" || seed.trim() === "") {
+      return null;
+    }
+
+    const trimmed = seed.trim();
+    if (/^\d+$/.test(trimmed)) {
+      return Number(trimmed) % UINT32_RANGE;
+    }
+
+    // FNV-1a 雜湊：讓文字種子（如 "zombie"）也能重現
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < trimmed.length; i++) {
+      hash ^= trimmed.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * 設定種子並重置產生器
+   * @returns {number} 實際使用的種子
+   */
+  setSeed(seed) {
+    const normalized = RandomService.normalizeSeed(seed);
+    if (normalized === null) {
+      throw new Error(`無效的隨機種子: ${seed}`);
+    }
+
+    this.seed = normalized;
+    this.state = normalized;
+    this.drawCount = 0;
+    return this.seed;
+  }
+
+  /**
+   * 取得目前種子
+   */
+  getSeed() {
+    return this.seed;
+  }
+
+  /**
+   * 產生 [0, 1) 區間的隨機數（Mulberry32）
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    this.drawCount++;
+    return ((t ^ (t >>> 14)) >>> 0) / UINT32_RANGE;
+  }
+
+  /**
+   * 機率判定
+   * @param {number} probability - 成功機率（0-1）
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+   * 範圍內隨機整數（包含邊界）
+   */
+  randomInt(min, max) {
+    return Math.floor(this.next() * (max - min + 1)) + min;
+  }
+
+  /**
+   * 從陣列中隨機抽選一個元素
+   * @returns {any} 選中的元素，空陣列回傳 undefined
+   */
+  pick(array) {
+    if (!Array.isArray(array) || array.length === 0) {
+      return undefined;
+    }
+    return array[Math.floor(this.next() * array.length)];
+  }
+
+  // ==================== 狀態序列化介面 ====================
+
+  /**
+   * 匯出產生器狀態
+   */
+  exportState() {
+    return {
+      seed: this.seed,
+      state: this.state,
+      drawCount: this.drawCount,
+    };
+  }
+
+  /**
+   * 復原產生器狀態
+   * 只有種子時從序列起點重新開始
+   * @returns {boolean} 是否成功復原
+   */
+  restoreState(savedState) {
+    if (!savedState || RandomService.normalizeSeed(savedState.seed) === null) {
+      return false;
+    }
+
+    this.setSeed(savedState.seed);
+
+    if (Number.isInteger(savedState.state)) {
+      this.state = savedState.state >>> 0;
+      this.drawCount = Number.isInteger(savedState.drawCount)
+        ? savedState.drawCount
+        : 0;
+    }
+
+    return true;
+  }
+
+  /**
+   * 取得服務狀態
+   */
+  getStatus() {
+    return {
+      seed: this.seed,
+      drawCount: this.drawCount,
+      algorithm: "mulberry32",
+    };
+  }
+}
@@ -10,6 +10,12 @@
  * 核心特性：聲明式規則定義、條件驗證、效果執行、執行歷史追蹤
  */
 
+import { ConditionRegistry } from "./ConditionRegistry.js";
+import { EffectTransaction } from "./EffectTransaction.js";
+
+/** 事件觸發規則的巢狀上限，避免規則效果再次發出同一事件造成無限迴圈 */
+const MAX_TRIGGER_DEPTH = 5;
+
 export class RuleEngine {
   constructor(gameStateRef) {
     this.gameState = gameStateRef;
@@ -20,8 +26,8 @@ export class RuleEngine {
     this.executionHistory = [];
     this.maxHistorySize = 100;
 
-    // 條件檢查器註冊表（策略模式）
-    this.conditionCheckers = new Map();
+    // 條件檢查註冊表（預設使用獨立註冊表，由 main.js 注入 GameBridge 的共用註冊表）
+    this.conditionRegistry = new ConditionRegistry();
 
     // 效果執行器註冊表（命令模式）
     this.effectExecutors = new Map();
@@ -33,124 +39,24 @@ export class RuleEngine {
       failedExecutions: 0,
       conditionFailures: 0,
       effectErrors: 0,
+      rollbacks: 0,
     };
 
-    // 初始化內建系統
-    this.registerBuiltinConditions();
-    this.registerBuiltinEffects();
-  }
-
-  /**
-   * 註冊內建條件檢查器
-   * 使用策略模式，每種條件類型對應一個檢查策略
-   */
-  registerBuiltinConditions() {
-    // 資源檢查策略
-    this.conditionCheckers.set("hasResource", (condition, gameState) => {
-      const { resource, amount, operator = ">=" } = condition;
-      const currentAmount = gameState.resources[resource] || 0;
-
-      switch (operator) {
-        case ">=":
-          return currentAmount >= amount;
-        case ">":
-          return currentAmount > amount;
-        case "<=":
-          return currentAmount <= amount;
-        case "<":
-          return currentAmount < amount;
-        case "==":
-          return currentAmount === amount;
-        default:
-          return currentAmount >= amount;
-      }
-    });
-
-    // 租客類型檢查策略
-    this.conditionCheckers.set("hasTenantType", (condition, gameState) => {
-      const { type, count = 1, includeInfected = false } = condition;
-
-      const tenants = gameState.rooms.filter((room) => {
-        if (!room.tenant) return false;
-        if (!includeInfected && room.tenant.infected) return false;
-        return room.tenant.type === type || room.tenant.typeId === type;
-      });
-
-      return tenants.length >= count;
-    });
-
-    // 時間條件檢查策略
-    this.conditionCheckers.set("dayRange", (condition, gameState) => {
-      const { min = 0, max = Infinity } = condition;
-      return gameState.day >= min && gameState.day <= max;
-    });
-
-    // 機率檢查策略
-    this.conditionCheckers.set("probability", (condition, gameState) => {
-      const { chance } = condition;
-      return Math.random() < chance;
-    });
-
-    // 複合條件 - AND 邏輯
-    this.conditionCheckers.set("and", (condition, gameState) => {
-      return condition.conditions.every((cond) =>
-        this.checkCondition(cond, gameState)
-      );
-    });
+    // 共用的種子隨機數服務（由 main.js 注入）
+    this.randomService = null;
 
-    // 複合條件 - OR 邏輯
-    this.conditionCheckers.set("or", (condition, gameState) => {
-      return condition.conditions.some((cond) =>
-        this.checkCondition(cond, gameState)
-      );
-    });
+    // 遊戲記錄輸出（由 main.js 注入，未注入時退回 window.addLog / console）
+    this.logHandler = null;
 
-    // 遊戲狀態檢查策略
-    this.conditionCheckers.set("gameStateCheck", (condition, gameState) => {
-      const { path, operator, value } = condition;
-      const actualValue = this.getNestedValue(gameState, path);
-      return this.compareValues(actualValue, operator, value);
-    });
+    // 租客系統引用（由 main.js 注入，效果批次還原時一併保護租客狀態）
+    this.tenantSystemRef = null;
 
-    // 資源稀缺性檢查策略
-    this.conditionCheckers.set("resourceScarcity", (condition, gameState) => {
-      const { resource, threshold } = condition;
-      const currentAmount = gameState.resources[resource] || 0;
-
-      // 基於閾值類型計算稀缺性
-      switch (threshold) {
-        case "critical":
-          return currentAmount < 5;
-        case "low":
-          return currentAmount < 10;
-        case "insufficient":
-          return currentAmount < 15;
-        default:
-          return false;
-      }
-    });
+    // 事件觸發規則（trigger.on）的訂閱：{eventSource, eventType, handler}
+    this.triggerSubscriptions = [];
+    this.triggerDepth = 0;
 
-    // 建築狀態檢查策略
-    this.conditionCheckers.set("buildingState", (condition, gameState) => {
-      const { property, operator, value } = condition;
-
-      switch (property) {
-        case "hasRepairNeeds":
-          return gameState.rooms.some((room) => room.needsRepair);
-        case "reinforcedCount":
-          const reinforcedCount = gameState.rooms.filter(
-            (room) => room.reinforced
-          ).length;
-          return this.compareValues(reinforcedCount, operator, value);
-        case "occupancyRate":
-          const occupied = gameState.rooms.filter((room) => room.tenant).length;
-          const total = gameState.rooms.length;
-          const rate = total > 0 ? occupied / total : 0;
-          return this.compareValues(rate, operator, value);
-        default:
-          return false;
-      }
-    });
+    // 初始化內建系統
+    this.registerBuiltinEffects();
   }
 
   /**
@@ -225,15 +131,7 @@ export class RuleEngine {
     this.effectExecutors.set("logMessage", (effect, gameState) => {
       const { message, logType = "event" } = effect;
 
-      // 嘗試呼叫全域記錄函數
-      if (
-        typeof window !== "undefined" &&
-        typeof window.addLog === "function"
-      ) {
-        window.addLog(message, logType);
-      } else {
-        console.log(`[${logType.toUpperCase()}] ${message}`);
-      }
+      this.writeLog(message, logType);
 
       return {
         type: "log",
@@ -305,7 +203,7 @@ export class RuleEngine {
       // 限制機率範圍
       successChance = Math.max(0, Math.min(1, successChance));
 
-      const isSuccess = Math.random() < successChance;
+      const isSuccess = this.random() < successChance;
       const effectsToExecute = isSuccess ? success : failure;
 
       const results = effectsToExecute.map((eff) =>
@@ -377,6 +275,7 @@ export class RuleEngine {
       lastExecuted: 0,
       maxExecutions: ruleConfig.maxExecutions || Infinity,
       executionCount: 0,
+      trigger: ruleConfig.trigger || null,
     };
 
     this.rules.set(ruleId, rule);
@@ -391,6 +290,71 @@ export class RuleEngine {
     return rule;
   }
 
+  /**
+   * 批次註冊資料定義的規則（rules.json 的 rules 區塊）
+   * 單一規則格式錯誤時略過該規則，不影響其他規則
+   * @param {Array<Object>} definitions - 規則定義陣列，每筆需包含 id
+   * @returns {number} 成功註冊的規則數
+   */
+  registerRules(definitions = []) {
+    if (!Array.isArray(definitions)) {
+      console.warn("⚠️ 規則定義必須是陣列");
+      return 0;
+    }
+
+    let registered = 0;
+
+    definitions.forEach((definition, index) => {
+      try {
+        if (!definition?.id) {
+          throw new Error("缺少規則 ID");
+        }
+        this.registerRule(definition.id, definition);
+        registered++;
+      } catch (error) {
+        console.warn(`⚠️ 略過規則 ${definition?.id ?? index}:`, error.message);
+      }
+    });
+
+    return registered;
+  }
+
+  /**
+   * 以新的規則定義取代全部規則（資料熱重載）
+   * 仍存在的規則保留冷卻與執行次數；事件觸發綁定需由呼叫端重新建立
+   * @param {Array<Object>} definitions - 規則定義陣列
+   * @returns {number} 成功註冊的規則數
+   */
+  replaceRules(definitions = []) {
+    const runtime = new Map(
+      Array.from(this.rules.values()).map((rule) => [
+        rule.id,
+        {
+          lastExecuted: rule.lastExecuted,
+          executionCount: rule.executionCount,
+        },
+      ])
+    );
+
+    this.rules.clear();
+    this.ruleGroups.clear();
+    const registered = this.registerRules(definitions);
+
+    runtime.forEach((state, ruleId) => {
+      const rule = this.rules.get(ruleId);
+      if (rule) Object.assign(rule, state);
+    });
+
+    return registered;
+  }
+
+  /**
+   * 檢查規則群組是否存在
+   */
+  hasRuleGroup(groupName) {
+    return this.ruleGroups.has(groupName);
+  }
+
   /**
    * 驗證規則配置
    */
@@ -410,6 +374,13 @@ export class RuleEngine {
     if (config.priority !== undefined && typeof config.priority !== "number") {
       throw new Error("規則優先級必須是數值");
     }
+
+    if (
+      config.trigger !== undefined &&
+      (typeof config.trigger?.on !== "string" || config.trigger.on === "")
+    ) {
+      throw new Error("規則觸發器必須指定事件名稱 trigger.on");
+    }
   }
 
   /**
@@ -456,44 +427,55 @@ export class RuleEngine {
       };
     }
 
-    // 執行效果
+    // 執行效果（全部成功才生效，任一效果失敗即還原整批）
     const results = [];
-    let hasErrors = false;
+    const transaction = new EffectTransaction([
+      this.gameState,
+      this.tenantSystemRef?.tenantStates,
+    ]);
+    let effectIndex = 0;
 
-    rule.effects.forEach((effect, index) => {
-      try {
-        const result = this.executeEffect(effect, this.gameState);
-        results.push(result);
-      } catch (error) {
-        console.error(`❌ 規則 ${ruleId} 效果 ${index} 執行失敗:`, error);
-        results.push({
-          type: "error",
-          error: error.message,
-          effectIndex: index,
-          originalEffect: effect,
-        });
-        hasErrors = true;
-        this.executionStats.effectErrors++;
+    try {
+      for (; effectIndex < rule.effects.length; effectIndex++) {
+        results.push(
+          this.executeEffect(rule.effects[effectIndex], this.gameState)
+        );
       }
-    });
+      transaction.commit();
+    } catch (error) {
+      console.error(`❌ 規則 ${ruleId} 效果 ${effectIndex} 執行失敗:`, error);
+      transaction.rollback();
+
+      this.executionStats.totalExecutions++;
+      this.executionStats.failedExecutions++;
+      this.executionStats.effectErrors++;
+      this.executionStats.rollbacks++;
+      this.writeLog(
+        `⚠️ 規則「${rule.name}」執行失敗，效果已全部復原`,
+        "danger"
+      );
+
+      return {
+        executed: false,
+        reason: "effects_rolled_back",
+        error: error.message,
+        effectIndex,
+        originalEffect: rule.effects[effectIndex],
+      };
+    }
 
     // 更新執行記錄
     rule.lastExecuted = this.gameState.day;
     rule.executionCount++;
     this.executionStats.totalExecutions++;
-
-    if (hasErrors) {
-      this.executionStats.failedExecutions++;
-    } else {
-      this.executionStats.successfulExecutions++;
-    }
+    this.executionStats.successfulExecutions++;
 
     this.addExecutionHistory(ruleId, rule.name, results, context);
 
     return {
       executed: true,
       results,
-      hasErrors,
+      hasErrors: false,
       executionCount: rule.executionCount,
     };
   }
@@ -568,20 +550,100 @@ export class RuleEngine {
    * 檢查單一條件
    */
   checkCondition(condition, context = {}) {
-    const { type } = condition;
-    const checker = this.conditionCheckers.get(type);
+    return this.conditionRegistry.evaluate(
+      condition,
+      this.createConditionContext(context)
+    );
+  }
+
+  /**
+   * 建立條件檢查的執行環境
+   * 執行上下文合併進狀態，條件可直接以路徑讀取（如 rent_collected 的 totalRent）
+   */
+  createConditionContext(context = {}) {
+    return {
+      gameState: { ...this.gameState, ...context },
+      random: () => this.random(),
+    };
+  }
 
-    if (!checker) {
-      console.warn(`⚠️ 未知的條件類型: ${type}`);
-      return false;
+  /**
+   * 產生條件追蹤樹（含實際值、期望值與結果，不擲骰）
+   */
+  explainConditions(conditions, context = {}, label = "規則條件") {
+    return this.conditionRegistry.explainAll(
+      conditions || [],
+      this.createConditionContext(context),
+      label
+    );
+  }
+
+  /**
+   * 說明規則目前是否會執行：啟用狀態、執行次數、冷卻與條件
+   * @param {string} ruleId - 規則 ID
+   * @param {Object} context - 與 executeRule 相同的執行上下文
+   * @returns {Object|null} 追蹤樹，規則不存在時為 null
+   */
+  explainRule(ruleId, context = {}) {
+    const rule = this.rules.get(ruleId);
+    if (!rule) return null;
+
+    const nodes = [
+      {
+        type: "enabled",
+        label: "規則啟用",
+        subject: "enabled",
+        actual: rule.enabled,
+        operator: "==",
+        expected: true,
+        passed: rule.enabled,
+      },
+    ];
+
+    if (Number.isFinite(rule.maxExecutions)) {
+      nodes.push({
+        type: "maxExecutions",
+        label: "執行次數上限",
+        subject: "executionCount",
+        actual: rule.executionCount,
+        operator: "<",
+        expected: rule.maxExecutions,
+        passed: rule.executionCount < rule.maxExecutions,
+      });
     }
 
-    try {
-      return checker(condition, { ...this.gameState, ...context });
-    } catch (error) {
-      console.error(`❌ 條件檢查失敗 (${type}):`, error);
-      return false;
+    if (rule.cooldown > 0) {
+      const elapsed = this.gameState.day - rule.lastExecuted;
+      nodes.push({
+        type: "cooldown",
+        label: "冷卻時間",
+        subject: "day - lastExecuted",
+        actual: elapsed,
+        operator: ">=",
+        expected: rule.cooldown,
+        passed: elapsed >= rule.cooldown,
+      });
     }
+
+    nodes.push(this.explainConditions(rule.conditions, context));
+
+    return {
+      ...this.conditionRegistry.createGroupNode(`規則：${rule.name}`, nodes),
+      ruleId: rule.id,
+    };
+  }
+
+  /**
+   * 說明所有規則（可指定群組）
+   * @param {string} [groupName] - 規則群組
+   * @returns {Array<Object>} 追蹤樹陣列
+   */
+  explainRules(groupName = null, context = {}) {
+    const ruleIds = groupName
+      ? Array.from(this.ruleGroups.get(groupName) || [])
+      : Array.from(this.rules.keys());
+
+    return ruleIds.map((ruleId) => this.explainRule(ruleId, context));
   }
 
   /**
@@ -604,6 +666,120 @@ export class RuleEngine {
     }
   }
 
+  /**
+   * 注入隨機數服務
+   * @param {RandomService} randomService - 已註冊至 GameBridge 的隨機數服務
+   */
+  setRandomService(randomService) {
+    this.randomService = randomService;
+  }
+
+  /**
+   * 注入共用條件註冊表
+   * @param {ConditionRegistry} conditionRegistry - 已註冊至 GameBridge 的條件註冊表
+   */
+  setConditionRegistry(conditionRegistry) {
+    this.conditionRegistry = conditionRegistry;
+  }
+
+  /**
+   * 訂閱事件觸發規則：規則設定 trigger.on 時，於事件發出且 filter 符合時執行
+   * 事件資料以 event 欄位放入執行上下文，條件可用 gameStateCheck 讀取（如 event.tenant.infected）
+   * @param {GameBridge} eventSource - 提供 on/off 的事件來源（CustomEvent.detail 為事件資料）
+   * @returns {number} 訂閱的事件類型數
+   */
+  bindEventTriggers(eventSource) {
+    this.unbindEventTriggers();
+
+    const eventTypes = new Set(
+      Array.from(this.rules.values())
+        .filter((rule) => rule.trigger)
+        .map((rule) => rule.trigger.on)
+    );
+
+    eventTypes.forEach((eventType) => {
+      const handler = (event) =>
+        this.executeTriggeredRules(eventType, event.detail || {});
+      eventSource.on(eventType, handler);
+      this.triggerSubscriptions.push({ eventSource, eventType, handler });
+    });
+
+    console.log(`🔔 已訂閱 ${eventTypes.size} 種事件觸發規則`);
+    return eventTypes.size;
+  }
+
+  /**
+   * 取消所有事件觸發規則的訂閱
+   */
+  unbindEventTriggers() {
+    this.triggerSubscriptions.forEach(({ eventSource, eventType, handler }) => {
+      eventSource.off(eventType, handler);
+    });
+    this.triggerSubscriptions = [];
+  }
+
+  /**
+   * 執行符合事件的觸發規則（依優先級排序）
+   * @param {string} eventType - 事件名稱
+   * @param {Object} payload - 事件資料
+   */
+  executeTriggeredRules(eventType, payload = {}) {
+    if (this.triggerDepth >= MAX_TRIGGER_DEPTH) {
+      console.warn(`⚠️ 事件 ${eventType} 觸發規則巢狀過深，略過`);
+      return [];
+    }
+
+    const matchedRules = Array.from(this.rules.values())
+      .filter(
+        (rule) =>
+          rule.enabled &&
+          rule.trigger?.on === eventType &&
+          this.conditionRegistry.matchesPayload(rule.trigger.filter, payload)
+      )
+      .sort((a, b) => b.priority - a.priority);
+
+    this.triggerDepth++;
+    try {
+      return matchedRules.map((rule) => ({
+        ruleId: rule.id,
+        ...this.executeRule(rule.id, { event: payload }),
+      }));
+    } finally {
+      this.triggerDepth--;
+    }
+  }
+
+  /**
+   * 注入遊戲記錄輸出
+   * @param {Function} logHandler - (message, logType) => void
+   */
+  setLogHandler(logHandler) {
+    this.logHandler = logHandler;
+  }
+
+  /**
+   * 輸出遊戲記錄：優先使用注入的記錄輸出，其次嘗試呼叫全域記錄函數
+   */
+  writeLog(message, logType = "event") {
+    if (this.logHandler) {
+      this.logHandler(message, logType);
+    } else if (
+      typeof window !== "undefined" &&
+      typeof window.addLog === "function"
+    ) {
+      window.addLog(message, logType);
+    } else {
+      console.log(`[${logType.toUpperCase()}] ${message}`);
+    }
+  }
+
+  /**
+   * 工具方法：取得隨機數（來自共用的種子隨機數服務）
+   */
+  random() {
+    return this.randomService ? this.randomService.next() : Math.random();
+  }
+
   /**
    * 工具方法：取得嵌套物件值
    */
@@ -680,7 +856,7 @@ export class RuleEngine {
     let targetTenant;
     if (target === "random") {
       targetTenant =
-        infectedTenants[Math.floor(Math.random() * infectedTenants.length)];
+        infectedTenants[Math.floor(this.random() * infectedTenants.length)];
     } else {
       targetTenant = infectedTenants.find(
         (room) => room.tenant.name === target
@@ -720,7 +896,7 @@ export class RuleEngine {
     let targetRoom;
     if (target === "random") {
       targetRoom =
-        needRepairRooms[Math.floor(Math.random() * needRepairRooms.length)];
+        needRepairRooms[Math.floor(this.random() * needRepairRooms.length)];
     } else if (typeof target === "number") {
       targetRoom = gameState.rooms.find(
         (room) => room.id === target && room.needsRepair
@@ -789,6 +965,53 @@ export class RuleEngine {
     console.log("🗑️ 已清除規則執行歷史");
   }
 
+  /**
+   * 匯出可序列化的執行狀態（供存檔系統使用）
+   * 執行上下文可能含有系統參照，因此不列入匯出
+   */
+  exportState() {
+    return {
+      executionHistory: this.executionHistory.map(
+        ({ context, ...entry }) => entry
+      ),
+      executionStats: { ...this.executionStats },
+      ruleRuntime: Array.from(this.rules.values()).map((rule) => [
+        rule.id,
+        {
+          lastExecuted: rule.lastExecuted,
+          executionCount: rule.executionCount,
+          enabled: rule.enabled,
+        },
+      ]),
+    };
+  }
+
+  /**
+   * 從存檔復原執行狀態
+   */
+  restoreState(state) {
+    this.executionHistory = Array.isArray(state?.executionHistory)
+      ? state.executionHistory.slice(0, this.maxHistorySize)
+      : [];
+    this.executionStats = {
+      ...this.executionStats,
+      ...(state?.executionStats || {}),
+    };
+
+    // 僅復原目前仍存在的規則
+    (state?.ruleRuntime || []).forEach(([ruleId, runtime]) => {
+      const rule = this.rules.get(ruleId);
+      if (rule && runtime) {
+        rule.lastExecuted = runtime.lastExecuted || 0;
+        rule.executionCount = runtime.executionCount || 0;
+        rule.enabled = runtime.enabled !== false;
+      }
+    });
+
+    console.log(`📂 已復原 ${this.executionHistory.length} 筆規則執行記錄`);
+    return true;
+  }
+
   /**
    * 取得規則資訊
    */
@@ -877,6 +1100,7 @@ export class RuleEngine {
       failedExecutions: 0,
       conditionFailures: 0,
       effectErrors: 0,
+      rollbacks: 0,
     };
     console.log("🔄 已重置執行統計");
   }
@@ -890,7 +1114,7 @@ export class RuleEngine {
     console.log("規則群組:", Array.from(this.ruleGroups.keys()));
     console.log("執行歷史條目:", this.executionHistory.length);
     console.log("執行統計:", this.getExecutionStats());
-    console.log("條件檢查器:", Array.from(this.conditionCheckers.keys()));
+    console.log("條件類型:", this.conditionRegistry.getTypes());
     console.log("效果執行器:", Array.from(this.effectExecutors.keys()));
     console.groupEnd();
   }
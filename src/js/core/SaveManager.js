@@ -0,0 +1,873 @@
+/**
+ * SaveManager - 遊戲存檔管理系統
+ * 職責：
+ * 1. 將遊戲狀態與各業務系統內部狀態序列化為版本化快照
+ * 2. 管理具名存檔槽位與自動存檔槽位
+ * 3. 從快照復原所有系統的內部狀態
+ * 4. 將舊版快照逐版升級並驗證、修復結果
+ * 5. 匯出/匯入完整遊戲快照（.json 檔案）
+ *
+ * 設計模式：備忘錄模式 + 外觀模式 + 管線模式（版本遷移）
+ * 核心特性：Map/Set 安全序列化、槽位索引、版本遷移、原地狀態復原
+ */
+
+import {
+  SAVE_SYSTEM,
+  SYSTEM_LIMITS,
+  ERROR_CODES,
+} from "../utils/constants.js";
+import {
+  defaultValidatorFactory,
+  ValidationResult,
+  ValidationUtils,
+} from "../utils/validators.js";
+import { RandomService } from "./RandomService.js";
+
+export class SaveManager {
+  constructor(gameInstance, storage = null) {
+    // 核心依賴
+    this.game = gameInstance;
+    this.storage = storage || SaveManager.detectStorage();
+
+    // 版本遷移管線
+    this.migrator = new SaveMigrator(this);
+
+    // 存檔狀態
+    this.lastSaveTime = 0;
+    this.lastLoadedSlot = null;
+
+    // 統計資訊
+    this.stats = {
+      totalSaves: 0,
+      totalLoads: 0,
+      autoSaves: 0,
+      failures: 0,
+    };
+
+    console.log(
+      this.storage
+        ? "💾 SaveManager 建構完成"
+        : "⚠️ SaveManager 建構完成（localStorage 不可用）"
+    );
+  }
+
+  /**
+   * 偵測可用的 localStorage
+   */
+  static detectStorage() {
+    try {
+      if (typeof window === "undefined" || !window.localStorage) {
+        return null;
+      }
+
+      const testKey = `${SAVE_SYSTEM.STORAGE.KEY_PREFIX}__test__`;
+      window.localStorage.setItem(testKey, "1");
+      window.localStorage.removeItem(testKey);
+      return window.localStorage;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * JSON 序列化替換器 - 保留 Map 與 Set 結構
+   */
+  static replacer(key, value) {
+    if (value instanceof Map) {
+      return { __type: "Map", entries: Array.from(value.entries()) };
+    }
+    if (value instanceof Set) {
+      return { __type: "Set", values: Array.from(value.values()) };
+    }
+    return value;
+  }
+
+  /**
+   * JSON 反序列化還原器 - 重建 Map 與 Set 結構
+   */
+  static reviver(key, value) {
+    if (value && typeof value === "object") {
+      if (value.__type === "Map" && Array.isArray(value.entries)) {
+        return new Map(value.entries);
+      }
+      if (value.__type === "Set" && Array.isArray(value.values)) {
+        return new Set(value.values);
+      }
+    }
+    return value;
+  }
+
+  /**
+   * 檢查存檔功能是否可用
+   */
+  isAvailable() {
+    return !!this.storage;
+  }
+
+  /**
+   * 建立當前遊戲的完整快照
+   */
+  createSnapshot(label = "") {
+    const gameState = this.game.gameState;
+
+    return {
+      saveVersion: SAVE_SYSTEM.SAVE_VERSION,
+      savedAt: new Date().toISOString(),
+      label: label,
+      summary: this.buildSummary(gameState),
+      mods: this.getActiveModIds(),
+      gameState: gameState,
+      systems: {
+        tenantSystem: this.game.tenantSystem?.exportState?.() || null,
+        skillSystem: this.game.skillSystem?.exportState?.() || null,
+        eventSystem: this.game.eventSystem?.exportState?.() || null,
+        ruleEngine: this.game.ruleEngine?.exportState?.() || null,
+        random: this.game.randomService?.exportState?.() || null,
+      },
+    };
+  }
+
+  /**
+   * 取得本次載入時生效的模組包 ID（依套用順序），沒有 ModManager 時為空陣列
+   */
+  getActiveModIds() {
+    return (
+      this.game.modManager?.getActivePacks().map((pack) => pack.id) || []
+    );
+  }
+
+  /**
+   * 建立存檔摘要（槽位列表顯示用）
+   */
+  buildSummary(gameState) {
+    return {
+      day: gameState.day,
+      tenantCount: Array.isArray(gameState.rooms)
+        ? gameState.rooms.filter((room) => room.tenant).length
+        : 0,
+      cash: gameState.resources?.cash ?? 0,
+    };
+  }
+
+  /**
+   * 序列化快照
+   */
+  serialize(snapshot) {
+    return JSON.stringify(snapshot, SaveManager.replacer);
+  }
+
+  /**
+   * 反序列化快照
+   */
+  deserialize(serialized) {
+    return JSON.parse(serialized, SaveManager.reviver);
+  }
+
+  /**
+   * 存檔到指定槽位
+   * @param {string|null} slotId - 槽位ID，null 時建立新槽位
+   * @param {string} label - 存檔名稱
+   * @returns {Object} 存檔結果
+   */
+  saveToSlot(slotId = null, label = "") {
+    if (!this.isAvailable()) {
+      return this.createFailure(
+        ERROR_CODES.STORAGE_UNAVAILABLE,
+        "瀏覽器不支援 localStorage，無法存檔"
+      );
+    }
+
+    const index = this.readIndex();
+    const isAutosave = slotId === SAVE_SYSTEM.SLOTS.AUTOSAVE;
+    const targetSlotId = slotId || this.generateSlotId();
+
+    // 檢查具名槽位數量上限
+    if (!isAutosave && !index[targetSlotId]) {
+      const namedSlotCount = Object.keys(index).filter(
+        (id) => id !== SAVE_SYSTEM.SLOTS.AUTOSAVE
+      ).length;
+
+      if (namedSlotCount >= SAVE_SYSTEM.SLOTS.MAX_NAMED_SLOTS) {
+        return this.createFailure(
+          ERROR_CODES.INVALID_OPERATION,
+          `存檔槽位已滿（最多 ${SAVE_SYSTEM.SLOTS.MAX_NAMED_SLOTS} 個），請先刪除或覆蓋舊存檔`
+        );
+      }
+    }
+
+    try {
+      const finalLabel = isAutosave
+        ? "自動存檔"
+        : this.normalizeLabel(label) ||
+          index[targetSlotId]?.label ||
+          `第${this.game.gameState.day}天存檔`;
+      const snapshot = this.createSnapshot(finalLabel);
+
+      this.storage.setItem(
+        this.getStorageKey(targetSlotId),
+        this.serialize(snapshot)
+      );
+
+      // 更新槽位索引
+      index[targetSlotId] = {
+        slotId: targetSlotId,
+        label: finalLabel,
+        savedAt: snapshot.savedAt,
+        saveVersion: snapshot.saveVersion,
+        isAutosave: isAutosave,
+        ...snapshot.summary,
+      };
+      this.writeIndex(index);
+
+      this.lastSaveTime = Date.now();
+      this.stats.totalSaves++;
+      if (isAutosave) this.stats.autoSaves++;
+
+      console.log(`💾 存檔完成: ${finalLabel} (${targetSlotId})`);
+      return { success: true, slotId: targetSlotId, label: finalLabel };
+    } catch (error) {
+      console.error("❌ 存檔失敗:", error);
+      return this.createFailure(
+        ERROR_CODES.STORAGE_UNAVAILABLE,
+        `存檔失敗: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * 自動存檔
+   */
+  autoSave() {
+    return this.saveToSlot(SAVE_SYSTEM.SLOTS.AUTOSAVE);
+  }
+
+  /**
+   * 從指定槽位讀檔並復原所有系統狀態
+   * @param {string} slotId - 槽位ID
+   * @returns {Object} 讀檔結果
+   */
+  loadFromSlot(slotId) {
+    if (!this.isAvailable()) {
+      return this.createFailure(
+        ERROR_CODES.STORAGE_UNAVAILABLE,
+        "瀏覽器不支援 localStorage，無法讀檔"
+      );
+    }
+
+    const serialized = this.storage.getItem(this.getStorageKey(slotId));
+    if (!serialized) {
+      return this.createFailure(
+        ERROR_CODES.SAVE_NOT_FOUND,
+        `找不到存檔: ${slotId}`
+      );
+    }
+
+    let snapshot;
+    try {
+      snapshot = this.deserialize(serialized);
+    } catch (error) {
+      return this.createFailure(
+        ERROR_CODES.SAVE_CORRUPTED,
+        `存檔資料損毀，無法解析: ${error.message}`
+      );
+    }
+
+    const result = this.applySnapshot(snapshot);
+    if (result.success) {
+      this.lastLoadedSlot = slotId;
+      this.stats.totalLoads++;
+      console.log(`📂 讀檔完成: ${snapshot.label || slotId}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * 將快照套用到遊戲實例（必要時先執行版本遷移）
+   * 任何系統復原失敗時退回套用前的進度，不留下載入一半的遊戲
+   */
+  applySnapshot(snapshot) {
+    if (!snapshot || typeof snapshot !== "object" || Array.isArray(snapshot)) {
+      return this.createFailure(ERROR_CODES.SAVE_CORRUPTED, "存檔格式無效");
+    }
+
+    // 版本遷移 + 驗證修復
+    const migration = this.migrator.migrate(snapshot);
+    if (!migration.success) {
+      const failure = this.createFailure(
+        migration.code,
+        this.formatMigrationReport(migration)
+      );
+      failure.migration = migration;
+      return failure;
+    }
+
+    const migratedSnapshot = migration.snapshot;
+
+    // 完整快照結構驗證（含各系統狀態）
+    const snapshotValidation = defaultValidatorFactory.validateInstance(
+      "saveSnapshot",
+      migratedSnapshot,
+      { knownEventIds: this.game.eventSystem?.getEventIds() }
+    );
+    if (!snapshotValidation.isValid) {
+      const failure = this.createFailure(
+        ERROR_CODES.SAVE_CORRUPTED,
+        ValidationUtils.formatValidationResult(snapshotValidation).trim()
+      );
+      failure.validation = snapshotValidation;
+      return failure;
+    }
+
+    // 經序列化複製目前進度，套用失敗時用來退回
+    const currentSession = this.deserialize(
+      this.serialize(this.createSnapshot())
+    );
+
+    try {
+      this.restoreSession(migratedSnapshot);
+      this.warnModMismatch(migratedSnapshot);
+
+      return {
+        success: true,
+        snapshot: migratedSnapshot,
+        migration: migration,
+        validation: snapshotValidation,
+      };
+    } catch (error) {
+      console.error("❌ 套用存檔失敗，退回原本進度:", error);
+
+      try {
+        this.restoreSession(currentSession);
+      } catch (rollbackError) {
+        console.error("❌ 退回原本進度失敗:", rollbackError);
+      }
+
+      return this.createFailure(
+        ERROR_CODES.SAVE_CORRUPTED,
+        `套用存檔失敗: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * 存檔時生效的模組包與目前不同時提出警告（模組包需重新載入才會切換）
+   * @private
+   */
+  warnModMismatch(snapshot) {
+    if (!Array.isArray(snapshot.mods)) return;
+
+    const saved = snapshot.mods.join(", ");
+    const current = this.getActiveModIds().join(", ");
+    if (saved !== current) {
+      console.warn(
+        `⚠️ 存檔使用的模組包（${saved || "無"}）與目前（${
+          current || "無"
+        }）不同，資料內容可能不一致`
+      );
+    }
+  }
+
+  /**
+   * 以快照取代遊戲狀態並復原各系統內部狀態
+   * @private
+   */
+  restoreSession(snapshot) {
+    // 原地替換遊戲狀態，保留各系統持有的參照
+    const gameState = this.game.gameState;
+    Object.keys(gameState).forEach((key) => delete gameState[key]);
+    Object.assign(gameState, snapshot.gameState);
+
+    // 復原業務系統內部狀態（缺少時由各系統自行重建）
+    const systems = snapshot.systems || {};
+    if (this.game.tenantSystem) {
+      this.game.tenantSystem.restoreState(systems.tenantSystem || null);
+    }
+    if (this.game.skillSystem) {
+      this.game.skillSystem.restoreState(systems.skillSystem || null);
+    }
+    if (this.game.eventSystem) {
+      this.game.eventSystem.restoreState(systems.eventSystem || null);
+    }
+    if (this.game.ruleEngine) {
+      this.game.ruleEngine.restoreState(systems.ruleEngine || null);
+    }
+
+    // 復原隨機數序列（僅有種子時從序列起點重新開始）
+    if (this.game.randomService) {
+      this.game.randomService.restoreState(
+        systems.random || { seed: gameState.randomSeed }
+      );
+      gameState.randomSeed = this.game.randomService.getSeed();
+    }
+  }
+
+  /**
+   * 匯出完整遊戲快照為 JSON 檔案內容
+   * @returns {{filename: string, content: string}}
+   */
+  exportToJson() {
+    const day = this.game.gameState.day;
+    const snapshot = this.createSnapshot(`第${day}天匯出`);
+    snapshot.exportInfo = {
+      format: SAVE_SYSTEM.EXPORT.FORMAT,
+      exportedAt: snapshot.savedAt,
+      gameVersion: "2.0.0",
+    };
+
+    const timestamp = snapshot.savedAt.replace(/[:.]/g, "-");
+
+    return {
+      filename: `${SAVE_SYSTEM.EXPORT.FILE_PREFIX}_day${day}_${timestamp}.json`,
+      content: JSON.stringify(snapshot, SaveManager.replacer, 2),
+    };
+  }
+
+  /**
+   * 從 JSON 檔案內容匯入遊戲快照（驗證通過後才會套用）
+   * @param {string} jsonText - 匯出檔案內容
+   * @returns {Object} 匯入結果
+   */
+  importFromJson(jsonText) {
+    if (typeof jsonText !== "string" || jsonText.trim().length === 0) {
+      return this.createFailure(ERROR_CODES.SAVE_CORRUPTED, "匯入檔案是空的");
+    }
+
+    let snapshot;
+    try {
+      snapshot = this.deserialize(jsonText);
+    } catch (error) {
+      return this.createFailure(
+        ERROR_CODES.SAVE_CORRUPTED,
+        `匯入檔案不是有效的 JSON: ${error.message}`
+      );
+    }
+
+    if (
+      snapshot?.exportInfo &&
+      snapshot.exportInfo.format !== SAVE_SYSTEM.EXPORT.FORMAT
+    ) {
+      return this.createFailure(
+        ERROR_CODES.SAVE_CORRUPTED,
+        `不支援的匯出格式: ${snapshot.exportInfo.format}`
+      );
+    }
+
+    const result = this.applySnapshot(snapshot);
+    if (result.success) {
+      this.stats.totalLoads++;
+      console.log(`📥 匯入完成: ${result.snapshot.label || "未命名"}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * 驗證並修復候選遊戲狀態
+   * 使用 GameStateInstanceValidator 檢查，並交由 TenantSystem 的修復邏輯處理可修復的問題
+   * @param {Object} gameState - 候選遊戲狀態（會被原地修復）
+   * @returns {{validation: ValidationResult, repairs: number}}
+   */
+  validateAndRepairGameState(gameState) {
+    const validator = defaultValidatorFactory.getInstanceValidator("gameState");
+    if (!validator) {
+      return {
+        validation: new ValidationResult(true).addWarning(
+          "GameStateInstanceValidator 不可用，略過存檔驗證",
+          null,
+          "VALIDATOR_UNAVAILABLE"
+        ),
+        repairs: 0,
+      };
+    }
+
+    let validation = validator.validateGameState(gameState);
+    let repairs = 0;
+    const tenantSystem = this.game.tenantSystem;
+
+    // 反覆修復直到通過或無法再修復
+    for (
+      let attempt = 0;
+      attempt < SYSTEM_LIMITS.MODULES.MAX_RETRY_ATTEMPTS &&
+      !validation.isValid &&
+      tenantSystem &&
+      gameState &&
+      typeof gameState === "object";
+      attempt++
+    ) {
+      const repaired = tenantSystem.attemptGameStateRepair(
+        validation,
+        gameState
+      );
+      if (repaired === 0) break;
+
+      repairs += repaired;
+      validation = validator.validateGameState(gameState);
+    }
+
+    return { validation, repairs };
+  }
+
+  /**
+   * 註冊存檔遷移步驟
+   * @param {number} fromVersion - 來源版本（升級至 fromVersion + 1）
+   * @param {string} description - 遷移說明
+   * @param {Function} migrateFn - (snapshot) => 新版快照
+   */
+  registerMigration(fromVersion, description, migrateFn) {
+    return this.migrator.registerMigration(fromVersion, description, migrateFn);
+  }
+
+  /**
+   * 將遷移報告格式化為可讀字串
+   */
+  formatMigrationReport(report) {
+    const versionRange =
+      report.originalVersion === report.targetVersion
+        ? `v${report.targetVersion}`
+        : `v${report.originalVersion} → v${report.targetVersion}`;
+    let output = report.success
+      ? `✅ 存檔遷移完成 (${versionRange})\n`
+      : `❌ 存檔無法修復 (${versionRange})\n`;
+
+    report.steps.forEach((step) => {
+      const versionText =
+        step.from === step.to
+          ? `v${step.from}`
+          : `v${step.from} → v${step.to}`;
+      output += `  ${step.success ? "✔" : "✘"} ${versionText}: ${
+        step.description
+      }`;
+      if (step.repairs > 0) output += `（修復 ${step.repairs} 項）`;
+      output += "\n";
+    });
+
+    if (report.error) {
+      output += `\n原因: ${report.error}\n`;
+    }
+
+    if (report.validation && !report.validation.isValid) {
+      output += `\n${ValidationUtils.formatValidationResult(
+        report.validation
+      )}`;
+    }
+
+    return output.trim();
+  }
+
+  /**
+   * 刪除指定槽位
+   */
+  deleteSlot(slotId) {
+    if (!this.isAvailable()) return false;
+
+    const index = this.readIndex();
+    if (!index[slotId]) return false;
+
+    this.storage.removeItem(this.getStorageKey(slotId));
+    delete index[slotId];
+    this.writeIndex(index);
+
+    console.log(`🗑️ 已刪除存檔: ${slotId}`);
+    return true;
+  }
+
+  /**
+   * 取得所有存檔槽位資訊（自動存檔優先，其餘依時間排序）
+   */
+  listSlots() {
+    if (!this.isAvailable()) return [];
+
+    return Object.values(this.readIndex()).sort((a, b) => {
+      if (a.isAutosave !== b.isAutosave) return a.isAutosave ? -1 : 1;
+      return String(b.savedAt).localeCompare(String(a.savedAt));
+    });
+  }
+
+  /**
+   * 檢查槽位是否存在
+   */
+  hasSlot(slotId) {
+    return this.isAvailable() && !!this.readIndex()[slotId];
+  }
+
+  /**
+   * 讀取槽位索引
+   * @private
+   */
+  readIndex() {
+    try {
+      const raw = this.storage.getItem(SAVE_SYSTEM.STORAGE.INDEX_KEY);
+      const index = raw ? JSON.parse(raw) : {};
+      return index && typeof index === "object" ? index : {};
+    } catch (error) {
+      console.warn("⚠️ 存檔索引損毀，已重置:", error.message);
+      return {};
+    }
+  }
+
+  /**
+   * 寫入槽位索引
+   * @private
+   */
+  writeIndex(index) {
+    this.storage.setItem(SAVE_SYSTEM.STORAGE.INDEX_KEY, JSON.stringify(index));
+  }
+
+  /**
+   * 取得槽位的 localStorage 鍵值
+   * @private
+   */
+  getStorageKey(slotId) {
+    return `${SAVE_SYSTEM.STORAGE.KEY_PREFIX}${slotId}`;
+  }
+
+  /**
+   * 產生新的槽位ID
+   * @private
+   */
+  generateSlotId() {
+    return `slot_${Date.now().toString(36)}`;
+  }
+
+  /**
+   * 正規化存檔名稱（移除可能破壞 HTML 的字元並限制長度）
+   * @private
+   */
+  normalizeLabel(label) {
+    if (typeof label !== "string") return "";
+    return label
+      .replace(/[<>"'`\\]/g, "")
+      .trim()
+      .slice(0, SAVE_SYSTEM.SLOTS.MAX_NAME_LENGTH);
+  }
+
+  /**
+   * 建立失敗結果
+   * @private
+   */
+  createFailure(code, message) {
+    this.stats.failures++;
+    console.warn(`⚠️ ${message}`);
+    return { success: false, code: code, error: message };
+  }
+
+  /**
+   * 取得狀態資訊
+   */
+  getStatus() {
+    return {
+      available: this.isAvailable(),
+      saveVersion: SAVE_SYSTEM.SAVE_VERSION,
+      migrations: this.migrator.getRegisteredVersions(),
+      slotCount: this.listSlots().length,
+      lastSaveTime: this.lastSaveTime,
+      lastLoadedSlot: this.lastLoadedSlot,
+      stats: { ...this.stats },
+    };
+  }
+}
+
+// =============== 存檔版本遷移管線 ===============
+
+class SaveMigrator {
+  constructor(saveManager) {
+    this.saveManager = saveManager;
+    this.migrations = new Map(); // fromVersion -> { description, migrate }
+    this.registerBuiltinMigrations();
+  }
+
+  /**
+   * 註冊內建遷移步驟
+   */
+  registerBuiltinMigrations() {
+    // v0：未版本化的裸遊戲狀態 → v1：含系統狀態的版本化快照
+    this.registerMigration(0, "包裝未版本化的遊戲狀態", (snapshot) => {
+      const legacyState = snapshot.gameState || snapshot;
+      const recognizedFields = ["day", "resources", "rooms"].filter(
+        (field) => field in legacyState
+      );
+
+      if (recognizedFields.length === 0) {
+        throw new Error("無法辨識的舊版存檔結構（缺少 day/resources/rooms）");
+      }
+
+      const defaults =
+        typeof this.saveManager.game.getMinimalInitialState === "function"
+          ? this.saveManager.game.getMinimalInitialState()
+          : {};
+      const gameState = { ...defaults, ...legacyState };
+      delete gameState.saveVersion;
+
+      return {
+        saveVersion: 1,
+        savedAt: snapshot.savedAt || null,
+        label: snapshot.label || "舊版存檔",
+        summary: this.saveManager.buildSummary(gameState),
+        gameState: gameState,
+        systems: snapshot.systems || {},
+      };
+    });
+
+    // v1 → v2：加入隨機種子（舊存檔無法得知原序列，指派新種子）
+    this.registerMigration(1, "加入隨機種子", (snapshot) => {
+      const gameState = { ...snapshot.gameState };
+      if (RandomService.normalizeSeed(gameState.randomSeed) === null) {
+        gameState.randomSeed = RandomService.generateSeed();
+      }
+
+      const systems = { ...(snapshot.systems || {}) };
+      delete systems.random;
+
+      return {
+        ...snapshot,
+        saveVersion: 2,
+        gameState: gameState,
+        systems: systems,
+      };
+    });
+  }
+
+  /**
+   * 註冊遷移步驟
+   */
+  registerMigration(fromVersion, description, migrateFn) {
+    if (typeof migrateFn !== "function") {
+      console.error("❌ 存檔遷移函數必須是函數");
+      return false;
+    }
+
+    this.migrations.set(fromVersion, { description, migrate: migrateFn });
+    return true;
+  }
+
+  /**
+   * 偵測快照版本（未標記版本者視為 v0）
+   */
+  detectVersion(snapshot) {
+    return Number.isInteger(snapshot.saveVersion) ? snapshot.saveVersion : 0;
+  }
+
+  /**
+   * 逐版升級快照，每一步之後驗證並修復遊戲狀態
+   * @returns {Object} 遷移報告
+   */
+  migrate(snapshot) {
+    const targetVersion = SAVE_SYSTEM.SAVE_VERSION;
+    const report = {
+      success: false,
+      code: null,
+      originalVersion: this.detectVersion(snapshot),
+      targetVersion: targetVersion,
+      steps: [],
+      totalRepairs: 0,
+      validation: null,
+      error: null,
+      snapshot: null,
+    };
+
+    if (report.originalVersion > targetVersion) {
+      report.code = ERROR_CODES.SAVE_VERSION_UNSUPPORTED;
+      report.error = `存檔版本 v${report.originalVersion} 比遊戲版本 v${targetVersion} 更新，請更新遊戲後再讀取`;
+      return report;
+    }
+
+    let current = snapshot;
+    let version = report.originalVersion;
+
+    while (version < targetVersion) {
+      const migration = this.migrations.get(version);
+      const step = {
+        from: version,
+        to: version + 1,
+        description: migration?.description || "（未定義）",
+        success: false,
+        repairs: 0,
+      };
+      report.steps.push(step);
+
+      if (!migration) {
+        report.code = ERROR_CODES.SAVE_VERSION_UNSUPPORTED;
+        report.error = `缺少 v${version} → v${version + 1} 的遷移步驟`;
+        return report;
+      }
+
+      try {
+        current = migration.migrate(current);
+        current.saveVersion = version + 1;
+      } catch (error) {
+        report.code = ERROR_CODES.SAVE_MIGRATION_FAILED;
+        report.error = `遷移步驟執行失敗: ${error.message}`;
+        return report;
+      }
+
+      // 每一步之後驗證並修復
+      if (!this.checkStep(current, step, report)) {
+        return report;
+      }
+
+      step.success = true;
+      version++;
+    }
+
+    // 已是最新版本的存檔同樣需要通過驗證
+    if (report.steps.length === 0) {
+      const step = {
+        from: version,
+        to: version,
+        description: "驗證存檔完整性",
+        success: false,
+        repairs: 0,
+      };
+      if (!this.checkStep(current, step, report)) {
+        report.steps.push(step);
+        return report;
+      }
+    }
+
+    report.success = true;
+    report.snapshot = current;
+
+    if (report.steps.length > 0) {
+      console.log(
+        `🔄 存檔已升級 v${report.originalVersion} → v${targetVersion}（修復 ${report.totalRepairs} 項）`
+      );
+    }
+
+    return report;
+  }
+
+  /**
+   * 驗證單一步驟的結果
+   * @private
+   */
+  checkStep(snapshot, step, report) {
+    if (!snapshot?.gameState || typeof snapshot.gameState !== "object") {
+      report.code = ERROR_CODES.SAVE_CORRUPTED;
+      report.error = "存檔缺少有效的遊戲狀態";
+      return false;
+    }
+
+    const { validation, repairs } =
+      this.saveManager.validateAndRepairGameState(snapshot.gameState);
+
+    step.repairs = repairs;
+    report.totalRepairs += repairs;
+    report.validation = validation;
+
+    if (!validation.isValid) {
+      report.code = ERROR_CODES.SAVE_MIGRATION_FAILED;
+      report.error = validation.getFirstError()?.message || "遊戲狀態驗證失敗";
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * 取得已註冊的遷移來源版本
+   */
+  getRegisteredVersions() {
+    return Array.from(this.migrations.keys()).sort((a, b) => a - b);
+  }
+}
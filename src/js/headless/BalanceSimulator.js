@@ -0,0 +1,360 @@
+/**
+ * BalanceSimulator - 批次平衡模擬器
+ * 職責：
+ * 1. 以連續種子批次執行大量無介面遊戲，套用同一決策策略
+ * 2. 收集每局存活天數、每日資源、感染、租客離開原因與事件統計
+ * 3. 彙整為統計報告（分布、平均曲線、排行），供調整 rules.json 數值參考
+ *
+ * 設計模式：模板方法（每局流程固定、決策由腳本注入）
+ * 核心特性：種子可重現、逐局釋放資源、純資料報告 + 文字摘要
+ */
+
+import { HeadlessGame, BASIC_SCRIPT } from "./HeadlessGame.js";
+import { RandomService } from "../core/RandomService.js";
+
+/** 報告中統計的資源種類 */
+const RESOURCE_TYPES = ["food", "materials", "medical", "fuel", "cash"];
+
+export class BalanceSimulator {
+  /**
+   * @param {Object} options - 模擬選項
+   * @param {number} [options.runs] - 模擬局數
+   * @param {number} [options.days] - 每局最多模擬天數
+   * @param {number|string} [options.seed] - 起始種子（第 i 局使用 seed + i）
+   * @param {Object} [options.script] - 決策腳本（見 HeadlessGame.playDay）
+   * @param {string} [options.dataPath] - 資料目錄路徑
+   * @param {number} [options.histogramBucket] - 存活天數分布的區間寬度
+   * @param {number} [options.topEvents] - 事件排行保留筆數
+   */
+  constructor(options = {}) {
+    this.options = {
+      runs: 1000,
+      days: 60,
+      seed: 1,
+      script: BASIC_SCRIPT,
+      dataPath: null,
+      histogramBucket: 5,
+      topEvents: 10,
+      ...options,
+    };
+
+    const baseSeed = RandomService.normalizeSeed(this.options.seed);
+    if (baseSeed === null) {
+      throw new Error(`無效的起始種子: ${this.options.seed}`);
+    }
+    this.baseSeed = baseSeed;
+  }
+
+  /**
+   * 執行所有模擬並產生報告
+   * @param {Function} [onProgress] - (完成局數, 總局數) => void
+   * @returns {Promise<Object>} 統計報告
+   */
+  async run(onProgress = null) {
+    const startedAt = Date.now();
+    const results = [];
+
+    for (let i = 0; i < this.options.runs; i++) {
+      const seed = (this.baseSeed + i) >>> 0;
+      results.push(await this.simulateRun(seed));
+
+      if (onProgress) {
+        onProgress(i + 1, this.options.runs);
+      }
+    }
+
+    const report = this.aggregate(results);
+    report.durationMs = Date.now() - startedAt;
+    return report;
+  }
+
+  /**
+   * 執行單局模擬並收集統計
+   * @param {number} seed - 本局種子
+   */
+  async simulateRun(seed) {
+    const game = new HeadlessGame({
+      seed: seed,
+      dataPath: this.options.dataPath,
+      maxLogEntries: 0,
+    });
+
+    const stats = {
+      seed: seed,
+      survivalDays: 0,
+      gameOver: false,
+      resourceCurve: [],
+      infections: 0,
+      infectedHires: 0,
+      evictions: {},
+      events: {},
+    };
+
+    try {
+      await game.initialize();
+      this.attachCollectors(game, stats);
+
+      const startDay = game.gameState.day;
+      const infectedSeen = new Set();
+      stats.resourceCurve.push({ ...game.gameState.resources });
+
+      while (
+        !game.gameOver &&
+        game.gameState.day - startDay < this.options.days
+      ) {
+        await game.playDay(this.options.script);
+        stats.resourceCurve.push({ ...game.gameState.resources });
+
+        // 感染：以每日結束時新出現的感染租客計數
+        game.gameState.rooms.forEach((room) => {
+          if (room.tenant?.infected && !infectedSeen.has(room.tenant.name)) {
+            infectedSeen.add(room.tenant.name);
+            stats.infections++;
+          }
+        });
+      }
+
+      stats.survivalDays = game.gameState.day - startDay;
+      stats.gameOver = game.gameOver;
+    } finally {
+      game.shutdown();
+    }
+
+    return stats;
+  }
+
+  /**
+   * 掛載事件收集器（租客離開原因、感染雇用、觸發事件）
+   * @private
+   */
+  attachCollectors(game, stats) {
+    game.tenantSystem.on("tenantEvicted", (data) => {
+      const reasonText = game.tenantSystem.getEvictionReasonText(data.reason);
+      stats.evictions[reasonText] = (stats.evictions[reasonText] || 0) + 1;
+    });
+
+    game.tenantSystem.on("tenantHired", (data) => {
+      if (data.tenant?.infected) {
+        stats.infectedHires++;
+      }
+    });
+
+    game.eventSystem?.addEventListener("eventTriggered", (e) => {
+      const title = e.detail.event.title || e.detail.event.id;
+      stats.events[title] = (stats.events[title] || 0) + 1;
+    });
+  }
+
+  /**
+   * 彙整所有局的統計
+   * @param {Array<Object>} results - simulateRun 結果陣列
+   */
+  aggregate(results) {
+    const runCount = results.length;
+    const survivalDays = results.map((r) => r.survivalDays);
+
+    return {
+      config: {
+        runs: runCount,
+        days: this.options.days,
+        seedRange: [this.baseSeed, (this.baseSeed + runCount - 1) >>> 0],
+        script: this.options.script?.name || "custom",
+      },
+      survival: {
+        ...BalanceSimulator.describe(survivalDays),
+        survivalRate: this.ratio(
+          results.filter((r) => !r.gameOver).length,
+          runCount
+        ),
+        histogram: this.buildHistogram(survivalDays),
+      },
+      resourceCurves: this.buildResourceCurves(results),
+      infections: {
+        totalIncidents: this.sum(results.map((r) => r.infections)),
+        infectedHires: this.sum(results.map((r) => r.infectedHires)),
+        runsWithInfection: results.filter((r) => r.infections > 0).length,
+        perRun: this.ratio(
+          this.sum(results.map((r) => r.infections)),
+          runCount
+        ),
+      },
+      evictions: this.rankCounts(results.map((r) => r.evictions)),
+      topEvents: this.rankCounts(results.map((r) => r.events)).slice(
+        0,
+        this.options.topEvents
+      ),
+    };
+  }
+
+  /**
+   * 存活天數分布（依固定區間分組）
+   * @private
+   */
+  buildHistogram(values) {
+    const bucket = Math.max(1, this.options.histogramBucket);
+    const histogram = new Map();
+
+    values.forEach((value) => {
+      const start = Math.floor(value / bucket) * bucket;
+      histogram.set(start, (histogram.get(start) || 0) + 1);
+    });
+
+    return Array.from(histogram.entries())
+      .sort((a, b) => a[0] - b[0])
+      .map(([start, count]) => ({
+        range: `${start}-${start + bucket - 1}`,
+        count: count,
+      }));
+  }
+
+  /**
+   * 每日平均資源曲線（僅計入當天仍存活的局）
+   * @private
+   */
+  buildResourceCurves(results) {
+    const curves = [];
+
+    for (let day = 0; day <= this.options.days; day++) {
+      const samples = results
+        .map((r) => r.resourceCurve[day])
+        .filter((sample) => sample);
+      if (samples.length === 0) break;
+
+      const point = { day: day, runs: samples.length };
+      RESOURCE_TYPES.forEach((type) => {
+        point[type] = this.round(
+          this.sum(samples.map((sample) => sample[type] || 0)) / samples.length
+        );
+      });
+      curves.push(point);
+    }
+
+    return curves;
+  }
+
+  /**
+   * 合併多局的計數表並依次數排序
+   * @private
+   */
+  rankCounts(countMaps) {
+    const totals = {};
+    countMaps.forEach((counts) => {
+      Object.entries(counts).forEach(([key, count]) => {
+        totals[key] = (totals[key] || 0) + count;
+      });
+    });
+
+    return Object.entries(totals)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([name, count]) => ({ name: name, count: count }));
+  }
+
+  /**
+   * 描述統計（平均、中位數、百分位數）
+   */
+  static describe(values) {
+    if (values.length === 0) {
+      return { mean: 0, median: 0, min: 0, max: 0, p10: 0, p90: 0 };
+    }
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const percentile = (p) =>
+      sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+
+    return {
+      mean:
+        Math.round(
+          (sorted.reduce((sum, value) => sum + value, 0) / sorted.length) * 100
+        ) / 100,
+      median: percentile(0.5),
+      min: sorted[0],
+      max: sorted[sorted.length - 1],
+      p10: percentile(0.1),
+      p90: percentile(0.9),
+    };
+  }
+
+  /**
+   * 將報告轉為文字摘要（命令列輸出用）
+   */
+  static formatReport(report) {
+    const lines = [];
+    const { survival, infections } = report;
+
+    lines.push(
+      `📊 批次模擬：${report.config.runs} 局 × 最多 ${report.config.days} 天` +
+        `（種子 ${report.config.seedRange.join("~")}，${report.durationMs}ms）`
+    );
+    lines.push("");
+    lines.push("⏳ 存活天數");
+    lines.push(
+      `  平均 ${survival.mean}｜中位數 ${survival.median}｜` +
+        `P10 ${survival.p10}｜P90 ${survival.p90}｜` +
+        `撐滿全程 ${(survival.survivalRate * 100).toFixed(1)}%`
+    );
+    survival.histogram.forEach(({ range, count }) => {
+      const share = count / report.config.runs;
+      lines.push(
+        `  ${range.padStart(9)} ${"█".repeat(Math.ceil(share * 40))} ${count}`
+      );
+    });
+
+    lines.push("");
+    lines.push("💰 平均資源曲線");
+    lines.push(
+      `  ${["天", "存活局", ...RESOURCE_TYPES]
+        .map((h) => String(h).padStart(10))
+        .join("")}`
+    );
+    const step = Math.max(1, Math.ceil(report.resourceCurves.length / 12));
+    report.resourceCurves
+      .filter(
+        (point, index, all) => index % step === 0 || index === all.length - 1
+      )
+      .forEach((point) => {
+        lines.push(
+          `  ${[point.day, point.runs, ...RESOURCE_TYPES.map((t) => point[t])]
+            .map((v) => String(v).padStart(10))
+            .join("")}`
+        );
+      });
+
+    lines.push("");
+    lines.push("🦠 感染");
+    lines.push(
+      `  事件 ${infections.totalIncidents} 次（每局 ${infections.perRun}）｜` +
+        `雇用到感染者 ${infections.infectedHires} 次｜` +
+        `發生感染的局 ${infections.runsWithInfection}`
+    );
+
+    lines.push("");
+    lines.push("👋 租客離開原因");
+    if (report.evictions.length === 0) lines.push("  （無）");
+    report.evictions.forEach(({ name, count }) => {
+      lines.push(`  ${name}: ${count}`);
+    });
+
+    lines.push("");
+    lines.push("📅 最常觸發的事件");
+    if (report.topEvents.length === 0) lines.push("  （無）");
+    report.topEvents.forEach(({ name, count }, index) => {
+      lines.push(`  ${index + 1}. ${name}: ${count}`);
+    });
+
+    return lines.join("\n");
+  }
+
+  // ==================== 內部工具 ====================
+
+  sum(values) {
+    return values.reduce((total, value) => total + value, 0);
+  }
+
+  ratio(value, total) {
+    return total > 0 ? this.round(value / total) : 0;
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
@@ -0,0 +1,331 @@
+/**
+ * HeadlessGame - 無介面遊戲執行器（Node.js 模擬用）
+ * 職責：
+ * 1. 不依賴 DOM/UIManager，以真實規則與資料驅動所有核心與業務系統
+ * 2. 依決策腳本執行玩家操作、處理事件選擇並推進天數
+ * 3. 收集遊戲記錄與結果摘要，供平衡調整與自動化測試使用
+ *
+ * 設計模式：模板方法（覆寫 Game 的 UI 掛鉤）+ 策略模式（決策腳本）
+ * 核心特性：檔案系統載入資料、種子重現、回放記錄、房東飢餓判定結束
+ */
+
+import { Game } from "../main.js";
+import { PolicyAgent } from "../ai/PolicyAgent.js";
+import { SYSTEM_LIMITS } from "../utils/constants.js";
+
+/** 單次處理中允許連鎖觸發的事件上限，避免事件互相觸發造成無限迴圈 */
+const MAX_CHAINED_EVENTS = 10;
+
+/**
+ * 內建基本腳本：收租、採集、補滿空房、派遣健康租客搜刮
+ */
+export const BASIC_SCRIPT = {
+  name: "basic",
+
+  decideActions(game) {
+    const state = game.gameState;
+    const actions = [];
+
+    if (!state.rentCollected) {
+      actions.push({ type: "collectRent" });
+    }
+
+    if (!state.harvestUsed && state.harvestCooldown === 0) {
+      actions.push({ type: "harvestYard" });
+    }
+
+    const hasEmptyRoom = state.rooms.some((room) => !room.tenant);
+    if (hasEmptyRoom) {
+      const applicants = game.generateApplicants();
+      const candidate = applicants.find((applicant) => !applicant.infected);
+      if (candidate) {
+        actions.push({ type: "hireTenant", args: [candidate.id] });
+      }
+    }
+
+    game
+      .getAvailableTenantsForScavenge()
+      .slice(0, state.maxScavengePerDay - state.scavengeUsed)
+      .forEach((tenant) => {
+        actions.push({ type: "scavenge", args: [tenant.name] });
+      });
+
+    return actions;
+  },
+};
+
+export class HeadlessGame extends Game {
+  /**
+   * @param {Object} options - 執行選項
+   * @param {number|string} [options.seed] - 隨機種子（未指定時隨機產生）
+   * @param {string} [options.dataPath] - 資料目錄路徑（預設為專案 data/ 目錄）
+   * @param {Array<string>} [options.mods] - 啟用的模組包 ID（套用順序依 mods/index.json）
+   * @param {boolean} [options.dev] - 開發模式（資料參照有錯誤時初始化失敗）
+   * @param {number} [options.maxDays] - run() 預設的模擬天數
+   * @param {number} [options.maxLogEntries] - 保留的遊戲記錄筆數
+   * @param {boolean} [options.verbose] - 是否將遊戲記錄即時輸出到主控台
+   */
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      seed: null,
+      dataPath: null,
+      mods: [],
+      dev: false,
+      maxDays: 30,
+      maxLogEntries: SYSTEM_LIMITS.HISTORY.MAX_LOG_ENTRIES,
+      verbose: false,
+      ...options,
+    };
+
+    // 模擬狀態
+    this.gameLog = [];
+    this.policyAgent = null;
+    this.gameOver = false;
+    this.gameOverReason = null;
+  }
+
+  /**
+   * 無介面初始化流程（略過 UI 階段與降級啟動）
+   * 任一階段失敗直接拋出錯誤，交由呼叫端處理
+   */
+  async initialize() {
+    console.log("🤖 開始無介面模式初始化...");
+
+    await this.initializeCoreModules();
+    await this.loadGameConfiguration();
+    await this.applyConfigurationToGameState();
+    await this.initializeBusinessModules();
+    await this.establishSystemIntegration();
+    this.initializeSaveSystem();
+    this.completeInitialization();
+
+    // 無介面模擬沒有熱重載，開發模式的資料參照錯誤直接中止
+    const referenceErrors = this.describeDataReferenceErrors();
+    if (referenceErrors) {
+      throw new Error(referenceErrors);
+    }
+
+    return this.initializationStatus.complete;
+  }
+
+  /**
+   * 初始化核心模組，並套用指定的資料目錄
+   */
+  async initializeCoreModules() {
+    await super.initializeCoreModules();
+
+    if (this.options.dataPath) {
+      this.dataManager.dataPath = this.options.dataPath;
+    }
+  }
+
+  /**
+   * 使用選項指定的隨機種子
+   */
+  getRequestedSeed() {
+    return this.options.seed;
+  }
+
+  /**
+   * 使用選項指定的模組包（不讀取瀏覽器保存的設定）
+   */
+  getRequestedMods() {
+    return this.options.mods;
+  }
+
+  /**
+   * 使用選項指定的開發模式（不讀取網址參數）
+   */
+  isDevMode() {
+    return this.options.dev === true;
+  }
+
+  // ==================== 模擬控制 ====================
+
+  /**
+   * 處理待決事件：依腳本選擇選項，未指定時採用第一個選項
+   * @param {Object} script - 決策腳本
+   */
+  async resolvePendingEvents(script = {}) {
+    let resolved = 0;
+
+    while (
+      this.eventSystem?.hasPendingEvents() &&
+      resolved < MAX_CHAINED_EVENTS
+    ) {
+      const [{ event, choices }] = this.eventSystem.getPendingEvents();
+      resolved++;
+
+      const choiceId =
+        (script.chooseEventOption &&
+          (await script.chooseEventOption(event, choices, this))) ||
+        choices[0].id;
+
+      await this.performAction({
+        type: "eventChoice",
+        args: [event.id, choiceId],
+      });
+    }
+
+    if (this.eventSystem?.hasPendingEvents()) {
+      const remaining = this.eventSystem.getPendingEvents();
+      console.warn(
+        `⚠️ 連鎖事件超過 ${MAX_CHAINED_EVENTS} 個，略過 ${remaining.length} 個`
+      );
+      remaining.forEach(({ event }) => {
+        this.eventSystem.activeEvents.delete(event.id);
+      });
+    }
+  }
+
+  /**
+   * 模擬一天：執行腳本決定的操作後進入下一天
+   * 傳入 LandlordPolicy（具 chooseAction）時改由 PolicyAgent 逐步決策
+   * @param {Object} script - 決策腳本或策略
+   * @param {Function} [script.decideActions] - (game) => 當天操作陣列
+   * @param {Function} [script.chooseEventOption] - (event, choices, game) => 選項 ID
+   */
+  async playDay(script = {}) {
+    if (typeof script.chooseAction === "function") {
+      await this.getPolicyAgent(script).playDay();
+      this.checkGameOver();
+      return;
+    }
+
+    const actions = script.decideActions
+      ? (await script.decideActions(this)) || []
+      : [];
+
+    for (const action of actions) {
+      await this.performAction(action);
+      await this.resolvePendingEvents(script);
+    }
+
+    await this.performAction({ type: "nextDay" });
+    await this.resolvePendingEvents(script);
+    this.checkGameOver();
+  }
+
+  /**
+   * 取得策略執行器（同一策略沿用同一個執行器，保留策略隨機數序列）
+   */
+  getPolicyAgent(policy) {
+    if (this.policyAgent?.policy !== policy) {
+      this.policyAgent = new PolicyAgent(this, policy);
+    }
+    return this.policyAgent;
+  }
+
+  /**
+   * 連續模擬多天，直到達到天數或遊戲結束
+   * @param {Object} script - 決策腳本（見 playDay）
+   * @param {number} days - 模擬天數
+   * @returns {Promise<Object>} 模擬結果摘要
+   */
+  async run(script = {}, days = this.options.maxDays) {
+    const startDay = this.gameState.day;
+
+    while (!this.gameOver && this.gameState.day - startDay < days) {
+      await this.playDay(script);
+    }
+
+    return this.getRunSummary(startDay);
+  }
+
+  /**
+   * 檢查遊戲是否結束（房東飢餓達到致命程度）
+   */
+  checkGameOver() {
+    const hunger = this.gameHelpers.getHungerStatus(
+      this.gameState.landlordHunger
+    );
+
+    if (hunger.severity === "fatal") {
+      this.gameOver = true;
+      this.gameOverReason = `房東${hunger.text}`;
+      this.addGameLog(`💀 遊戲結束：${this.gameOverReason}`, "danger");
+    }
+
+    return this.gameOver;
+  }
+
+  /**
+   * 取得模擬結果摘要
+   * @param {number} startDay - 模擬起始天數
+   */
+  getRunSummary(startDay = 1) {
+    return {
+      seed: this.gameState.randomSeed,
+      startDay: startDay,
+      finalDay: this.gameState.day,
+      daysSimulated: this.gameState.day - startDay,
+      gameOver: this.gameOver,
+      gameOverReason: this.gameOverReason,
+      resources: { ...this.gameState.resources },
+      landlordHunger: this.gameState.landlordHunger,
+      tenants: this.gameState.rooms
+        .filter((room) => room.tenant)
+        .map((room) => ({
+          name: room.tenant.name,
+          type: room.tenant.typeId || room.tenant.type,
+          infected: !!room.tenant.infected,
+        })),
+      actionCount: this.actionLog?.actions.length || 0,
+      eventCount: this.eventSystem?.eventHistory.length || 0,
+      policy: this.policyAgent?.getStatus() || null,
+      fingerprint: this.actionLog?.computeFingerprint() || null,
+    };
+  }
+
+  /**
+   * 回放用的全新實例沿用相同的資料目錄與開發模式設定
+   * 模組包採用回放檔記錄的清單，舊版回放檔沿用目前生效的模組包
+   * @param {Array<string>|null} [mods] - 回放檔記錄的模組包
+   */
+  async createReplayInstance(mods = null) {
+    const game = new HeadlessGame({
+      ...this.options,
+      mods: mods ?? this.saveManager?.getActiveModIds() ?? this.options.mods,
+      verbose: false,
+    });
+    await game.initialize();
+    return game;
+  }
+
+  // ==================== UI 掛鉤（無介面實作） ====================
+
+  notifyUIUpdate() {}
+
+  closeModal() {}
+
+  addGameLog(message, type = "event") {
+    const entry = { day: this.gameState.day, message: message, type: type };
+
+    this.gameLog.push(entry);
+    if (this.gameLog.length > this.options.maxLogEntries) {
+      this.gameLog.shift();
+    }
+
+    if (this.options.verbose) {
+      console.log(`📜 [第${entry.day}天] ${message}`);
+    }
+  }
+
+  showUserMessage(message) {
+    this.addGameLog(message, "danger");
+  }
+
+  promptUserInput(message, defaultValue = "") {
+    return defaultValue;
+  }
+
+  confirmUserAction() {
+    return true;
+  }
+
+  downloadTextFile(filename) {
+    throw new Error(`無介面模式不支援下載檔案: ${filename}`);
+  }
+}
@@ -0,0 +1,130 @@
+/**
+ * 批次平衡模擬命令列工具
+ * 用法：
+ *   node src/js/headless/balance.js [--runs 1000] [--days 60] [--seed 1]
+ *     [--policy greedy-resource | --script ./my-script.js]
+ *     [--data ./data] [--out report.json] [--help]
+ *
+ * 以相同種子範圍重跑即可比較 rules.json 調整前後的數據差異
+ */
+
+import { writeFile } from "node:fs/promises";
+import { resolve } from "node:path";
+import { pathToFileURL } from "node:url";
+import { createPolicy } from "../ai/LandlordPolicy.js";
+import { BalanceSimulator } from "./BalanceSimulator.js";
+
+const USAGE = `用法：
+  node src/js/headless/balance.js [--runs 1000] [--days 60] [--seed 1]
+    [--policy greedy-resource | --script ./my-script.js]
+    [--data ./data] [--out report.json] [--help]
+
+以相同種子範圍重跑即可比較 rules.json 調整前後的數據差異`;
+
+/**
+ * 解析命令列參數
+ */
+function parseArgs(argv) {
+  const options = {
+    runs: 1000,
+    days: 60,
+    seed: 1,
+    policy: null,
+    script: null,
+    dataPath: null,
+    out: null,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case "--runs":
+        options.runs = parseInt(argv[++i], 10);
+        break;
+      case "--days":
+        options.days = parseInt(argv[++i], 10);
+        break;
+      case "--seed":
+        options.seed = argv[++i];
+        break;
+      case "--policy":
+        options.policy = argv[++i];
+        break;
+      case "--script":
+        options.script = argv[++i];
+        break;
+      case "--data":
+        options.dataPath = argv[++i];
+        break;
+      case "--out":
+        options.out = argv[++i];
+        break;
+      case "--help":
+      case "-h":
+        return { help: true };
+      default:
+        throw new Error(`未知的參數: ${arg}`);
+    }
+  }
+
+  ["runs", "days"].forEach((key) => {
+    if (!Number.isInteger(options[key]) || options[key] <= 0) {
+      throw new Error(`--${key} 必須是正整數`);
+    }
+  });
+
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const scriptModule = options.script
+    ? await import(pathToFileURL(resolve(options.script)).href)
+    : null;
+
+  const simulator = new BalanceSimulator({
+    runs: options.runs,
+    days: options.days,
+    seed: options.seed,
+    dataPath: options.dataPath,
+    ...(options.policy && { script: createPolicy(options.policy) }),
+    ...(scriptModule && {
+      script: { name: options.script, ...scriptModule },
+    }),
+  });
+
+  // 每局初始化訊息量大，模擬期間暫停一般輸出與警告
+  const { log: consoleLog, warn: consoleWarn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+
+  let report;
+  try {
+    report = await simulator.run((done, total) => {
+      if (done % 100 === 0 || done === total) {
+        process.stderr.write(`\r⏳ 模擬進度 ${done}/${total}`);
+      }
+    });
+  } finally {
+    console.log = consoleLog;
+    console.warn = consoleWarn;
+    process.stderr.write("\n");
+  }
+
+  console.log(BalanceSimulator.formatReport(report));
+
+  if (options.out) {
+    await writeFile(options.out, JSON.stringify(report, null, 2), "utf8");
+    console.log(`\n📄 完整報告已輸出：${options.out}`);
+  }
+}
+
+main().catch((error) => {
+  console.error("❌ 批次模擬失敗:", error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,128 @@
+/**
+ * 資料檔 JSON Schema 命令列工具
+ * 用法：
+ *   node src/js/headless/schemas.js [--data ./data] [--check]
+ *
+ * 由 TenantConfigValidator、SkillConfigValidator、EventConfigValidator 與
+ * RuleConfigValidator 產生 data/schemas/<類型>.schema.json，供編輯器自動完成與即時檢查
+ * --check 不寫入檔案，確認已提交的 Schema 與驗證器一致，且資料檔符合 Schema（不符合時結束碼為 1）
+ */
+
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import { dirname, join, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import { ValidatorFactory, ValidationUtils } from "../utils/validators.js";
+
+const DEFAULT_DATA_PATH = resolve(
+  dirname(fileURLToPath(import.meta.url)),
+  "../../data"
+);
+
+/**
+ * 解析命令列參數
+ */
+function parseArgs(argv) {
+  const options = {
+    dataPath: DEFAULT_DATA_PATH,
+    check: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case "--data":
+        options.dataPath = resolve(argv[++i]);
+        break;
+      case "--check":
+        options.check = true;
+        break;
+      default:
+        throw new Error(`未知的參數: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Schema 檔案內容（2 空白縮排，結尾換行，與資料檔格式一致）
+ */
+function serializeSchema(schema) {
+  return `${JSON.stringify(schema, null, 2)}\n`;
+}
+
+async function readTextFile(path) {
+  try {
+    return await readFile(path, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+/**
+ * 檢查已提交的 Schema 是否最新、資料檔是否符合 Schema
+ * @returns {number} 發現的問題數
+ */
+async function checkSchemas(schemas, dataPath) {
+  let problems = 0;
+
+  for (const [dataType, schema] of Object.entries(schemas)) {
+    const schemaPath = join(dataPath, "schemas", `${dataType}.schema.json`);
+    const committed = await readTextFile(schemaPath);
+
+    if (committed !== serializeSchema(schema)) {
+      problems++;
+      console.error(
+        `❌ ${dataType}.schema.json ${
+          committed === null ? "不存在" : "與驗證器不一致"
+        }，請執行 node src/js/headless/schemas.js 重新產生`
+      );
+    }
+
+    const data = JSON.parse(
+      await readFile(join(dataPath, `${dataType}.json`), "utf8")
+    );
+    const result = ValidationUtils.checkJsonSchema(schema, data, dataType);
+
+    if (result.isValid) {
+      console.log(`✅ ${dataType}.json 符合 Schema`);
+      continue;
+    }
+
+    problems += result.errors.length;
+    result.errors.forEach((error) =>
+      console.error(`❌ ${dataType}.json: ${error.message}`)
+    );
+  }
+
+  return problems;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const schemas = new ValidatorFactory().generateConfigSchemas();
+
+  if (options.check) {
+    const problems = await checkSchemas(schemas, options.dataPath);
+    if (problems > 0) {
+      console.error(`❌ Schema 檢查發現 ${problems} 個問題`);
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  const schemaDir = join(options.dataPath, "schemas");
+  await mkdir(schemaDir, { recursive: true });
+
+  for (const [dataType, schema] of Object.entries(schemas)) {
+    const schemaPath = join(schemaDir, `${dataType}.schema.json`);
+    await writeFile(schemaPath, serializeSchema(schema), "utf8");
+    console.log(`📝 已產生 ${schemaPath}`);
+  }
+}
+
+main().catch((error) => {
+  console.error("❌ Schema 產生失敗:", error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,127 @@
+/**
+ * 無介面模擬命令列工具
+ * 用法：
+ *   node src/js/headless/simulate.js [--seed 12345] [--days 30]
+ *     [--policy greedy-resource | --script ./my-script.js]
+ *     [--data ./data] [--mods pack_a,pack_b] [--replay out.json] [--dev]
+ *     [--verbose]
+ *
+ * --policy 使用參考 AI 策略（random、greedy-resource、cautious-infection-screening）
+ * --script 指定的模組可匯出 decideActions(game) 與
+ * chooseEventOption(event, choices, game)，兩者皆未指定時使用內建的基本腳本
+ * --mods 依 data/mods/index.json 的順序套用指定的模組包
+ * --dev 開發模式：資料使用未註冊的條件/效果類型或參照錯誤時中止
+ */
+
+import { writeFile } from "node:fs/promises";
+import { resolve } from "node:path";
+import { pathToFileURL } from "node:url";
+import { createPolicy } from "../ai/LandlordPolicy.js";
+import { HeadlessGame, BASIC_SCRIPT } from "./HeadlessGame.js";
+
+/**
+ * 解析命令列參數
+ */
+function parseArgs(argv) {
+  const options = {
+    seed: null,
+    days: 30,
+    policy: null,
+    script: null,
+    dataPath: null,
+    mods: [],
+    replay: null,
+    dev: false,
+    verbose: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case "--seed":
+        options.seed = argv[++i];
+        break;
+      case "--days":
+        options.days = parseInt(argv[++i], 10);
+        break;
+      case "--policy":
+        options.policy = argv[++i];
+        break;
+      case "--script":
+        options.script = argv[++i];
+        break;
+      case "--data":
+        options.dataPath = argv[++i];
+        break;
+      case "--mods":
+        options.mods = argv[++i].split(",").filter(Boolean);
+        break;
+      case "--replay":
+        options.replay = argv[++i];
+        break;
+      case "--dev":
+        options.dev = true;
+        break;
+      case "--verbose":
+        options.verbose = true;
+        break;
+      default:
+        throw new Error(`未知的參數: ${arg}`);
+    }
+  }
+
+  if (!Number.isInteger(options.days) || options.days <= 0) {
+    throw new Error("--days 必須是正整數");
+  }
+
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  let script = BASIC_SCRIPT;
+  if (options.policy) {
+    script = createPolicy(options.policy);
+  } else if (options.script) {
+    script = await import(pathToFileURL(resolve(options.script)).href);
+  }
+
+  // 系統初始化訊息量大，非詳細模式時只保留警告與錯誤
+  const consoleLog = console.log;
+  if (!options.verbose) {
+    console.log = () => {};
+  }
+
+  const game = new HeadlessGame({
+    seed: options.seed,
+    dataPath: options.dataPath,
+    mods: options.mods,
+    dev: options.dev,
+    verbose: options.verbose,
+  });
+
+  try {
+    await game.initialize();
+    const summary = await game.run(script, options.days);
+
+    if (options.replay) {
+      const { content } = game.actionLog.exportReplay();
+      await writeFile(options.replay, content, "utf8");
+    }
+
+    console.log = consoleLog;
+    console.log(JSON.stringify(summary, null, 2));
+    if (options.replay) {
+      console.log(`🎬 回放檔已輸出：${options.replay}`);
+    }
+  } finally {
+    game.shutdown();
+    console.log = consoleLog;
+  }
+}
+
+main().catch((error) => {
+  console.error("❌ 模擬失敗:", error);
+  process.exitCode = 1;
+});
@@ -7,11 +7,18 @@
 import { DataManager } from "./core/DataManager.js";
 import { RuleEngine } from "./core/RuleEngine.js";
 import { GameBridge } from "./core/GameBridge.js";
+import { SaveManager } from "./core/SaveManager.js";
+import { RandomService } from "./core/RandomService.js";
+import { ActionLog } from "./core/ActionLog.js";
+import { ConditionRegistry } from "./core/ConditionRegistry.js";
+import { ModManager } from "./core/ModManager.js";
+import { DataHotReloader } from "./core/DataHotReloader.js";
 
 // 業務系統模組
 import { TenantSystem } from "./systems/TenantSystem.js";
 import { ResourceSystem } from "./systems/ResourceSystem.js";
 import { SkillSystem } from "./systems/SkillSystem.js";
+import { EventSystem } from "./systems/EventSystem.js";
 
 // UI 系統模組
 import { UIManager } from "./ui/UIManager.js";
@@ -22,10 +29,12 @@ import { GameHelpers } from "./utils/helpers.js";
 // 系統級常數
 import {
   SYSTEM_LIMITS,
+  SAVE_SYSTEM,
   UI_CONSTANTS,
   DATA_TYPES,
   ERROR_CODES,
   MESSAGE_TEMPLATES,
+  DEV_CONFIG,
 } from "./utils/constants.js";
 
 /**
@@ -41,11 +50,20 @@ class Game {
     this.ruleEngine = null;
     this.gameBridge = null;
     this.gameHelpers = null;
+    this.randomService = null;
+    this.modManager = null;
+    this.requestedMods = null; // 指定啟用的模組包（回放用），null 表示使用保存的設定
+    this.dataHotReloader = null;
 
     // 業務系統模組實例
     this.tenantSystem = null;
     this.resourceSystem = null;
     this.skillSystem = null;
+    this.eventSystem = null;
+
+    // 存檔與回放系統實例
+    this.saveManager = null;
+    this.actionLog = null;
 
     // UI 系統模組實例
     this.uiManager = null;
@@ -53,6 +71,8 @@ class Game {
     // 配置狀態
     this.configLoaded = false;
     this.rulesConfig = null;
+    this.dataReferenceResult = null;
+    this.dataReferenceBlocked = false;
 
     // 初始化狀態追蹤
     this.initializationStatus = {
@@ -60,9 +80,13 @@ class Game {
       ruleEngine: false,
       gameBridge: false,
       gameHelpers: false,
+      randomService: false,
       tenantSystem: false,
       resourceSystem: false,
       skillSystem: false,
+      eventSystem: false,
+      saveManager: false,
+      actionLog: false,
       uiManager: false,
       configApplied: false,
       complete: false,
@@ -95,6 +119,7 @@ class Game {
       buildingDefense: 0,
       tenantSatisfaction: {},
       harmoniumBonus: 0,
+      randomSeed: null,
 
       // 全域效果
       emergencyTraining: false,
@@ -127,10 +152,13 @@ class Game {
       // 階段 5：建立系統整合
       await this.establishSystemIntegration();
 
-      // 階段 6：初始化 UI 系統
+      // 階段 6：初始化存檔與回放系統
+      this.initializeSaveSystem();
+
+      // 階段 7：初始化 UI 系統
       await this.initializeUISystem();
 
-      // 階段 7：完成啟動
+      // 階段 8：完成啟動
       this.completeInitialization();
     } catch (error) {
       this.errorHandler.handleInitializationError(error);
@@ -163,9 +191,71 @@ class Game {
     this.gameHelpers = new GameHelpers();
     this.initializationStatus.gameHelpers = true;
 
+    // 初始化種子隨機數服務，所有系統透過同一序列取得隨機數
+    this.randomService = new RandomService(this.getRequestedSeed());
+    this.gameBridge.registerService("random", this.randomService);
+
+    const randomService = this.gameBridge.getService("random");
+    this.gameHelpers.setRandomService(randomService);
+    this.ruleEngine.setRandomService(randomService);
+    this.gameState.randomSeed = randomService.getSeed();
+    this.initializationStatus.randomService = true;
+
+    // 初始化共用條件註冊表，規則引擎、事件與技能系統使用同一套條件
+    this.gameBridge.registerService("conditions", new ConditionRegistry());
+    this.ruleEngine.setConditionRegistry(
+      this.gameBridge.getService("conditions")
+    );
+
+    // 初始化模組包管理器（啟用狀態保存在瀏覽器，載入配置時套用）
+    this.modManager = new ModManager({ enabled: this.getRequestedMods() });
+    this.gameBridge.registerService("mods", this.modManager);
+
     console.log("✅ 核心系統模組初始化完成");
   }
 
+  /**
+   * 取得網址指定的隨機種子（?seed=...），未指定時回傳 null
+   */
+  getRequestedSeed() {
+    if (typeof window === "undefined" || !window.location) {
+      return null;
+    }
+
+    const requestedSeed = new URLSearchParams(window.location.search).get(
+      "seed"
+    );
+    if (requestedSeed === null) {
+      return null;
+    }
+
+    if (RandomService.normalizeSeed(requestedSeed) === null) {
+      console.warn(`⚠️ 無效的隨機種子參數: ${requestedSeed}，改用隨機種子`);
+      return null;
+    }
+
+    return requestedSeed;
+  }
+
+  /**
+   * 是否為開發模式（網址參數 ?dev 或 DEV_CONFIG.DEBUG_MODE.ENABLED）
+   * 開發模式下未知類型視為資料參照錯誤，有錯誤時以錯誤畫面阻擋遊戲，並啟動資料熱重載
+   */
+  isDevMode() {
+    if (DEV_CONFIG.DEBUG_MODE.ENABLED) return true;
+    if (typeof window === "undefined" || !window.location) return false;
+
+    const dev = new URLSearchParams(window.location.search).get("dev");
+    return dev !== null && dev !== "0" && dev !== "false";
+  }
+
+  /**
+   * 取得指定啟用的模組包，null 表示使用保存的設定
+   */
+  getRequestedMods() {
+    return this.requestedMods;
+  }
+
   /**
    * 載入遊戲配置
    */
@@ -173,6 +263,9 @@ class Game {
     console.log("📊 正在載入遊戲配置資料...");
 
     try {
+      // 先載入模組包清單，之後載入的資料會套用啟用中的模組包
+      await this.dataManager.loadModPacks(this.modManager);
+
       // 優先載入 rules 配置
       this.rulesConfig = await this.dataManager
         .loadData("rules")
@@ -226,6 +319,9 @@ class Game {
           // 更新房間配置
           this.gameState.rooms = this.gameHelpers.getInitialRooms();
 
+          // 保留本局隨機種子
+          this.gameState.randomSeed = this.randomService.getSeed();
+
           this.initializationStatus.configApplied = true;
           console.log("✅ 配置驅動的遊戲狀態已應用");
         } else {
@@ -271,9 +367,25 @@ class Game {
         this.dataManager,
         this.gameHelpers
       );
+      this.skillSystem.setConditionRegistry(
+        this.gameBridge.getService("conditions")
+      );
       const skillInitSuccess = await this.skillSystem.initialize();
       this.initializationStatus.skillSystem = skillInitSuccess;
 
+      // 初始化事件系統
+      console.log("📅 初始化 EventSystem...");
+      this.eventSystem = new EventSystem(
+        this.gameState,
+        this.dataManager,
+        this.gameHelpers
+      );
+      this.eventSystem.setConditionRegistry(
+        this.gameBridge.getService("conditions")
+      );
+      const eventInitSuccess = await this.eventSystem.initialize();
+      this.initializationStatus.eventSystem = eventInitSuccess;
+
       // 系統狀態報告
       console.log(
         resourceInitSuccess
@@ -290,6 +402,11 @@ class Game {
           ? "✅ SkillSystem 初始化成功"
           : "⚠️ SkillSystem 初始化失敗"
       );
+      console.log(
+        eventInitSuccess
+          ? "✅ EventSystem 初始化成功"
+          : "⚠️ EventSystem 初始化失敗"
+      );
 
       console.log("✅ 業務系統模組初始化完成");
     } catch (error) {
@@ -297,6 +414,7 @@ class Game {
       this.initializationStatus.tenantSystem = false;
       this.initializationStatus.resourceSystem = false;
       this.initializationStatus.skillSystem = false;
+      this.initializationStatus.eventSystem = false;
     }
   }
 
@@ -315,12 +433,132 @@ class Game {
     // 建立技能系統事件監聽
     this.setupSkillSystemEvents();
 
+    // 建立事件系統事件監聽
+    this.setupEventSystemEvents();
+
     // 建立系統間協作機制
     this.setupSystemCollaboration();
 
+    // 載入資料定義的規則
+    this.setupRuleEngine();
+
+    // 訂閱事件驅動的規則與事件
+    this.setupEventTriggers();
+
+    // 檢查資料檔之間的 ID 參照（開發模式的錯誤在啟動完成後回報，熱重載仍可修正）
+    this.dataReferenceResult = this.validateDataReferences();
+
     console.log("✅ 系統整合建立完成");
   }
 
+  /**
+   * 跨檔案參照檢查：懸空 ID、未使用的技能與事件、未知的條件與效果類型
+   * 正式環境只記錄問題（未知類型為警告）；開發模式下未知類型視為錯誤
+   * @returns {Object|null} 跨檔案參照的驗證結果
+   */
+  validateDataReferences() {
+    if (!this.dataManager) return null;
+
+    const dataMap = {};
+    ["tenants", "skills", "events", "rules"].forEach((dataType) => {
+      const data = this.dataManager.getCachedData(dataType);
+      if (data) dataMap[dataType] = data;
+    });
+
+    // 已註冊的類型：效果只計入已初始化（執行器已註冊）的系統
+    // EventSystem 找不到執行器時會交給 RuleEngine，事件效果兩者皆可
+    const executorSources = {
+      events: this.eventSystem?.effectExecutors,
+      skills: this.skillSystem?.effectHandlers,
+      rules: this.ruleEngine?.effectExecutors,
+    };
+    const effects = {};
+    Object.entries(executorSources).forEach(([source, executors]) => {
+      if (!(executors?.size > 0)) return;
+      effects[source] = Array.from(executors.keys());
+    });
+    if (effects.events && this.eventSystem.ruleEngineRef) {
+      effects.events.push(
+        ...this.eventSystem.ruleEngineRef.effectExecutors.keys()
+      );
+    }
+    const conditions = this.gameBridge?.getService("conditions")?.getTypes();
+
+    const devMode = this.isDevMode();
+    const result = this.dataManager.validateMultipleConfigs(dataMap, {
+      knownTypes: { conditions, effects },
+      strictTypes: devMode,
+    }).crossReferences;
+    if (!result) return null;
+
+    result.errors.forEach((error) =>
+      console.error(`❌ 資料參照錯誤: ${error.message} (欄位: ${error.field})`)
+    );
+    result.warnings.forEach((warning) =>
+      console.warn(
+        `⚠️ 資料參照警告: ${warning.message} (欄位: ${warning.field})`
+      )
+    );
+
+    return result;
+  }
+
+  /**
+   * 開發模式下的資料參照錯誤摘要
+   * @param {Object|null} result - validateDataReferences() 的結果
+   * @returns {string|null} 非開發模式或沒有錯誤時回傳 null
+   */
+  describeDataReferenceErrors(result = this.dataReferenceResult) {
+    if (!this.isDevMode() || !result || result.isValid) return null;
+
+    return `開發模式：資料參照檢查發現 ${
+      result.errors.length
+    } 個錯誤（${result.errors.map((error) => error.field).join(", ")}）`;
+  }
+
+  /**
+   * 設定規則引擎：同步遊戲狀態參照、記錄輸出，並註冊 rules.json 的 rules 區塊
+   */
+  setupRuleEngine() {
+    if (!this.ruleEngine) return;
+
+    // 遊戲狀態在套用配置時重建，規則引擎需改用目前的狀態物件
+    this.ruleEngine.gameState = this.gameState;
+    this.ruleEngine.setLogHandler((message, type) =>
+      this.addGameLog(message, type)
+    );
+
+    const registered = this.ruleEngine.registerRules(
+      this.rulesConfig?.rules || []
+    );
+    console.log(`📋 已載入 ${registered} 條資料定義規則`);
+  }
+
+  /**
+   * 讓設定 trigger.on 的規則與事件訂閱 GameBridge 事件
+   */
+  setupEventTriggers() {
+    if (!this.gameBridge) return;
+
+    this.ruleEngine?.bindEventTriggers(this.gameBridge);
+    if (this.eventSystem?.getStatus().initialized) {
+      this.eventSystem.bindEventTriggers(this.gameBridge);
+    }
+  }
+
+  /**
+   * 執行規則群組（群組沒有任何規則時略過）
+   * @param {string} groupName - DATA_TYPES.RULE_GROUPS 之一
+   * @param {Object} context - 規則條件可讀取的額外資料
+   */
+  executeRuleGroup(groupName, context = {}) {
+    if (!this.ruleEngine?.hasRuleGroup(groupName)) {
+      return null;
+    }
+
+    return this.ruleEngine.executeRuleGroup(groupName, context);
+  }
+
   /**
    * 設定租客系統事件監聽
    */
@@ -336,6 +574,7 @@ class Game {
     // 監聽租客離開事件
     this.tenantSystem.on("tenantEvicted", (data) => {
       console.log(`👋 租客離開: ${data.tenant.name} (${data.reason})`);
+      this.skillSystem?.cancelScheduledEffects(data.tenant.name);
       this.notifyUIUpdate("tenants");
     });
 
@@ -391,6 +630,15 @@ class Game {
       this.notifyUIUpdate("fullUpdate");
     });
 
+    // 監聽技能效果失敗復原（主動與被動技能皆會觸發）
+    this.skillSystem.addEventListener("skillRolledBack", (event) => {
+      const { tenantName, skillName } = event.detail;
+      this.addGameLog(
+        `⚠️ ${tenantName} 的 ${skillName} 執行失敗，效果已全部復原`,
+        "danger"
+      );
+    });
+
     // 監聽被動技能觸發
     this.skillSystem.addEventListener("passiveSkillTriggered", (event) => {
       const { tenant, skill } = event.detail;
@@ -400,6 +648,25 @@ class Game {
       );
     });
 
+    // 監聽排程效果執行、失敗與取消
+    this.skillSystem.addEventListener("scheduledEffectExecuted", (event) => {
+      const { tenantName, skillName } = event.detail;
+      this.addGameLog(`⏰ ${tenantName} 的 ${skillName} 效果生效`, "skill");
+    });
+
+    this.skillSystem.addEventListener("scheduledEffectFailed", (event) => {
+      const { tenantName, skillName } = event.detail;
+      this.addGameLog(`⚠️ ${tenantName} 的 ${skillName} 效果未能生效`, "danger");
+    });
+
+    this.skillSystem.addEventListener("scheduledEffectCancelled", (event) => {
+      const { tenantName, skillName } = event.detail;
+      this.addGameLog(
+        `${tenantName} 已離開，${skillName} 的後續效果取消`,
+        "danger"
+      );
+    });
+
     // 監聽租客移除請求
     this.skillSystem.addEventListener("requestTenantRemoval", (event) => {
       const { target, reason } = event.detail;
@@ -422,6 +689,60 @@ class Game {
     });
   }
 
+  /**
+   * 設定 EventSystem 事件監聽
+   */
+  setupEventSystemEvents() {
+    if (!this.eventSystem) return;
+
+    // 監聽事件觸發：顯示選擇對話框
+    this.eventSystem.addEventListener("eventTriggered", (event) => {
+      const { event: gameEvent, deadlineDay } = event.detail;
+
+      // 持續型危機不需立即選擇，提示處理期限
+      if (deadlineDay !== undefined) {
+        this.addGameLog(
+          `⏳ ${gameEvent.title}：${gameEvent.description}（${
+            deadlineDay - this.gameState.day
+          } 天內處理）`,
+          "danger"
+        );
+        return;
+      }
+
+      this.addGameLog(`📅 ${gameEvent.title}：${gameEvent.description}`, "event");
+      this.presentPendingEvent();
+    });
+
+    // 監聽事件完成：回報選擇結果
+    this.eventSystem.addEventListener("eventCompleted", (event) => {
+      const { event: gameEvent, choice } = event.detail;
+      this.addGameLog(`${gameEvent.title} → ${choice.text}`, "event");
+      this.notifyUIUpdate("fullUpdate");
+    });
+
+    // 監聽持續型危機的逐日行動與到期結果
+    this.eventSystem.addEventListener("eventProgressed", (event) => {
+      const { event: gameEvent, choice, progress } = event.detail;
+      this.addGameLog(
+        `${gameEvent.title} → ${choice.text}（進度 ${progress}）`,
+        "event"
+      );
+      this.notifyUIUpdate("fullUpdate");
+    });
+
+    this.eventSystem.addEventListener("eventExpired", (event) => {
+      const { event: gameEvent, outcome } = event.detail;
+      this.addGameLog(`⌛ ${gameEvent.title}：${outcome.text}`, "danger");
+    });
+
+    // 監聽事件記錄
+    this.eventSystem.addEventListener("addLog", (event) => {
+      const { message, type } = event.detail;
+      this.addGameLog(message, type);
+    });
+  }
+
   /**
    * 建立系統間協作機制
    */
@@ -433,6 +754,11 @@ class Game {
       this.tenantSystem.resourceSystemRef = this.resourceSystem;
     }
 
+    // RuleEngine 與 TenantSystem 協作（效果還原時保護租客狀態）
+    if (this.ruleEngine && this.tenantSystem) {
+      this.ruleEngine.tenantSystemRef = this.tenantSystem;
+    }
+
     // SkillSystem 與其他系統協作
     if (this.skillSystem) {
       if (this.tenantSystem) {
@@ -447,6 +773,55 @@ class Game {
         this.resourceSystem.skillSystemRef = this.skillSystem;
       }
     }
+
+    // EventSystem 與其他系統協作
+    if (this.eventSystem) {
+      console.log("🤝 建立 EventSystem ↔ 業務系統協作機制");
+      this.eventSystem.tenantSystemRef = this.tenantSystem;
+      this.eventSystem.resourceSystemRef = this.resourceSystem;
+      this.eventSystem.ruleEngineRef = this.ruleEngine;
+      this.eventSystem.setupEventListeners();
+    }
+
+    this.setupBridgeEventForwarding();
+  }
+
+  /**
+   * 將業務系統事件轉發到 GameBridge，供 trigger.on 的規則與事件訂閱
+   */
+  setupBridgeEventForwarding() {
+    if (!this.gameBridge) return;
+
+    const { TENANT_HIRED, TENANT_EVICTED, RESOURCE_WARNING } =
+      DATA_TYPES.BRIDGED_EVENTS;
+    const forward = (system, eventTypes) => {
+      eventTypes.forEach((eventType) => {
+        system?.on(eventType, (data) => this.gameBridge.emit(eventType, data));
+      });
+    };
+
+    forward(this.tenantSystem, [TENANT_HIRED, TENANT_EVICTED]);
+    forward(this.resourceSystem, [RESOURCE_WARNING]);
+  }
+
+  /**
+   * 初始化存檔與回放系統
+   */
+  initializeSaveSystem() {
+    console.log("💾 正在初始化存檔系統...");
+
+    this.saveManager = new SaveManager(this);
+    this.initializationStatus.saveManager = this.saveManager.isAvailable();
+
+    console.log(
+      this.initializationStatus.saveManager
+        ? "✅ 存檔系統初始化完成"
+        : "⚠️ 存檔系統不可用，遊戲進度將無法保存"
+    );
+
+    // 以目前狀態為起點記錄玩家操作
+    this.actionLog = new ActionLog(this);
+    this.initializationStatus.actionLog = this.actionLog.startRecording();
   }
 
   /**
@@ -485,6 +860,14 @@ class Game {
         if (this.skillSystem && this.skillSystem.getStatus().initialized) {
           this.addGameLog("✅ 技能管理系統已啟用", "event");
         }
+        const seed = this.gameState.randomSeed;
+        this.addGameLog(
+          `🎲 本局隨機種子: ${seed}（網址加上 ?seed=${seed} 可重現）`,
+          "event"
+        );
+        if (this.saveManager?.hasSlot(SAVE_SYSTEM.SLOTS.AUTOSAVE)) {
+          this.addGameLog("💾 發現自動存檔，可從「存檔管理」繼續進度", "event");
+        }
 
         // 執行初始顯示更新
         this.notifyUIUpdate("fullUpdate");
@@ -526,16 +909,123 @@ class Game {
   completeInitialization() {
     this.initializationStatus.complete = true;
 
+    // 開發模式：監看資料檔，修改後直接套用到進行中的遊戲
+    this.startDataHotReload();
+
+    // 開發模式的資料參照錯誤以錯誤畫面阻擋遊戲；熱重載先啟動，修正資料檔後即可解除
+    this.reportDataReferenceErrors();
+
     console.log("🎯 末日房東模擬器 v2.0 啟動完成！");
     console.log("📊 系統狀態:", this.getSystemStatus());
   }
 
+  /**
+   * 開發模式下有資料參照錯誤時顯示無法關閉的錯誤畫面，錯誤全部修正後解除
+   * @returns {boolean} 是否仍被資料參照錯誤阻擋
+   */
+  reportDataReferenceErrors() {
+    const referenceErrors = this.describeDataReferenceErrors();
+
+    if (referenceErrors) {
+      console.error(`❌ ${referenceErrors}`);
+      this.addGameLog(`❌ ${referenceErrors}`, "danger");
+      this.uiManager?.showDataErrorModal(this.dataReferenceResult.errors);
+      this.dataReferenceBlocked = true;
+      return true;
+    }
+
+    if (this.dataReferenceBlocked) {
+      this.dataReferenceBlocked = false;
+      this.uiManager?.hideDataErrorModal();
+      this.addGameLog("✅ 資料參照錯誤已修正，遊戲繼續");
+    }
+    return false;
+  }
+
+  /**
+   * 開發模式下啟動資料熱重載（僅瀏覽器環境；無介面模擬需可重現，不自動輪詢）
+   * @returns {boolean} 是否已啟動
+   */
+  startDataHotReload() {
+    if (!this.isDevMode() || typeof window === "undefined") return false;
+    if (!this.dataManager || this.dataHotReloader) return false;
+
+    this.dataHotReloader = new DataHotReloader(this.dataManager, {
+      onReload: (dataType, data, changes) =>
+        this.applyReloadedData(dataType, data, changes),
+      onError: (dataType, error) =>
+        this.addGameLog(
+          `❌ ${dataType}.json 熱重載失敗，維持目前資料：${error.message}`,
+          "danger"
+        ),
+    });
+    this.dataHotReloader.start();
+    return true;
+  }
+
+  /**
+   * 將重新載入的資料套用到執行中的系統（不重設遊戲狀態）
+   * @param {string} dataType - 資料類型
+   * @param {any} data - 通過驗證並已合併模組包的資料
+   * @param {Array<Object>} changes - DataHotReloader.diff() 的差異清單
+   */
+  async applyReloadedData(dataType, data, changes = []) {
+    switch (dataType) {
+      case "rules":
+        this.rulesConfig = data;
+        this.gameHelpers?.injectConfig(data);
+        this.ruleEngine?.replaceRules(data.rules || []);
+        await this.resourceSystem?.loadResourceConfigurations();
+        await this.eventSystem?.loadSystemParameters();
+        break;
+      case "skills":
+        await this.skillSystem?.reloadSkillConfigurations();
+        break;
+      case "events":
+        if (this.eventSystem) this.eventSystem.eventsConfig = data;
+        break;
+      case "tenants":
+        if (this.tenantSystem) this.tenantSystem.tenantConfigs = data;
+        break;
+      default:
+        console.warn(`⚠️ 不支援熱重載的資料類型: ${dataType}`);
+        return;
+    }
+
+    // 規則與事件的 trigger.on 可能改變，重新訂閱
+    this.setupEventTriggers();
+
+    // 重新檢查跨檔案參照，依結果顯示或解除開發模式的錯誤畫面
+    this.dataReferenceResult = this.validateDataReferences();
+    this.reportDataReferenceErrors();
+
+    const { MAX_LOGGED_CHANGES } = DEV_CONFIG.HOT_RELOAD;
+    this.addGameLog(
+      `♻️ 已重新載入 ${dataType}.json（${changes.length} 項變更）`
+    );
+    changes
+      .slice(0, MAX_LOGGED_CHANGES)
+      .forEach((change) =>
+        this.addGameLog(`  ${DataHotReloader.formatChange(change)}`)
+      );
+    if (changes.length > MAX_LOGGED_CHANGES) {
+      this.addGameLog(
+        `  …其餘 ${changes.length - MAX_LOGGED_CHANGES} 項變更見主控台`
+      );
+      console.log(`♻️ ${dataType}.json 完整變更:`, changes);
+    }
+
+    this.notifyUIUpdate();
+  }
+
   /**
    * 遊戲核心功能實作（純業務邏輯版）
    */
 
   // 收租功能
   handleCollectRent() {
+    this.recordAction("collectRent");
+
     if (this.gameState.rentCollected) {
       this.showUserMessage("今天已經收過房租了！");
       return;
@@ -575,6 +1065,10 @@ class Game {
       this.addGameLog("今日沒有房租收入", "event");
     }
 
+    this.executeRuleGroup(DATA_TYPES.RULE_GROUPS.RENT_COLLECTED, {
+      totalRent: totalRent,
+    });
+
     this.notifyUIUpdate("resources");
   }
 
@@ -589,6 +1083,8 @@ class Game {
 
   // 生成申請者
   generateApplicants() {
+    this.recordAction("generateApplicants");
+
     if (this.tenantSystem && this.tenantSystem.getStatus().initialized) {
       return this.tenantSystem.generateApplicants();
     } else {
@@ -600,6 +1096,7 @@ class Game {
   // 雇用租客
   hireTenant(applicantId) {
     console.log(`🤝 嘗試雇用申請者: ${applicantId}`);
+    this.recordAction("hireTenant", applicantId);
 
     if (this.tenantSystem && this.tenantSystem.getStatus().initialized) {
       const success = this.tenantSystem.hireTenant(applicantId);
@@ -617,6 +1114,8 @@ class Game {
 
   // 院子採集
   handleHarvestYard() {
+    this.recordAction("harvestYard");
+
     if (this.gameState.harvestUsed) {
       this.showUserMessage("今天已經採集過院子了！");
       return;
@@ -717,6 +1216,8 @@ class Game {
 
   // 派遣租客搜刮
   sendTenantOnScavenge(tenantName) {
+    this.recordAction("scavenge", tenantName);
+
     const tenant = this.gameState.rooms
       .map((room) => room.tenant)
       .find((t) => t && t.name === tenantName);
@@ -775,7 +1276,7 @@ class Game {
   handleScavengeInjury(tenant, injury) {
     switch (injury.effect) {
       case "infection_risk":
-        if (Math.random() < 0.3) {
+        if (this.randomService.chance(0.3)) {
           tenant.infected = true;
           this.addGameLog(`${tenant.name} 可能被感染了！`, "danger");
         }
@@ -798,11 +1299,11 @@ class Game {
   // 後備搜刮處理
   handleScavengeFallback(tenant) {
     const successRate = this.calculateScavengeSuccessRate(tenant);
-    const isSuccess = Math.random() * 100 < successRate;
+    const isSuccess = this.randomService.next() * 100 < successRate;
 
     if (isSuccess) {
-      const foodGain = Math.floor(Math.random() * 5) + 3;
-      const materialsGain = Math.floor(Math.random() * 3) + 1;
+      const foodGain = this.randomService.randomInt(3, 7);
+      const materialsGain = this.randomService.randomInt(1, 3);
 
       this.gameState.resources.food += foodGain;
       this.gameState.resources.materials += materialsGain;
@@ -814,8 +1315,8 @@ class Game {
     } else {
       this.addGameLog(`${tenant.name} 搜刮失敗`, "danger");
 
-      if (Math.random() < 0.3) {
-        tenant.infected = Math.random() < 0.2;
+      if (this.randomService.chance(0.3)) {
+        tenant.infected = this.randomService.chance(0.2);
         this.addGameLog(
           `${tenant.name} ${tenant.infected ? "被感染了" : "受了輕傷"}`,
           "danger"
@@ -914,6 +1415,8 @@ class Game {
 
   // 技能執行處理
   async useSkillFromMenu(tenantName, skillId) {
+    this.recordAction("useSkill", tenantName, skillId);
+
     if (!this.skillSystem?.getStatus().initialized) {
       this.addGameLog("技能系統不可用", "danger");
       return false;
@@ -921,9 +1424,10 @@ class Game {
 
     const result = await this.skillSystem.executeSkill(tenantName, skillId);
 
+    // 效果復原已由 skillRolledBack 事件記錄，不重複提示
     if (result.success) {
       this.addGameLog(`技能執行成功`, "skill");
-    } else {
+    } else if (result.reason !== "effects_rolled_back") {
       const messages = {
         tenant_not_found: "找不到指定租客",
         insufficient_resources: "資源不足",
@@ -945,8 +1449,55 @@ class Game {
     }
   }
 
+  // 事件選擇
+  handleEventChoice(eventId, choiceId) {
+    this.recordAction("eventChoice", eventId, choiceId);
+
+    if (!this.eventSystem?.getStatus().initialized) {
+      this.showUserMessage("事件系統暫時不可用");
+      return false;
+    }
+
+    const success = this.eventSystem.executeEvent(eventId, choiceId);
+    if (success) {
+      this.closeModal("eventModal");
+    }
+
+    this.notifyUIUpdate("fullUpdate");
+
+    // 同一天觸發多個事件時，依序顯示下一個
+    this.presentPendingEvent();
+    return success;
+  }
+
+  // 顯示下一個待決事件
+  presentPendingEvent() {
+    if (!this.uiManager || this.actionLog?.replaying) return false;
+
+    const [pending] = this.eventSystem?.getPendingEvents() || [];
+    if (!pending) return false;
+
+    return this.uiManager.showEventModal(
+      pending.event,
+      pending.choices,
+      pending.previews
+    );
+  }
+
   // 下一天
-  handleNextDay() {
+  async handleNextDay() {
+    this.recordAction("nextDay");
+
+    // 有待決事件時必須先做出選擇
+    if (this.eventSystem?.hasPendingEvents()) {
+      this.showUserMessage("請先處理目前的事件！");
+      this.presentPendingEvent();
+      return;
+    }
+
+    // 當天結束的資料定義規則
+    this.executeRuleGroup(DATA_TYPES.RULE_GROUPS.DAY_END);
+
     // 基礎日期推進
     this.gameState.day++;
     this.gameState.harvestUsed = false;
@@ -966,16 +1517,351 @@ class Game {
       this.tenantSystem.updateDailyTenantStates();
     }
 
+    // 執行到期的技能排程效果
+    if (this.skillSystem?.getStatus().initialized) {
+      await this.skillSystem.processScheduledEffects();
+    }
+
     // 觸發每日被動技能
     this.processPassiveSkills("day_end");
 
     // 處理日常消費
     this.processDailyConsumption();
 
+    // 新的一天開始的資料定義規則（於日常消耗後、事件階段前）
+    this.executeRuleGroup(DATA_TYPES.RULE_GROUPS.DAY_START);
+
+    // 事件階段：隨機、衝突與特殊事件
+    if (this.eventSystem?.getStatus().initialized) {
+      this.eventSystem.processDailyEvents();
+    }
+
     this.addGameLog(`新的一天開始了 - 第${this.gameState.day}天`, "event");
+
+    // 每日自動存檔
+    if (this.saveManager?.isAvailable()) {
+      this.saveManager.autoSave();
+    }
+
     this.notifyUIUpdate("fullUpdate");
   }
 
+  /**
+   * 存檔與讀檔功能
+   */
+
+  // 顯示存檔管理
+  handleShowSaves() {
+    if (!this.saveManager?.isAvailable()) {
+      this.showUserMessage("存檔系統暫時不可用");
+      return;
+    }
+
+    if (this.uiManager) {
+      this.uiManager.showSaveModal();
+    } else {
+      this.showUserMessage("存檔介面暫時不可用");
+    }
+  }
+
+  // 存檔（未指定槽位時建立新存檔）
+  saveGame(slotId = null) {
+    if (!this.saveManager?.isAvailable()) {
+      this.showUserMessage("存檔系統暫時不可用");
+      return false;
+    }
+
+    let label = "";
+    if (!slotId) {
+      label = this.promptUserInput(
+        "請輸入存檔名稱：",
+        `第${this.gameState.day}天`
+      );
+      if (label === null) return false;
+    } else if (!this.confirmUserAction("確定要覆蓋這個存檔嗎？")) {
+      return false;
+    }
+
+    const result = this.saveManager.saveToSlot(slotId, label);
+
+    if (result.success) {
+      this.addGameLog(`💾 遊戲已存檔：${result.label}`, "event");
+      this.closeModal();
+    } else {
+      this.showUserMessage(result.error);
+    }
+
+    return result.success;
+  }
+
+  // 讀檔
+  loadGame(slotId) {
+    if (!this.saveManager?.isAvailable()) {
+      this.showUserMessage("存檔系統暫時不可用");
+      return false;
+    }
+
+    if (!this.confirmUserAction("讀取存檔會覆蓋目前的進度，確定要繼續嗎？")) {
+      return false;
+    }
+
+    const result = this.saveManager.loadFromSlot(slotId);
+
+    if (result.success) {
+      this.actionLog?.startRecording(result.snapshot.label);
+      this.closeModal();
+      this.addGameLog(
+        `📂 已讀取存檔：${result.snapshot.label}（第${this.gameState.day}天）`,
+        "event"
+      );
+
+      // 舊版存檔升級回報
+      const migration = result.migration;
+      if (migration?.steps.length > 0 || migration?.totalRepairs > 0) {
+        this.addGameLog(
+          `🔄 存檔已自動升級 v${migration.originalVersion} → v${migration.targetVersion}，修復 ${migration.totalRepairs} 項問題`,
+          "event"
+        );
+      }
+      this.notifyUIUpdate("fullUpdate");
+      this.presentPendingEvent();
+    } else {
+      this.showUserMessage(result.error);
+    }
+
+    return result.success;
+  }
+
+  // 匯出遊戲進度為 JSON 檔案
+  exportGame() {
+    if (!this.saveManager) {
+      this.showUserMessage("存檔系統暫時不可用");
+      return false;
+    }
+
+    try {
+      const { filename, content } = this.saveManager.exportToJson();
+      this.downloadTextFile(filename, content, "application/json");
+      this.addGameLog(`📤 已匯出遊戲進度：${filename}`, "event");
+      return true;
+    } catch (error) {
+      this.errorHandler.handleRuntimeError(error, "匯出遊戲進度");
+      return false;
+    }
+  }
+
+  // 從 JSON 檔案匯入遊戲進度
+  async importGame(file) {
+    if (!this.saveManager) {
+      this.showUserMessage("存檔系統暫時不可用");
+      return false;
+    }
+
+    if (!file) return false;
+
+    if (file.size > SAVE_SYSTEM.EXPORT.MAX_FILE_SIZE) {
+      this.showUserMessage("匯入檔案過大，請確認是否為本遊戲的匯出檔案");
+      return false;
+    }
+
+    if (!this.confirmUserAction("匯入檔案會覆蓋目前的進度，確定要繼續嗎？")) {
+      return false;
+    }
+
+    let content;
+    try {
+      content = await file.text();
+    } catch (error) {
+      this.showUserMessage(`無法讀取檔案: ${error.message}`);
+      return false;
+    }
+
+    const result = this.saveManager.importFromJson(content);
+
+    if (result.success) {
+      this.actionLog?.startRecording(result.snapshot.label);
+      this.closeModal();
+      this.addGameLog(
+        `📥 已匯入遊戲進度：${result.snapshot.label}（第${this.gameState.day}天）`,
+        "event"
+      );
+
+      if (result.validation?.warnings.length > 0) {
+        this.addGameLog(
+          `⚠️ 匯入檔案有 ${result.validation.warnings.length} 項警告，詳見主控台`,
+          "danger"
+        );
+        console.warn("⚠️ 匯入警告:", result.validation.warnings);
+      }
+
+      this.notifyUIUpdate("fullUpdate");
+      this.presentPendingEvent();
+    } else {
+      this.showUserMessage(`匯入失敗，遊戲進度未變更。\n\n${result.error}`);
+    }
+
+    return result.success;
+  }
+
+  /**
+   * 操作記錄與回放功能
+   */
+
+  // 記錄玩家操作（供回放使用）
+  recordAction(type, ...args) {
+    this.actionLog?.record(type, args);
+  }
+
+  // 依操作類型執行玩家指令（回放、無介面模擬與 AI 策略共用）
+  async performAction(action) {
+    const method = ActionLog.getActionMethod(action?.type);
+    if (!method || typeof this[method] !== "function") {
+      throw new Error(`遊戲不支援操作 ${action?.type}`);
+    }
+
+    return await this[method](...(action.args || []));
+  }
+
+  // 匯出本局操作記錄為回放檔
+  exportReplay() {
+    if (!this.actionLog?.isReplayable()) {
+      this.showUserMessage("目前沒有可匯出的操作記錄");
+      return false;
+    }
+
+    try {
+      const { filename, content } = this.actionLog.exportReplay();
+      this.downloadTextFile(filename, content, "application/json");
+      this.addGameLog(
+        `🎬 已匯出回放：${this.actionLog.actions.length} 個操作（${filename}）`,
+        "event"
+      );
+      return true;
+    } catch (error) {
+      this.errorHandler.handleRuntimeError(error, "匯出回放");
+      return false;
+    }
+  }
+
+  /**
+   * 建立回放用的全新遊戲實例（不建立 UI，不啟動資料熱重載）
+   * 資料與目前實例相同，遊戲狀態由回放檔的起點快照決定
+   * @param {Array<string>|null} [mods] - 回放檔記錄的模組包，null 時沿用目前實例生效的模組包
+   * @returns {Promise<Game>} 已初始化的遊戲實例
+   */
+  async createReplayInstance(mods = null) {
+    const game = new Game();
+    game.requestedMods = mods ?? this.saveManager?.getActiveModIds() ?? null;
+
+    await game.initializeCoreModules();
+    await game.loadGameConfiguration();
+    await game.applyConfigurationToGameState();
+    await game.initializeBusinessModules();
+    await game.establishSystemIntegration();
+    game.initializeSaveSystem();
+
+    return game;
+  }
+
+  /**
+   * 停止資料熱重載與 GameBridge 計時器等資源
+   */
+  shutdown() {
+    this.dataHotReloader?.stop();
+    this.gameBridge?.shutdown();
+  }
+
+  // 匯入回放檔並重新執行所有操作
+  async importReplay(file) {
+    if (!this.actionLog || !this.saveManager) {
+      this.showUserMessage("回放系統暫時不可用");
+      return false;
+    }
+
+    if (!file) return false;
+
+    if (file.size > SAVE_SYSTEM.EXPORT.MAX_FILE_SIZE) {
+      this.showUserMessage("回放檔過大，請確認是否為本遊戲的回放檔");
+      return false;
+    }
+
+    if (!this.confirmUserAction("回放會覆蓋目前的進度，確定要繼續嗎？")) {
+      return false;
+    }
+
+    let content;
+    try {
+      content = await file.text();
+    } catch (error) {
+      this.showUserMessage(`無法讀取檔案: ${error.message}`);
+      return false;
+    }
+
+    const parsed = this.actionLog.parseReplay(content);
+    if (!parsed.success) {
+      this.showUserMessage(`回放檔無效，遊戲進度未變更。\n\n${parsed.error}`);
+      return false;
+    }
+
+    const { replay } = parsed;
+    this.closeModal();
+    this.addGameLog(
+      `▶️ 開始回放：${replay.actions.length} 個操作（種子 ${replay.seed}）`,
+      "event"
+    );
+
+    // 在全新的遊戲實例上回放，完成後才接手結果
+    const result = await this.actionLog.replayInFreshGame(replay);
+    if (result.success) {
+      const adopted = this.actionLog.adoptReplayResult(result.game);
+      if (!adopted.success) {
+        result.success = false;
+        result.error = `無法套用回放結果: ${adopted.error}`;
+      }
+    }
+    result.game?.shutdown();
+
+    if (!result.success) {
+      this.addGameLog(
+        `❌ 回放中斷，遊戲進度未變更：${result.error}`,
+        "danger"
+      );
+    } else if (result.identical) {
+      this.addGameLog(
+        `✅ 回放完成：第${result.finalDay}天，${
+          result.verified ? "最終狀態與原始紀錄一致" : "回放檔未附最終狀態"
+        }`,
+        "event"
+      );
+    } else {
+      this.addGameLog(
+        `⚠️ 回放完成，但最終狀態與原始紀錄不一致（${result.expectedFingerprint} ≠ ${result.actualFingerprint}）`,
+        "danger"
+      );
+    }
+
+    this.notifyUIUpdate("fullUpdate");
+    this.presentPendingEvent();
+    return result.success && result.identical;
+  }
+
+  // 刪除存檔
+  deleteSave(slotId) {
+    if (!this.saveManager?.isAvailable()) return false;
+
+    if (!this.confirmUserAction("確定要刪除這個存檔嗎？")) {
+      return false;
+    }
+
+    const success = this.saveManager.deleteSlot(slotId);
+    if (success && this.uiManager) {
+      // 重新整理存檔列表
+      this.uiManager.showSaveModal();
+    }
+
+    return success;
+  }
+
   // 日常消費處理
   processDailyConsumption() {
     if (this.resourceSystem && this.resourceSystem.getStatus().initialized) {
@@ -1043,13 +1929,44 @@ class Game {
 
   // 顯示用戶訊息
   showUserMessage(message) {
+    // 回放期間不彈出對話框，改寫入遊戲記錄
+    if (this.actionLog?.replaying) {
+      this.addGameLog(message, "danger");
+      return;
+    }
+
     alert(message); // 簡單實作，未來可改為更好的通知系統
   }
 
+  // 下載文字檔案
+  downloadTextFile(filename, content, mimeType = "text/plain") {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    URL.revokeObjectURL(url);
+  }
+
+  // 取得用戶輸入
+  promptUserInput(message, defaultValue = "") {
+    return prompt(message, defaultValue);
+  }
+
+  // 確認用戶操作
+  confirmUserAction(message) {
+    return confirm(message);
+  }
+
   // 關閉模態框
-  closeModal() {
+  closeModal(modalId = null) {
     if (this.uiManager) {
-      this.uiManager.closeModal();
+      this.uiManager.closeModal(modalId);
     } else {
       // 降級處理
       document.querySelectorAll(".modal").forEach((modal) => {
@@ -1079,11 +1996,24 @@ class Game {
         ruleEngine: !!this.ruleEngine,
         gameBridge: !!this.gameBridge,
         gameHelpers: !!this.gameHelpers,
+        randomService: this.randomService
+          ? this.randomService.getStatus()
+          : null,
+        modManager: this.modManager ? this.modManager.getStatus() : null,
+        dataHotReloader: this.dataHotReloader
+          ? {
+              running: this.dataHotReloader.isRunning(),
+              ...this.dataHotReloader.stats,
+            }
+          : null,
         tenantSystem: this.tenantSystem ? this.tenantSystem.getStatus() : null,
         resourceSystem: this.resourceSystem
           ? this.resourceSystem.getStatus()
           : null,
         skillSystem: this.skillSystem ? this.skillSystem.getStatus() : null,
+        eventSystem: this.eventSystem ? this.eventSystem.getStatus() : null,
+        saveManager: this.saveManager ? this.saveManager.getStatus() : null,
+        actionLog: this.actionLog ? this.actionLog.getStatus() : null,
         uiManager: this.uiManager ? this.uiManager.getUISystemStatus() : null,
       },
       config: {
@@ -1094,6 +2024,69 @@ class Game {
     };
   }
 
+  // 條件診斷：規則、事件觸發、事件選項與技能需求的條件追蹤樹
+  explainConditions() {
+    return {
+      day: this.gameState.day,
+      rules: this.ruleEngine ? this.ruleEngine.explainRules() : [],
+      events: this.eventSystem?.getStatus().initialized
+        ? this.eventSystem.explainAllEvents()
+        : [],
+      skills: this.skillSystem?.getStatus().initialized
+        ? this.skillSystem.explainAllSkills()
+        : [],
+    };
+  }
+
+  // 顯示條件診斷面板
+  handleShowDiagnostics() {
+    if (this.uiManager) {
+      this.uiManager.showDebugModal();
+    } else {
+      console.table(this.explainConditions());
+    }
+  }
+
+  // 顯示模組包管理畫面
+  handleShowMods() {
+    if (this.uiManager) {
+      this.uiManager.showModsModal();
+    } else {
+      console.table(this.modManager?.getPackSummaries() || []);
+    }
+  }
+
+  // 啟用或停用模組包（重新載入遊戲後生效）
+  toggleModPack(packId, enabled) {
+    const action = enabled ? "啟用" : "停用";
+
+    if (!this.modManager?.setEnabled(packId, enabled)) {
+      this.showUserMessage(`無法${action}模組包 ${packId}`);
+      return false;
+    }
+
+    this.addGameLog(
+      `🧩 已${action}模組包 ${packId}，重新載入遊戲後生效`,
+      "event"
+    );
+    this.uiManager?.showModsModal();
+    return true;
+  }
+
+  // 重新載入頁面以套用模組包設定
+  reloadWithMods() {
+    if (
+      !this.confirmUserAction(
+        "重新載入會回到新遊戲，未存檔的進度將遺失，確定要繼續嗎？"
+      )
+    ) {
+      return false;
+    }
+
+    window.location.reload();
+    return true;
+  }
+
   // 評估系統健康度
   evaluateSystemHealth() {
     const issues = [];
@@ -1124,6 +2117,12 @@ class Game {
       issues.push("SkillSystem 初始化失敗");
     }
 
+    if (this.initializationStatus.eventSystem) {
+      successes.push("EventSystem 正常");
+    } else {
+      issues.push("EventSystem 初始化失敗");
+    }
+
     if (this.initializationStatus.uiManager) {
       successes.push("UIManager 正常");
     } else {
@@ -1181,21 +2180,24 @@ class Game {
 
 /**
  * 應用程式啟動 v2.0
+ * 僅在瀏覽器環境自動啟動；Node.js 環境由 HeadlessGame 匯入 Game 類別使用
  */
-document.addEventListener("DOMContentLoaded", async () => {
-  console.log("🎮 DOM 載入完成，開始初始化應用程式 v2.0...");
+if (typeof document !== "undefined") {
+  document.addEventListener("DOMContentLoaded", async () => {
+    console.log("🎮 DOM 載入完成，開始初始化應用程式 v2.0...");
 
-  try {
-    const app = new Game();
-    await app.initialize();
+    try {
+      const app = new Game();
+      await app.initialize();
 
-    // 將應用程式實例設為全域變數
-    window.gameApp = app;
-  } catch (error) {
-    console.error("❌ 應用程式啟動失敗:", error);
-    alert("遊戲啟動失敗，請檢查瀏覽器支援度或重新整理頁面");
-  }
-});
+      // 將應用程式實例設為全域變數
+      window.gameApp = app;
+    } catch (error) {
+      console.error("❌ 應用程式啟動失敗:", error);
+      alert("遊戲啟動失敗，請檢查瀏覽器支援度或重新整理頁面");
+    }
+  });
+}
 
 // 匯出主應用程式類別
-export { Game };
\ No newline at end of file
+export { Game };
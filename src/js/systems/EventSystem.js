@@ -1,6 +1,6 @@
 /**
  * EventSystem - 事件管理與執行系統
- * 職責：事件觸發引擎、條件檢查、動態選擇生成、系統間事件協調
+ * 職責：事件觸發引擎、條件檢查、動態選擇生成、事件鏈排程、劇情時間軸、系統間事件協調
  */
 
 import {
@@ -8,6 +8,8 @@ import {
   ERROR_CODES,
   MESSAGE_TEMPLATES,
 } from "../utils/constants.js";
+import { ConditionRegistry } from "../core/ConditionRegistry.js";
+import { EffectTransaction } from "../core/EffectTransaction.js";
 
 /**
  * 事件系統核心類別
@@ -35,13 +37,34 @@ export class EventSystem extends EventTarget {
 
     // 事件處理器註冊表
     this.eventHandlers = new Map();
-    this.conditionCheckers = new Map();
     this.effectExecutors = new Map();
 
+    // 條件檢查（預設使用獨立註冊表，由主程式注入 GameBridge 的共用註冊表）
+    this.conditionRegistry = new ConditionRegistry();
+
     // 事件歷史追蹤
     this.eventHistory = [];
     this.activeEvents = new Map();
 
+    // 持續型危機（設有 deadline 的事件）eventId -> {startDay, deadlineDay, progress, actedDays}
+    this.ongoingEvents = new Map();
+
+    // 各事件觸發統計 eventId -> {count, lastDay}（供冷卻與次數上限使用）
+    this.eventOccurrences = {};
+
+    // 選擇效果批次統計（rollbacks：效果失敗而整批復原的次數）
+    this.executionStats = { effectBatches: 0, rollbacks: 0 };
+
+    // 事件鏈排程佇列（選擇效果安排的延遲後續事件）
+    this.scheduledEvents = [];
+    this.currentChoiceSource = null;
+
+    // 劇情進度（已觸發的劇情事件、玩家選擇、里程碑達成日）
+    this.storyProgress = this.createStoryProgress();
+
+    // 事件觸發（trigger.on）的訂閱：{eventSource, eventType, handler}
+    this.triggerSubscriptions = [];
+
     // 系統引用（由主程式注入）
     this.tenantSystemRef = null;
     this.resourceSystemRef = null;
@@ -135,93 +158,49 @@ export class EventSystem extends EventTarget {
   }
 
   /**
-   * 註冊條件檢查器
+   * 使用共用條件註冊表，並註冊事件系統專屬的劇情條件
+   * @param {ConditionRegistry} conditionRegistry - GameBridge 的 conditions 服務
    */
-  registerConditionCheckers() {
-    // 資源檢查
-    this.conditionCheckers.set("hasResource", (condition) => {
-      const { resource, amount } = condition;
-      return (this.gameState.resources[resource] || 0) >= amount;
-    });
-
-    // 時間範圍檢查
-    this.conditionCheckers.set("dayRange", (condition) => {
-      const { min, max } = condition;
-      const currentDay = this.gameState.day;
-
-      if (min !== undefined && currentDay < min) return false;
-      if (max !== undefined && currentDay > max) return false;
-
-      return true;
-    });
-
-    // 租客類型檢查
-    this.conditionCheckers.set("hasTenantType", (condition) => {
-      const { tenantType, count = 1 } = condition;
-
-      if (tenantType === "any") {
-        const tenantCount = this.gameState.rooms.filter(
-          (room) => room.tenant
-        ).length;
-        return tenantCount >= count;
-      }
-
-      if (tenantType === "infected") {
-        const infectedCount = this.gameState.rooms.filter(
-          (room) => room.tenant && room.tenant.infected
-        ).length;
-        return infectedCount >= count;
-      }
-
-      const typeCount = this.gameState.rooms.filter(
-        (room) =>
-          room.tenant &&
-          (room.tenant.type === tenantType || room.tenant.typeId === tenantType)
-      ).length;
-
-      return typeCount >= count;
-    });
-
-    // 機率檢查
-    this.conditionCheckers.set("probability", (condition) => {
-      const { chance } = condition;
-      return Math.random() < chance;
-    });
-
-    // 資源稀缺性檢查
-    this.conditionCheckers.set("resourceScarcity", (condition) => {
-      const { resource, threshold } = condition;
-      const currentAmount = this.gameState.resources[resource] || 0;
-
-      // 使用 GameHelpers 取得稀缺閾值
-      const warningThresholds = this.gameHelpers
-        ? this.gameHelpers.getResourceWarningThresholds()
-        : { food: 5, materials: 3, medical: 2, fuel: 2 };
-
-      const warningLevel = warningThresholds[resource] || 5;
-
-      switch (threshold) {
-        case "insufficient":
-          return currentAmount < warningLevel;
-        case "critical":
-          return currentAmount < warningLevel / 2;
-        default:
-          return false;
-      }
-    });
+  setConditionRegistry(conditionRegistry) {
+    this.conditionRegistry = conditionRegistry;
+    this.registerConditionCheckers();
+  }
 
-    // 複合條件檢查
-    this.conditionCheckers.set("and", (condition) => {
-      return condition.conditions.every((cond) =>
-        this.checkSingleCondition(cond)
-      );
-    });
+  /**
+   * 註冊事件系統專屬條件（通用條件由 ConditionRegistry 提供）
+   */
+  registerConditionCheckers() {
+    // 劇情分支：曾在指定事件做出選擇（未指定 choiceId 時任何選擇皆可）
+    this.conditionRegistry.register(
+      "choiceMade",
+      (condition) => {
+        const { eventId, choiceId } = condition;
+        const madeChoice = this.storyProgress.choices[eventId];
+
+        if (madeChoice === undefined) return false;
+        return choiceId === undefined || madeChoice === choiceId;
+      },
+      ({ eventId, choiceId }) => ({
+        subject: `storyProgress.choices.${eventId}`,
+        actual: this.storyProgress.choices[eventId] ?? null,
+        operator: "==",
+        expected: choiceId ?? "任何選擇",
+      })
+    );
 
-    this.conditionCheckers.set("or", (condition) => {
-      return condition.conditions.some((cond) =>
-        this.checkSingleCondition(cond)
-      );
-    });
+    // 劇情里程碑檢查
+    this.conditionRegistry.register(
+      "milestoneReached",
+      (condition) => {
+        return condition.milestone in this.storyProgress.milestones;
+      },
+      ({ milestone }) => ({
+        subject: `storyProgress.milestones.${milestone}`,
+        actual: this.storyProgress.milestones[milestone] ?? null,
+        operator: "reached",
+        expected: true,
+      })
+    );
   }
 
   /**
@@ -268,7 +247,7 @@ export class EventSystem extends EventTarget {
       }
 
       const targetRoom =
-        availableRooms[Math.floor(Math.random() * availableRooms.length)];
+        availableRooms[Math.floor(this.random() * availableRooms.length)];
       targetRoom.needsRepair = true;
 
       this.addLog(`房間 ${targetRoom.id} 受損需要維修`, "danger");
@@ -284,7 +263,7 @@ export class EventSystem extends EventTarget {
       } = effect;
 
       const probability = this.calculateEventProbability(condition);
-      const isSuccess = Math.random() < probability;
+      const isSuccess = this.random() < probability;
 
       const effectsToExecute = isSuccess ? successEffects : failureEffects;
       const results = [];
@@ -394,26 +373,31 @@ export class EventSystem extends EventTarget {
 
       return { success: true, path, oldValue: currentValue, newValue: value };
     });
+
+    // 安排後續事件（事件鏈）
+    this.effectExecutors.set("scheduleEvent", (effect) => {
+      return this.scheduleEvent(effect);
+    });
   }
 
   /**
    * 設定事件監聽
    */
   setupEventListeners() {
-    // 監聽其他系統的事件
+    // 監聽其他系統的事件（TenantSystem/ResourceSystem 使用 on/emitEvent 介面）
     if (this.tenantSystemRef) {
-      this.tenantSystemRef.addEventListener("tenantHired", (event) => {
-        this.onTenantHired(event.detail);
+      this.tenantSystemRef.on("tenantHired", (data) => {
+        this.onTenantHired(data);
       });
 
-      this.tenantSystemRef.addEventListener("tenantEvicted", (event) => {
-        this.onTenantEvicted(event.detail);
+      this.tenantSystemRef.on("tenantEvicted", (data) => {
+        this.onTenantEvicted(data);
       });
     }
 
     if (this.resourceSystemRef) {
-      this.resourceSystemRef.addEventListener("resourceWarning", (event) => {
-        this.onResourceWarning(event.detail);
+      this.resourceSystemRef.on("resourceWarning", (data) => {
+        this.onResourceWarning(data);
       });
     }
   }
@@ -422,6 +406,346 @@ export class EventSystem extends EventTarget {
    * 主要事件處理方法
    */
 
+  /**
+   * 每日事件階段：依序處理隨機、衝突與特殊事件
+   * @returns {number} 本日觸發的事件數
+   */
+  processDailyEvents() {
+    if (!this.status.initialized) {
+      return 0;
+    }
+
+    // 結束已無可行選項的待決事件，再結算持續型危機（期限已到者套用預設結果）
+    this.pruneStalePendingEvents();
+    this.processOngoingEvents();
+
+    // 劇情與到期的事件鏈優先於當日隨機判定
+    const storyCount = this.processScriptedEvents();
+    const chainedCount = this.processScheduledEvents();
+
+    return (
+      storyCount +
+      chainedCount +
+      [
+        this.processRandomEvents(),
+        this.processConflictEvents(),
+        this.processSpecialEvents(),
+      ].filter(Boolean).length
+    );
+  }
+
+  /**
+   * 處理劇情時間軸（scripted_events）
+   * 觸發方式：trigger.day 指定天數、trigger.milestone 里程碑達成後
+   * （可加 delayDays），或僅依 trigger.conditions 的選擇分支；每個劇情事件只觸發一次
+   * @returns {number} 觸發的事件數
+   */
+  processScriptedEvents() {
+    if (!this.status.initialized || !this.eventsConfig.scripted_events) {
+      return 0;
+    }
+
+    this.updateStoryMilestones();
+
+    let triggered = 0;
+
+    this.eventsConfig.scripted_events.forEach((event) => {
+      if (
+        this.storyProgress.firedEvents.includes(event.id) ||
+        this.activeEvents.has(event.id) ||
+        !this.isScriptedEventDue(event) ||
+        !this.checkEventConditions(event)
+      ) {
+        return;
+      }
+
+      this.storyProgress.firedEvents.push(event.id);
+      if (this.triggerEvent(event)) {
+        triggered++;
+      }
+    });
+
+    return triggered;
+  }
+
+  /**
+   * 檢查劇情事件的時間點是否已到
+   */
+  isScriptedEventDue(event) {
+    const { day, milestone, delayDays = 0 } = event.trigger || {};
+
+    if (day !== undefined && this.gameState.day !== day) {
+      return false;
+    }
+
+    if (milestone !== undefined) {
+      const reachedDay = this.storyProgress.milestones[milestone];
+      return (
+        reachedDay !== undefined && this.gameState.day >= reachedDay + delayDays
+      );
+    }
+
+    return true;
+  }
+
+  /**
+   * 依目前狀態記錄可觀察的里程碑
+   */
+  updateStoryMilestones() {
+    if (this.gameState.rooms.some((room) => room.tenant?.infected)) {
+      this.recordMilestone("firstInfectionFound");
+    }
+  }
+
+  /**
+   * 記錄里程碑（只保留第一次達成的天數）
+   * @returns {boolean} 是否為新達成的里程碑
+   */
+  recordMilestone(name) {
+    if (name in this.storyProgress.milestones) {
+      return false;
+    }
+
+    this.storyProgress.milestones[name] = this.gameState.day;
+    console.log(`📖 劇情里程碑達成: ${name}（第${this.gameState.day}天）`);
+    return true;
+  }
+
+  createStoryProgress() {
+    return { firedEvents: [], choices: {}, milestones: {} };
+  }
+
+  /**
+   * 安排後續事件
+   * @param {Object} options - scheduleEvent 效果設定
+   * @param {string} options.eventId - 後續事件 ID
+   * @param {number} [options.delayDays] - 延遲天數（至少 1 天）
+   * @param {Array} [options.conditions] - 到期時需滿足的條件，不滿足則取消
+   * @param {Object} [source] - 來源事件與選擇 {eventId, choiceId}
+   */
+  scheduleEvent(options, source = this.currentChoiceSource) {
+    const { eventId, delayDays = 1, conditions = [] } = options;
+
+    if (!this.findEventById(eventId)) {
+      console.warn(`⚠️ 無法安排不存在的後續事件: ${eventId}`);
+      return { success: false, reason: "event_not_found", eventId };
+    }
+
+    const entry = {
+      eventId: eventId,
+      dueDay: this.gameState.day + Math.max(1, delayDays),
+      scheduledDay: this.gameState.day,
+      conditions: conditions,
+      sourceEventId: source?.eventId || null,
+      sourceChoiceId: source?.choiceId || null,
+    };
+
+    this.scheduledEvents.push(entry);
+    console.log(`🔗 已安排後續事件 ${eventId}（第${entry.dueDay}天）`);
+
+    return { success: true, eventId, dueDay: entry.dueDay };
+  }
+
+  /**
+   * 處理到期的事件鏈
+   * 條件不滿足時取消；同一事件仍待決時順延一天
+   * @returns {number} 觸發的事件數
+   */
+  processScheduledEvents() {
+    const today = this.gameState.day;
+    const dueEntries = this.scheduledEvents.filter(
+      (entry) => entry.dueDay <= today
+    );
+
+    if (dueEntries.length === 0) {
+      return 0;
+    }
+
+    this.scheduledEvents = this.scheduledEvents.filter(
+      (entry) => entry.dueDay > today
+    );
+
+    let triggered = 0;
+
+    dueEntries.forEach((entry) => {
+      const event = this.findEventById(entry.eventId);
+      if (!event) {
+        console.warn(`⚠️ 後續事件已不存在: ${entry.eventId}`);
+        return;
+      }
+
+      if (this.activeEvents.has(event.id)) {
+        this.scheduledEvents.push({ ...entry, dueDay: today + 1 });
+        return;
+      }
+
+      const conditionsMet =
+        this.isEventAvailable(event) &&
+        (entry.conditions || []).every((condition) =>
+          this.checkSingleCondition(condition)
+        ) &&
+        this.checkEventConditions(event);
+
+      if (!conditionsMet) {
+        console.log(`🔗 後續事件 ${event.id} 條件不滿足，已取消`);
+        return;
+      }
+
+      if (this.triggerEvent(event)) {
+        triggered++;
+      }
+    });
+
+    return triggered;
+  }
+
+  /**
+   * 取得尚未到期的事件鏈（依到期日排序）
+   */
+  getScheduledEvents() {
+    return [...this.scheduledEvents].sort((a, b) => a.dueDay - b.dueDay);
+  }
+
+  /**
+   * 持續型危機：每日檢查是否解除或到期
+   * deadline.activeConditions 不再成立時危機自動解除；
+   * 到期時依累積進度套用 progressOutcomes，否則套用 defaultOutcome
+   * @returns {number} 本日結算的危機數
+   */
+  processOngoingEvents() {
+    let settled = 0;
+
+    Array.from(this.ongoingEvents.values()).forEach((entry) => {
+      const event = this.findEventById(entry.eventId);
+      if (!event) {
+        console.warn(`⚠️ 持續型危機已不存在: ${entry.eventId}`);
+        this.ongoingEvents.delete(entry.eventId);
+        return;
+      }
+
+      const { activeConditions = [] } = event.deadline;
+      if (
+        !activeConditions.every((condition) =>
+          this.checkSingleCondition(condition)
+        )
+      ) {
+        this.ongoingEvents.delete(event.id);
+        this.addLog(`✅ ${event.title}：危機已自行解除`, "event");
+        settled++;
+        return;
+      }
+
+      if (this.gameState.day >= entry.deadlineDay) {
+        this.expireOngoingEvent(event, entry);
+        settled++;
+      }
+    });
+
+    return settled;
+  }
+
+  /**
+   * 危機期限已到：套用預設結果
+   * @private
+   */
+  expireOngoingEvent(event, entry) {
+    const { defaultOutcome = {}, progressOutcomes = [] } = event.deadline;
+    const outcome =
+      progressOutcomes.find(
+        (candidate) => entry.progress >= (candidate.minProgress || 0)
+      ) || defaultOutcome;
+    const outcomeChoice = {
+      id: outcome.id || "deadline_default",
+      text: outcome.text || "期限已到",
+      effects: outcome.effects || [],
+    };
+
+    this.ongoingEvents.delete(event.id);
+    const { results } = this.applyChoice(event, outcomeChoice);
+
+    this.dispatchEvent(
+      new CustomEvent("eventExpired", {
+        detail: {
+          event,
+          outcome: outcomeChoice,
+          progress: entry.progress,
+          results,
+        },
+      })
+    );
+  }
+
+  /**
+   * 開始持續型危機（不阻擋換日，可在期限內逐日處理）
+   * @private
+   */
+  startOngoingEvent(event) {
+    const entry = {
+      eventId: event.id,
+      startDay: this.gameState.day,
+      deadlineDay: this.gameState.day + Math.max(1, event.deadline.days || 1),
+      progress: 0,
+      actedDays: {},
+    };
+
+    this.ongoingEvents.set(event.id, entry);
+
+    this.dispatchEvent(
+      new CustomEvent("eventTriggered", {
+        detail: {
+          event,
+          choices: this.generateEventChoices(event),
+          deadlineDay: entry.deadlineDay,
+        },
+      })
+    );
+
+    return true;
+  }
+
+  /**
+   * 取得進行中的持續型危機（依期限排序），含倒數天數與選項預覽
+   * partial 選項每天限執行一次
+   * @returns {Array<{event, previews, progress, deadlineDay, daysLeft}>}
+   */
+  getOngoingEvents() {
+    return Array.from(this.ongoingEvents.values())
+      .map((entry) => {
+        const event = this.findEventById(entry.eventId);
+        if (!event) return null;
+
+        const previews = this.generateEventChoices(event, true).map(
+          (choice) => {
+            const preview = this.getChoicePreview(choice);
+            if (this.hasActedToday(entry, choice)) {
+              preview.available = false;
+              preview.unmetConditions = ["今天已執行"];
+            }
+            return preview;
+          }
+        );
+
+        return {
+          event,
+          previews,
+          progress: entry.progress,
+          deadlineDay: entry.deadlineDay,
+          daysLeft: entry.deadlineDay - this.gameState.day,
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.deadlineDay - b.deadlineDay);
+  }
+
+  /**
+   * @private
+   */
+  hasActedToday(entry, choice) {
+    return (
+      !!choice.partial && entry.actedDays[choice.id] === this.gameState.day
+    );
+  }
+
   /**
    * 處理隨機事件
    */
@@ -432,25 +756,27 @@ export class EventSystem extends EventTarget {
 
     const eventChance = this.eventParameters.randomEventChance || 0.3;
 
-    if (Math.random() > eventChance) {
+    if (this.random() > eventChance) {
       return false; // 今天沒有隨機事件
     }
 
     // 篩選可觸發的隨機事件
-    const availableEvents = this.eventsConfig.random_events.filter((event) =>
-      this.checkEventConditions(event)
+    const availableEvents = this.eventsConfig.random_events.filter(
+      (event) =>
+        !this.isEventDriven(event) &&
+        this.isEventAvailable(event) &&
+        this.checkEventConditions(event)
     );
 
     if (availableEvents.length === 0) {
       return false;
     }
 
-    // 根據優先級選擇事件
-    const selectedEvent = this.selectEventByPriority(availableEvents);
+    // 依權重抽選事件
+    const selectedEvent = this.selectEventByWeight(availableEvents);
 
     if (selectedEvent) {
-      this.triggerEvent(selectedEvent);
-      return true;
+      return this.triggerEvent(selectedEvent);
     }
 
     return false;
@@ -466,24 +792,26 @@ export class EventSystem extends EventTarget {
 
     const conflictChance = this.calculateConflictProbability();
 
-    if (Math.random() > conflictChance) {
+    if (this.random() > conflictChance) {
       return false;
     }
 
     // 篩選可觸發的衝突事件
-    const availableEvents = this.eventsConfig.conflict_events.filter((event) =>
-      this.checkEventConditions(event)
+    const availableEvents = this.eventsConfig.conflict_events.filter(
+      (event) =>
+        !this.isEventDriven(event) &&
+        this.isEventAvailable(event) &&
+        this.checkEventConditions(event)
     );
 
     if (availableEvents.length === 0) {
       return false;
     }
 
-    const selectedEvent = this.selectEventByPriority(availableEvents);
+    const selectedEvent = this.selectEventByWeight(availableEvents);
 
     if (selectedEvent) {
-      this.triggerEvent(selectedEvent);
-      return true;
+      return this.triggerEvent(selectedEvent);
     }
 
     return false;
@@ -498,19 +826,21 @@ export class EventSystem extends EventTarget {
     }
 
     // 特殊事件通常有特定觸發條件
-    const availableEvents = this.eventsConfig.special_events.filter((event) =>
-      this.checkEventConditions(event)
+    const availableEvents = this.eventsConfig.special_events.filter(
+      (event) =>
+        !this.isEventDriven(event) &&
+        this.isEventAvailable(event) &&
+        this.checkEventConditions(event)
     );
 
     if (availableEvents.length === 0) {
       return false;
     }
 
-    const selectedEvent = this.selectEventByPriority(availableEvents);
+    const selectedEvent = this.selectEventByWeight(availableEvents);
 
     if (selectedEvent) {
-      this.triggerEvent(selectedEvent);
-      return true;
+      return this.triggerEvent(selectedEvent);
     }
 
     return false;
@@ -520,8 +850,20 @@ export class EventSystem extends EventTarget {
    * 觸發特定事件
    */
   triggerEvent(event) {
+    // 同一事件尚未處理前不重複觸發
+    if (this.activeEvents.has(event.id) || this.ongoingEvents.has(event.id)) {
+      return false;
+    }
+
     console.log(`📅 觸發事件: ${event.title}`);
 
+    // 記錄觸發次數與最近觸發日
+    const occurrence = this.eventOccurrences[event.id] || { count: 0 };
+    this.eventOccurrences[event.id] = {
+      count: occurrence.count + 1,
+      lastDay: this.gameState.day,
+    };
+
     // 記錄事件歷史
     this.eventHistory.push({
       event: event,
@@ -529,11 +871,28 @@ export class EventSystem extends EventTarget {
       timestamp: Date.now(),
     });
 
-    // 生成動態選擇
-    const choices = this.generateEventChoices(event);
+    // 持續型危機不進入待決佇列，改於期限內逐日處理
+    if (event.deadline) {
+      return this.startOngoingEvent(event);
+    }
+
+    // 生成動態選擇（保留暫時不可用的選項，供介面顯示停用原因）
+    const candidates = this.generateEventChoices(event, true);
+    const choices = candidates.filter((choice) =>
+      this.checkChoiceConditions(choice)
+    );
+
+    if (choices.length === 0) {
+      this.addLog(`${event.title}：${event.description}`, "event");
+      return false;
+    }
 
-    // 顯示事件對話框
-    this.showEventModal(event, choices);
+    // 排入待決事件，等待玩家選擇
+    this.activeEvents.set(event.id, {
+      eventId: event.id,
+      choiceIds: candidates.map((choice) => choice.id),
+      day: this.gameState.day,
+    });
 
     // 觸發事件開始事件
     this.dispatchEvent(
@@ -541,24 +900,465 @@ export class EventSystem extends EventTarget {
         detail: { event, choices },
       })
     );
+
+    return true;
+  }
+
+  /**
+   * 取得待決事件（依觸發順序），選項依目前狀態重新檢查條件
+   * previews 包含所有選項（含停用者）的成功率、預期資源變化與未滿足條件
+   * 僅供查詢：不擲骰、不修改狀態；已無可行選項的事件不列出，於每日事件階段結束
+   * @returns {Array<{event: Object, choices: Array, previews: Array, day: number}>}
+   */
+  getPendingEvents() {
+    return Array.from(this.activeEvents.values())
+      .map((entry) => this.buildPendingEvent(entry))
+      .filter((pending) => pending.choices.length > 0);
+  }
+
+  /**
+   * 結束事件已不存在或沒有可執行選項的待決事件（每日事件階段開始時執行）
+   * @returns {number} 結束的事件數
+   */
+  pruneStalePendingEvents() {
+    let pruned = 0;
+
+    Array.from(this.activeEvents.values()).forEach((entry) => {
+      const { event, choices } = this.buildPendingEvent(entry);
+      if (choices.length > 0) return;
+
+      this.activeEvents.delete(entry.eventId);
+      if (event) {
+        this.addLog(`${event.title}：已無可行的應對方式`, "danger");
+      }
+      pruned++;
+    });
+
+    return pruned;
+  }
+
+  /**
+   * @private
+   */
+  buildPendingEvent(entry) {
+    const event = this.findEventById(entry.eventId);
+    const previews = event
+      ? entry.choiceIds
+          .map((choiceId) => this.findChoiceById(event, choiceId))
+          .filter(Boolean)
+          .map((choice) => this.getChoicePreview(choice))
+      : [];
+    const choices = previews
+      .filter((preview) => preview.available)
+      .map((preview) => preview.choice);
+
+    return { event, choices, previews, day: entry.day };
+  }
+
+  /**
+   * 預覽選項結果：是否可選、未滿足的條件、成功率與預期資源變化
+   * @param {Object} choice - 事件選項
+   */
+  getChoicePreview(choice) {
+    // 使用不擲骰的追蹤路徑：機率條件（結果為 null）視為可選，執行時才判定
+    const context = this.createConditionContext();
+    const unmetConditions = (choice.conditions || [])
+      .filter(
+        (condition) =>
+          this.conditionRegistry.explain(condition, context).passed === false
+      )
+      .map((condition) => this.describeCondition(condition));
+    const available = unmetConditions.length === 0;
+
+    const expectedDelta = this.estimateResourceDelta(choice.effects);
+
+    return {
+      choice,
+      available,
+      unmetConditions,
+      successChance: this.findSuccessChance(choice.effects),
+      expectedDelta,
+      expectedDeltaText: Object.entries(expectedDelta)
+        .map(
+          ([resource, amount]) =>
+            `${this.getResourceLabel(resource)} ${amount > 0 ? "+" : ""}${amount}`
+        )
+        .join("、"),
+    };
+  }
+
+  /**
+   * 取得效果中第一個機率檢查的成功率（沒有機率檢查時為 null）
+   */
+  findSuccessChance(effects = []) {
+    for (const effect of effects) {
+      if (effect.type === "probabilityCheck") {
+        return this.calculateEventProbability(effect.condition);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 估算效果的預期資源變化（機率分支依成功率加權）
+   * @returns {Object} resource -> 預期變化量（四捨五入到小數一位，省略 0）
+   */
+  estimateResourceDelta(effects = []) {
+    const delta = {};
+    this.accumulateResourceDelta(effects, 1, delta);
+
+    Object.keys(delta).forEach((resource) => {
+      delta[resource] = Math.round(delta[resource] * 10) / 10;
+      if (delta[resource] === 0) delete delta[resource];
+    });
+
+    return delta;
+  }
+
+  /**
+   * @private
+   */
+  accumulateResourceDelta(effects = [], weight, delta) {
+    effects.forEach((effect) => {
+      switch (effect.type) {
+        case "modifyResource":
+          delta[effect.resource] =
+            (delta[effect.resource] || 0) + effect.amount * weight;
+          break;
+        case "probabilityCheck": {
+          const chance = this.calculateEventProbability(effect.condition);
+          this.accumulateResourceDelta(effect.success, weight * chance, delta);
+          this.accumulateResourceDelta(
+            effect.failure,
+            weight * (1 - chance),
+            delta
+          );
+          break;
+        }
+        case "checkSoldierBonus":
+          if (
+            this.checkSingleCondition({
+              type: "hasTenantType",
+              tenantType: "soldier",
+            })
+          ) {
+            this.accumulateResourceDelta(effect.effects, weight, delta);
+          }
+          break;
+      }
+    });
+  }
+
+  /**
+   * 將條件轉為玩家可讀的說明
+   */
+  describeCondition(rawCondition) {
+    const condition = this.conditionRegistry.normalize(rawCondition);
+
+    switch (condition.type) {
+      case "hasResource":
+        return `需要 ${this.getResourceLabel(condition.resource)} ${
+          condition.amount
+        }`;
+      case "hasTenantType":
+        return `需要 ${condition.count || 1} 位${this.getTenantTypeLabel(
+          condition.tenantType
+        )}租客`;
+      case "dayRange":
+        return condition.min !== undefined
+          ? `第 ${condition.min} 天後才能選擇`
+          : `第 ${condition.max} 天前才能選擇`;
+      case "and":
+        return condition.conditions
+          .filter((cond) => !this.checkSingleCondition(cond))
+          .map((cond) => this.describeCondition(cond))
+          .join("、");
+      case "or":
+        return condition.conditions
+          .map((cond) => this.describeCondition(cond))
+          .join(" 或 ");
+      case "choiceMade":
+      case "milestoneReached":
+        return "劇情條件未達成";
+      default:
+        return `條件未達成（${condition.type}）`;
+    }
+  }
+
+  getResourceLabel(resource) {
+    return this.gameHelpers
+      ? this.gameHelpers.getUIConfig(`resourceLabels.${resource}`, resource)
+      : resource;
+  }
+
+  getTenantTypeLabel(tenantType) {
+    if (tenantType === "any") return "";
+    if (tenantType === "infected") return "感染";
+
+    const tenantTypes = this.dataManager.getCachedData("tenants") || [];
+    const typeConfig = tenantTypes.find((type) => type.typeId === tenantType);
+    return typeConfig?.typeName || tenantType;
+  }
+
+  /**
+   * 條件診斷
+   */
+
+  /**
+   * 說明事件為何會或不會觸發，以及各選項是否可選
+   * 每日類別機率與 probability 條件不擲骰，以 🎲（passed 為 null）表示
+   * @param {string|Object} eventOrId - 事件 ID 或事件設定
+   * @returns {Object|null} ConditionRegistry 追蹤樹，找不到事件時為 null
+   */
+  explainEvent(eventOrId) {
+    const event =
+      typeof eventOrId === "string" ? this.findEventById(eventOrId) : eventOrId;
+    if (!event) return null;
+
+    const context = this.createConditionContext();
+    const registry = this.conditionRegistry;
+
+    const trigger = registry.createGroupNode("觸發", [
+      ...this.explainEventAvailability(event),
+      registry.explainAll(event.trigger?.conditions, context, "觸發條件"),
+    ]);
+
+    // 動態條件選項的出現條件併入該選項的追蹤
+    const choiceEntries = [
+      ...(event.choices || []),
+      ...(event.dynamicChoices?.base || []),
+    ].map((choice) => ({ choice, conditions: choice.conditions || [] }));
+
+    (event.dynamicChoices?.conditional || []).forEach(({ condition, choice }) => {
+      choiceEntries.push({
+        choice,
+        conditions: [condition, ...(choice.conditions || [])],
+      });
+    });
+
+    const choices = registry.createGroupNode(
+      "選項",
+      choiceEntries.map(({ choice, conditions }) =>
+        registry.explainAll(conditions, context, `選項：${choice.text}`)
+      ),
+      "or"
+    );
+
+    return {
+      ...registry.createGroupNode(`事件：${event.title}`, [trigger, choices]),
+      eventId: event.id,
+    };
+  }
+
+  /**
+   * 說明所有事件（依 eventsConfig 分類）
+   * @returns {Array<Object>} 追蹤樹陣列
+   */
+  explainAllEvents() {
+    return Object.values(this.eventsConfig)
+      .filter(Array.isArray)
+      .flat()
+      .map((event) => this.explainEvent(event));
+  }
+
+  /**
+   * 事件觸發前的非條件檢查：冷卻、次數、進行中、劇情時間點與每日類別機率
+   * @private
+   */
+  explainEventAvailability(event) {
+    const nodes = [];
+    const occurrence = this.eventOccurrences[event.id];
+    const category = Object.keys(this.eventsConfig).find(
+      (key) =>
+        Array.isArray(this.eventsConfig[key]) &&
+        this.eventsConfig[key].includes(event)
+    );
+
+    nodes.push({
+      type: "state",
+      label: "未在處理中",
+      subject: "activeEvents / ongoingEvents",
+      actual: this.activeEvents.has(event.id) || this.ongoingEvents.has(event.id),
+      operator: "==",
+      expected: false,
+      passed:
+        !this.activeEvents.has(event.id) && !this.ongoingEvents.has(event.id),
+    });
+
+    if (event.maxOccurrences !== undefined) {
+      const count = occurrence?.count || 0;
+      nodes.push({
+        type: "maxOccurrences",
+        label: "觸發次數上限",
+        subject: "occurrences.count",
+        actual: count,
+        operator: "<",
+        expected: event.maxOccurrences,
+        passed: count < event.maxOccurrences,
+      });
+    }
+
+    if (event.cooldownDays !== undefined && occurrence) {
+      const elapsed = this.gameState.day - occurrence.lastDay;
+      nodes.push({
+        type: "cooldownDays",
+        label: "冷卻天數",
+        subject: "day - lastDay",
+        actual: elapsed,
+        operator: ">=",
+        expected: event.cooldownDays,
+        passed: elapsed >= event.cooldownDays,
+      });
+    }
+
+    if (category === "scripted_events") {
+      const fired = this.storyProgress.firedEvents.includes(event.id);
+      nodes.push(
+        {
+          type: "scripted",
+          label: "劇情未觸發過",
+          subject: "storyProgress.firedEvents",
+          actual: fired,
+          operator: "==",
+          expected: false,
+          passed: !fired,
+        },
+        {
+          type: "scripted",
+          label: "劇情時間點",
+          passed: this.isScriptedEventDue(event),
+        }
+      );
+    }
+
+    const categoryChance = {
+      random_events: () => this.eventParameters.randomEventChance || 0.3,
+      conflict_events: () => this.calculateConflictProbability(),
+    }[category];
+
+    if (this.isEventDriven(event)) {
+      nodes.push({
+        type: "eventTrigger",
+        label: `僅在 ${event.trigger.on} 發生時觸發`,
+        passed: false,
+      });
+    } else if (categoryChance) {
+      nodes.push({
+        type: "probability",
+        label: "每日類別機率",
+        subject: "random()",
+        actual: "未擲骰",
+        operator: "<=",
+        expected: Math.round(categoryChance() * 1000) / 1000,
+        passed: null,
+      });
+    } else if (category === "chain_events") {
+      nodes.push({
+        type: "chain",
+        label: "僅由其他事件排程觸發",
+        passed: false,
+      });
+    }
+
+    return nodes;
+  }
+
+  /**
+   * 事件驅動觸發
+   */
+
+  /**
+   * 是否為事件驅動（trigger.on）的事件，這類事件不參與每日抽選
+   */
+  isEventDriven(event) {
+    return typeof event.trigger?.on === "string";
+  }
+
+  /**
+   * 訂閱事件驅動的事件：事件發出且 filter、冷卻與觸發條件皆符合時立即觸發
+   * @param {GameBridge} eventSource - 提供 on/off 的事件來源（CustomEvent.detail 為事件資料）
+   * @returns {number} 訂閱的事件類型數
+   */
+  bindEventTriggers(eventSource) {
+    this.unbindEventTriggers();
+
+    const drivenEvents = Object.values(this.eventsConfig || {})
+      .filter(Array.isArray)
+      .flat()
+      .filter((event) => this.isEventDriven(event));
+    const eventTypes = new Set(drivenEvents.map((event) => event.trigger.on));
+
+    eventTypes.forEach((eventType) => {
+      const handler = (domEvent) =>
+        this.processTriggeredEvents(eventType, domEvent.detail || {});
+      eventSource.on(eventType, handler);
+      this.triggerSubscriptions.push({ eventSource, eventType, handler });
+    });
+
+    console.log(`🔔 已訂閱 ${eventTypes.size} 種事件驅動的事件`);
+    return eventTypes.size;
+  }
+
+  /**
+   * 取消所有事件驅動的訂閱
+   */
+  unbindEventTriggers() {
+    this.triggerSubscriptions.forEach(({ eventSource, eventType, handler }) => {
+      eventSource.off(eventType, handler);
+    });
+    this.triggerSubscriptions = [];
+  }
+
+  /**
+   * 觸發符合事件資料的事件驅動事件
+   * @param {string} eventType - 事件名稱
+   * @param {Object} payload - 事件資料
+   * @returns {number} 觸發的事件數
+   */
+  processTriggeredEvents(eventType, payload = {}) {
+    if (!this.status.initialized) return 0;
+
+    const candidates = Object.values(this.eventsConfig)
+      .filter(Array.isArray)
+      .flat()
+      .filter(
+        (event) =>
+          event.trigger?.on === eventType &&
+          this.conditionRegistry.matchesPayload(event.trigger.filter, payload) &&
+          this.isEventAvailable(event) &&
+          this.checkEventConditions(event)
+      );
+
+    return candidates.filter((event) => this.triggerEvent(event)).length;
+  }
+
+  /**
+   * 檢查是否有待決事件
+   */
+  hasPendingEvents() {
+    return this.getPendingEvents().length > 0;
   }
 
   /**
    * 生成事件選擇
+   * @param {boolean} includeUnavailable - 是否保留條件不滿足的選項
    */
-  generateEventChoices(event) {
+  generateEventChoices(event, includeUnavailable = false) {
     let choices = [];
 
     // 基礎選擇
     if (event.choices) {
-      choices = event.choices.filter((choice) =>
-        this.checkChoiceConditions(choice)
+      choices = event.choices.filter(
+        (choice) => includeUnavailable || this.checkChoiceConditions(choice)
       );
     }
 
     // 動態選擇（基於租客類型）
     if (event.dynamicChoices) {
-      const dynamicChoices = this.generateDynamicChoices(event.dynamicChoices);
+      const dynamicChoices = this.generateDynamicChoices(
+        event.dynamicChoices,
+        includeUnavailable
+      );
       choices = choices.concat(dynamicChoices);
     }
 
@@ -568,13 +1368,13 @@ export class EventSystem extends EventTarget {
   /**
    * 生成動態選擇
    */
-  generateDynamicChoices(dynamicConfig) {
+  generateDynamicChoices(dynamicConfig, includeUnavailable = false) {
     const choices = [];
 
     // 基礎選擇
     if (dynamicConfig.base) {
-      const baseChoices = dynamicConfig.base.filter((choice) =>
-        this.checkChoiceConditions(choice)
+      const baseChoices = dynamicConfig.base.filter(
+        (choice) => includeUnavailable || this.checkChoiceConditions(choice)
       );
       choices.push(...baseChoices);
     }
@@ -615,11 +1415,39 @@ export class EventSystem extends EventTarget {
       return false;
     }
 
-    // 執行效果
-    const results = this.executeChoiceEffects(choice.effects);
+    const ongoing = this.ongoingEvents.get(eventId);
 
-    // 記錄執行結果
-    this.recordEventExecution(event, choice, results);
+    // 持續型危機的逐日行動：累積進度，危機持續到期限或被解決
+    if (ongoing && choice.partial) {
+      if (this.hasActedToday(ongoing, choice)) {
+        this.addLog(`今天已執行過「${choice.text}」`, "danger");
+        return false;
+      }
+
+      // 效果復原時不計入進度，當天仍可再次執行
+      const { results, rolledBack } = this.applyChoice(event, choice);
+      if (!rolledBack) {
+        ongoing.actedDays[choice.id] = this.gameState.day;
+        ongoing.progress += choice.progress || 0;
+      }
+
+      this.dispatchEvent(
+        new CustomEvent("eventProgressed", {
+          detail: { event, choice, progress: ongoing.progress, results },
+        })
+      );
+
+      return true;
+    }
+
+    // 執行效果；效果復原時事件維持待決，可重新選擇
+    const { results, rolledBack } = this.applyChoice(event, choice);
+    if (rolledBack) {
+      return true;
+    }
+
+    this.activeEvents.delete(eventId);
+    this.ongoingEvents.delete(eventId);
 
     // 觸發事件完成事件
     this.dispatchEvent(
@@ -631,6 +1459,49 @@ export class EventSystem extends EventTarget {
     return true;
   }
 
+  /**
+   * 執行選擇效果並記錄（記錄來源供事件鏈使用）
+   * @returns {{results: Array, rolledBack: boolean}}
+   * @private
+   */
+  applyChoice(event, choice) {
+    // 效果全部成功才生效，任一效果失敗即還原遊戲狀態、租客狀態與劇情、排程佇列
+    const transaction = new EffectTransaction([
+      this.gameState,
+      this.storyProgress,
+      this.scheduledEvents,
+      this.tenantSystemRef?.tenantStates,
+    ]);
+    this.currentChoiceSource = { eventId: event.id, choiceId: choice.id };
+    this.executionStats.effectBatches++;
+
+    let results;
+    try {
+      results = this.executeChoiceEffects(choice.effects);
+      transaction.commit();
+    } catch (error) {
+      console.error(`❌ 事件效果執行失敗 (${event.id}/${choice.id}):`, error);
+      transaction.rollback();
+      this.executionStats.rollbacks++;
+      this.addLog(
+        `⚠️ ${event.title}「${choice.text}」執行失敗，效果已全部復原`,
+        "danger"
+      );
+
+      return {
+        results: [{ success: false, rolledBack: true, error: error.message }],
+        rolledBack: true,
+      };
+    } finally {
+      this.currentChoiceSource = null;
+    }
+
+    this.recordEventExecution(event, choice, results);
+    this.storyProgress.choices[event.id] = choice.id;
+
+    return { results, rolledBack: false };
+  }
+
   /**
    * 執行選擇效果
    */
@@ -639,19 +1510,8 @@ export class EventSystem extends EventTarget {
       return [];
     }
 
-    const results = [];
-
-    effects.forEach((effect) => {
-      try {
-        const result = this.executeSingleEffect(effect);
-        results.push(result);
-      } catch (error) {
-        console.error("❌ 效果執行失敗:", error);
-        results.push({ success: false, error: error.message });
-      }
-    });
-
-    return results;
+    // 錯誤不在此攔截，交由 applyChoice 還原整批效果
+    return effects.map((effect) => this.executeSingleEffect(effect));
   }
 
   /**
@@ -708,25 +1568,21 @@ export class EventSystem extends EventTarget {
    * 檢查單一條件
    */
   checkSingleCondition(condition) {
-    const { type } = condition;
-    const checker = this.conditionCheckers.get(type);
-
-    if (!checker) {
-      // 嘗試使用 RuleEngine
-      if (this.ruleEngineRef) {
-        return this.ruleEngineRef.checkCondition(condition, this.gameState);
-      }
-
-      console.warn(`⚠️ 未知的條件類型: ${type}`);
-      return false;
-    }
+    return this.conditionRegistry.evaluate(
+      condition,
+      this.createConditionContext()
+    );
+  }
 
-    try {
-      return checker(condition);
-    } catch (error) {
-      console.error(`❌ 條件檢查失敗 (${type}):`, error);
-      return false;
-    }
+  /**
+   * 建立條件檢查的執行環境
+   */
+  createConditionContext() {
+    return {
+      gameState: this.gameState,
+      random: () => this.random(),
+      gameHelpers: this.gameHelpers,
+    };
   }
 
   /**
@@ -817,7 +1673,8 @@ export class EventSystem extends EventTarget {
     if (this.gameHelpers) {
       return this.gameHelpers.calculateProbability(
         condition.base,
-        condition.modifiers
+        condition.modifiers,
+        (modifier) => this.checkSingleCondition(modifier)
       );
     }
 
@@ -836,68 +1693,90 @@ export class EventSystem extends EventTarget {
   }
 
   /**
-   * 根據優先級選擇事件
+   * 檢查事件是否可再次觸發（cooldownDays 冷卻天數、maxOccurrences 次數上限）
    */
-  selectEventByPriority(events) {
-    if (events.length === 0) return null;
-    if (events.length === 1) return events[0];
+  isEventAvailable(event) {
+    if (this.ongoingEvents.has(event.id)) return false;
 
-    // 按優先級排序（優先級越高越重要）
-    const sortedEvents = events.sort(
-      (a, b) => (b.priority || 0) - (a.priority || 0)
-    );
+    const occurrence = this.eventOccurrences[event.id];
+    if (!occurrence) return true;
 
-    // 優先選擇高優先級事件，但仍有隨機性
-    const highPriorityEvents = sortedEvents.filter(
-      (event) => event.priority === sortedEvents[0].priority
-    );
+    if (
+      event.maxOccurrences !== undefined &&
+      occurrence.count >= event.maxOccurrences
+    ) {
+      return false;
+    }
 
-    return highPriorityEvents[
-      Math.floor(Math.random() * highPriorityEvents.length)
-    ];
+    if (
+      event.cooldownDays !== undefined &&
+      this.gameState.day - occurrence.lastDay < event.cooldownDays
+    ) {
+      return false;
+    }
+
+    return true;
   }
 
   /**
-   * UI 交互方法
+   * 計算事件的抽選權重
+   * 基礎權重為 weight（預設 1），近期每觸發一次再乘上衰減係數
    */
+  calculateEventWeight(event) {
+    const { recentDays = 7, recentWeightFactor = 0.5 } =
+      this.eventParameters.repetition || {};
+    const baseWeight = event.weight ?? 1;
+
+    const recentCount = this.eventHistory.filter(
+      (record) =>
+        record.event?.id === event.id &&
+        this.gameState.day - record.day < recentDays
+    ).length;
+
+    return baseWeight * Math.pow(recentWeightFactor, recentCount);
+  }
 
   /**
-   * 顯示事件對話框
+   * 依權重抽選事件（近期觸發過的事件權重降低）
    */
-  showEventModal(event, choices) {
-    const modal = document.getElementById("eventModal");
-    const titleEl = document.getElementById("eventTitle");
-    const descEl = document.getElementById("eventDescription");
-    const choicesEl = document.getElementById("eventChoices");
+  selectEventByWeight(events) {
+    if (events.length === 0) return null;
 
-    if (!modal || !titleEl || !descEl || !choicesEl) {
-      console.error("❌ 事件對話框 DOM 元素缺失");
-      return;
-    }
+    const weights = events.map((event) => this.calculateEventWeight(event));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
 
-    titleEl.textContent = event.title;
-    descEl.textContent = event.description;
-
-    choicesEl.innerHTML = choices
-      .map(
-        (choice) => `
-      <button class="btn ${choice.icon ? "" : "success"}" 
-              onclick="window.gameApp.handleEventChoice('${event.id}', '${
-          choice.id
-        }')">
-        ${choice.icon || ""} ${choice.text}
-      </button>
-    `
-      )
-      .join("");
+    if (totalWeight <= 0) return null;
 
-    modal.style.display = "block";
+    let roll = this.random() * totalWeight;
+    for (let i = 0; i < events.length; i++) {
+      roll -= weights[i];
+      if (roll < 0) return events[i];
+    }
+
+    return events[events.length - 1];
   }
 
   /**
    * 工具方法
    */
 
+  /**
+   * 取得隨機數（來自共用的種子隨機數服務）
+   */
+  random() {
+    return this.gameHelpers ? this.gameHelpers.random() : Math.random();
+  }
+
+  /**
+   * 取得所有分類的事件 ID（存檔驗證用）
+   */
+  getEventIds() {
+    return Object.values(this.eventsConfig || {})
+      .filter(Array.isArray)
+      .flatMap((events) => events.map((event) => event?.id))
+      .filter(Boolean);
+  }
+
   /**
    * 找到事件 by ID
    */
@@ -907,6 +1786,7 @@ export class EventSystem extends EventTarget {
       ...(this.eventsConfig.conflict_events || []),
       ...(this.eventsConfig.special_events || []),
       ...(this.eventsConfig.scripted_events || []),
+      ...(this.eventsConfig.chain_events || []),
     ];
 
     return allEvents.find((event) => event.id === eventId);
@@ -970,6 +1850,11 @@ export class EventSystem extends EventTarget {
    */
 
   onTenantHired(data) {
+    // 第一位租客入住的劇情
+    if (this.recordMilestone("firstTenantHired")) {
+      this.processScriptedEvents();
+    }
+
     // 租客雇用可能觸發特殊事件
     this.processSpecialEvents();
   }
@@ -977,6 +1862,9 @@ export class EventSystem extends EventTarget {
   onTenantEvicted(data) {
     // 租客離開可能改變事件觸發條件
     if (data.reason === "infected") {
+      if (this.recordMilestone("firstInfectionFound")) {
+        this.processScriptedEvents();
+      }
       this.processSpecialEvents();
     }
   }
@@ -1008,6 +1896,7 @@ export class EventSystem extends EventTarget {
       conflict_events: [],
       special_events: [],
       scripted_events: [],
+      chain_events: [],
     };
   }
 
@@ -1021,9 +1910,53 @@ export class EventSystem extends EventTarget {
         resourceScarcityBonus: 0.1,
         elderReduction: 0.12,
       },
+      repetition: {
+        recentDays: 7,
+        recentWeightFactor: 0.5,
+      },
     };
   }
 
+  /**
+   * 匯出可序列化的事件狀態（供存檔系統使用）
+   */
+  exportState() {
+    return {
+      eventHistory: [...this.eventHistory],
+      activeEvents: Array.from(this.activeEvents.entries()),
+      ongoingEvents: structuredClone(Array.from(this.ongoingEvents.entries())),
+      scheduledEvents: this.scheduledEvents.map((entry) => ({ ...entry })),
+      storyProgress: structuredClone(this.storyProgress),
+      eventOccurrences: structuredClone(this.eventOccurrences),
+    };
+  }
+
+  /**
+   * 從存檔復原事件狀態
+   */
+  restoreState(state) {
+    this.eventHistory = Array.isArray(state?.eventHistory)
+      ? state.eventHistory
+      : [];
+    this.activeEvents = new Map(
+      Array.isArray(state?.activeEvents) ? state.activeEvents : []
+    );
+    this.ongoingEvents = new Map(
+      Array.isArray(state?.ongoingEvents) ? state.ongoingEvents : []
+    );
+    this.scheduledEvents = Array.isArray(state?.scheduledEvents)
+      ? state.scheduledEvents
+      : [];
+    this.storyProgress = {
+      ...this.createStoryProgress(),
+      ...(state?.storyProgress || {}),
+    };
+    this.eventOccurrences = state?.eventOccurrences || {};
+
+    console.log(`📂 已復原 ${this.eventHistory.length} 筆事件記錄`);
+    return true;
+  }
+
   /**
    * 系統狀態查詢
    */
@@ -1035,8 +1968,16 @@ export class EventSystem extends EventTarget {
         conflict: this.eventsConfig?.conflict_events?.length || 0,
         special: this.eventsConfig?.special_events?.length || 0,
         scripted: this.eventsConfig?.scripted_events?.length || 0,
+        chain: this.eventsConfig?.chain_events?.length || 0,
       },
       historyCount: this.eventHistory.length,
+      scheduledCount: this.scheduledEvents.length,
+      ongoingCount: this.ongoingEvents.size,
+      executionStats: { ...this.executionStats },
+      storyProgress: {
+        firedCount: this.storyProgress.firedEvents.length,
+        milestones: { ...this.storyProgress.milestones },
+      },
       parameters: this.eventParameters,
     };
   }
@@ -1047,6 +1988,11 @@ export class EventSystem extends EventTarget {
   cleanup() {
     this.eventHistory = [];
     this.activeEvents.clear();
+    this.ongoingEvents.clear();
+    this.scheduledEvents = [];
+    this.storyProgress = this.createStoryProgress();
+    this.eventOccurrences = {};
+    this.unbindEventTriggers();
     this.removeAllEventListeners();
 
     console.log("🧹 EventSystem 已清理");
@@ -167,8 +167,8 @@ export class ResourceSystem {
 
     // 載入搜刮風險配置
     this.scavengeRisks = this.gameHelpers
-      ? this.gameHelpers.getGameBalance(
-          "mechanics.scavenging.baseSuccessRates",
+      ? this.gameHelpers.getMechanics(
+          "scavenging.baseSuccessRates",
           {
             soldier: 85,
             worker: 75,
@@ -396,12 +396,47 @@ export class ResourceSystem {
       day: this.gameState.day,
     });
 
+    this.checkResourceWarning(type, oldValue, newValue);
+
     console.log(
       `💰 資源更新: ${type} ${amount > 0 ? "+" : ""}${amount} (${reason})`
     );
     return true;
   }
 
+  /**
+   * 資源降到更低的警戒等級（warning → critical）時發出 resourceWarning
+   * 回升或維持同一等級時不重複發出
+   */
+  checkResourceWarning(type, oldValue, newValue) {
+    const thresholds = this.getResourceThresholds();
+    const getLevel = (value) => {
+      if (value <= (thresholds.critical[type] || 0)) return 2;
+      if (value <= (thresholds.warning[type] || 0)) return 1;
+      return 0;
+    };
+
+    const level = getLevel(newValue);
+    if (level <= getLevel(oldValue)) return;
+
+    const label = this.gameHelpers
+      ? this.gameHelpers.getUIConfig(`resourceLabels.${type}`, type)
+      : type;
+    const isCritical = level === 2;
+
+    this.emitEvent("resourceWarning", {
+      type,
+      level: isCritical ? "critical" : "warning",
+      threshold: isCritical
+        ? thresholds.critical[type]
+        : thresholds.warning[type],
+      oldValue,
+      newValue,
+      message: `⚠️ ${label}${isCritical ? "極度短缺" : "不足"}（剩餘 ${newValue}）`,
+      day: this.gameState.day,
+    });
+  }
+
   /**
    * 驗證資源操作
    */
@@ -843,7 +878,7 @@ export class ResourceSystem {
 
     // 計算成功率
     const successRate = this.calculateScavengeSuccessRate(tenant);
-    const isSuccess = Math.random() * 100 < successRate;
+    const isSuccess = this.random() * 100 < successRate;
 
     if (!isSuccess) {
       // 失敗可能導致租客受傷或感染
@@ -923,7 +958,7 @@ export class ResourceSystem {
     Object.keys(rewardRanges).forEach((resourceType) => {
       const range = rewardRanges[resourceType];
       const baseAmount =
-        Math.floor(Math.random() * (range.max - range.min + 1)) + range.min;
+        Math.floor(this.random() * (range.max - range.min + 1)) + range.min;
       const typeMultiplier = modifier[resourceType] || 1;
       const finalAmount = Math.floor(baseAmount * typeMultiplier);
 
@@ -933,8 +968,8 @@ export class ResourceSystem {
     });
 
     // 小機率獲得現金
-    if (Math.random() < 0.3) {
-      rewards.cash = Math.floor(Math.random() * 15) + 5;
+    if (this.random() < 0.3) {
+      rewards.cash = Math.floor(this.random() * 15) + 5;
     }
 
     return rewards;
@@ -969,7 +1004,7 @@ export class ResourceSystem {
       { description: "損失個人物品", effect: "resource", severity: 2 },
     ];
 
-    return injuries[Math.floor(Math.random() * injuries.length)];
+    return injuries[Math.floor(this.random() * injuries.length)];
   }
 
   /**
@@ -1306,6 +1341,13 @@ export class ResourceSystem {
    * 工具函數與系統管理
    */
 
+  /**
+   * 取得隨機數（來自共用的種子隨機數服務）
+   */
+  random() {
+    return this.gameHelpers ? this.gameHelpers.random() : Math.random();
+  }
+
   /**
    * 更新資源摘要
    */
@@ -7,6 +7,7 @@
  * 3. 成本計算與工資支付
  * 4. 被動技能的事件驅動觸發
  * 5. 與 TenantSystem 的事件通信
+ * 6. 延遲效果排程（依天數到期執行）
  *
  * 架構特點：
  * - 配置驅動：技能數據來自 skills.json
@@ -15,6 +16,9 @@
  * - 事件驅動：與其他系統的鬆耦合通信
  */
 
+import { ConditionRegistry } from "../core/ConditionRegistry.js";
+import { EffectTransaction } from "../core/EffectTransaction.js";
+
 export class SkillSystem extends EventTarget {
   constructor(gameStateRef, dataManager, gameHelpers = null) {
     super(); // 支援事件驅動通信
@@ -26,7 +30,8 @@ export class SkillSystem extends EventTarget {
     // 技能執行管理
     this.skillExecutors = new Map(); // skillId -> SkillExecutor
     this.skillRegistry = new Map(); // tenantType -> [skills]
-    this.cooldownManager = new CooldownManager();
+    this.cooldownManager = new CooldownManager(gameStateRef);
+    this.effectScheduler = new EffectScheduler(gameStateRef);
     this.costCalculator = new CostCalculator();
 
     // 效果系統
@@ -36,6 +41,10 @@ export class SkillSystem extends EventTarget {
     // 驗證鏈
     this.validationChain = [];
 
+    // 條件檢查（預設使用獨立註冊表，由主程式注入 GameBridge 的共用註冊表）
+    this.conditionRegistry = new ConditionRegistry();
+    this.registerConditionCheckers();
+
     // 系統狀態
     this.initialized = false;
     this.status = {
@@ -52,6 +61,7 @@ export class SkillSystem extends EventTarget {
       successfulExecutions: 0,
       failedExecutions: 0,
       passiveTriggered: 0,
+      rollbacks: 0,
     };
   }
 
@@ -141,6 +151,20 @@ export class SkillSystem extends EventTarget {
     });
   }
 
+  /**
+   * 重新讀取技能配置並重建執行器（資料熱重載）
+   * 冷卻與排程效果存放在遊戲狀態中，不受影響
+   */
+  async reloadSkillConfigurations() {
+    this.skillRegistry.clear();
+    this.skillExecutors.clear();
+
+    await this.loadSkillConfigurations();
+    this.createSkillExecutors();
+
+    console.log(`♻️ 已重建 ${this.skillExecutors.size} 個技能執行器`);
+  }
+
   /**
    * 建立技能執行器工廠
    */
@@ -170,7 +194,10 @@ export class SkillSystem extends EventTarget {
     this.effectHandlers.set("repairRoom", new RoomRepairHandler());
     this.effectHandlers.set("logMessage", new LogMessageHandler());
     this.effectHandlers.set("triggerEvent", new EventTriggerHandler());
-    this.effectHandlers.set("scheduledEffect", new ScheduledEffectHandler());
+    this.effectHandlers.set(
+      "scheduledEffect",
+      new ScheduledEffectHandler(this.effectScheduler)
+    );
     this.effectHandlers.set("reinforceRoom", new RoomReinforcementHandler());
     this.effectHandlers.set("autoRepair", new AutoRepairHandler());
 
@@ -231,9 +258,24 @@ export class SkillSystem extends EventTarget {
         };
       }
 
-      // 階段2: 執行技能
+      // 階段2: 執行技能（成本與效果全部成功才生效，任一效果失敗即整批復原）
+      // 限制：交易橫跨 await，等待期間其他操作的狀態變更也會被復原；
+      // 效果途中已送出的事件（含轉發到 GameBridge、觸發 trigger.on 規則者）不會撤銷
       const executor = this.skillExecutors.get(skillId);
-      const executionResult = await executor.execute(context);
+      const transaction = new EffectTransaction([
+        this.gameState,
+        this.effectScheduler.scheduled,
+        this.tenantSystemRef?.tenantStates,
+      ]);
+
+      let executionResult;
+      try {
+        executionResult = await executor.execute(context);
+        transaction.commit();
+      } catch (error) {
+        transaction.rollback();
+        return this.handleExecutionRollback(context, error);
+      }
 
       // 階段3: 後處理
       this.postProcessExecution(context, executionResult);
@@ -270,6 +312,33 @@ export class SkillSystem extends EventTarget {
     }
   }
 
+  /**
+   * 技能效果失敗並已復原：記錄統計並通知主程式
+   * @private
+   */
+  handleExecutionRollback(context, error) {
+    console.error(`❌ 技能效果執行失敗，已復原 (${context.skill.id}):`, error);
+    this.stats.failedExecutions++;
+    this.stats.rollbacks++;
+
+    this.dispatchEvent(
+      new CustomEvent("skillRolledBack", {
+        detail: {
+          tenantName: context.tenant.name,
+          skillId: context.skill.id,
+          skillName: context.skill.name,
+          error: error.message,
+        },
+      })
+    );
+
+    return {
+      success: false,
+      reason: "effects_rolled_back",
+      message: error.message,
+    };
+  }
+
   /**
    * 準備執行上下文
    */
@@ -282,6 +351,7 @@ export class SkillSystem extends EventTarget {
       skill: skillConfig,
       gameState: this.gameState,
       gameHelpers: this.gameHelpers,
+      random: () => this.random(),
       options,
       trigger: options.trigger || null,
       passive: options.passive || false,
@@ -429,88 +499,149 @@ export class SkillSystem extends EventTarget {
   }
 
   /**
-   * 評估條件
+   * 使用共用條件註冊表，並註冊技能系統專屬的觸發器條件
+   * @param {ConditionRegistry} conditionRegistry - GameBridge 的 conditions 服務
    */
-  evaluateCondition(condition, context) {
-    switch (condition.type) {
-      case "hasTenantType":
-        return this.checkTenantTypeCondition(condition, context);
-      case "hasResource":
-        return this.checkResourceCondition(condition, context);
-      case "gameStateCheck":
-        return this.checkGameStateCondition(condition, context);
-      case "trigger":
-        return this.checkTriggerCondition(condition, context);
-      case "probability":
-        return Math.random() < condition.chance;
-      default:
-        console.warn(`⚠️ 未知的條件類型: ${condition.type}`);
-        return false;
-    }
+  setConditionRegistry(conditionRegistry) {
+    this.conditionRegistry = conditionRegistry;
+    this.registerConditionCheckers();
   }
 
-  checkTenantTypeCondition(condition, context) {
-    const { value, count = 1 } = condition;
-
-    if (value === "infected") {
-      const infectedCount = this.gameState.rooms.filter(
-        (room) => room.tenant && room.tenant.infected
-      ).length;
-      return infectedCount >= count;
-    }
-
-    if (value === "any") {
-      const tenantCount = this.gameState.rooms.filter(
-        (room) => room.tenant
-      ).length;
-      return tenantCount >= count;
-    }
-
-    const typeCount = this.gameState.rooms.filter(
-      (room) =>
-        room.tenant &&
-        (room.tenant.typeId === value || room.tenant.type === value)
-    ).length;
-    return typeCount >= count;
+  /**
+   * 註冊技能系統專屬條件（通用條件由 ConditionRegistry 提供）
+   */
+  registerConditionCheckers() {
+    // 被動技能觸發器：直接匹配觸發器名稱
+    this.conditionRegistry.register(
+      "trigger",
+      (condition, context) => {
+        const { trigger } = context.options || {};
+        return trigger === condition.value;
+      },
+      (condition, context) => ({
+        subject: "trigger",
+        actual: context.options?.trigger ?? null,
+        operator: "==",
+        expected: condition.value,
+      })
+    );
   }
 
-  checkResourceCondition(condition, context) {
-    const { resource, amount } = condition;
-    return (context.gameState.resources[resource] || 0) >= amount;
+  /**
+   * 評估條件
+   */
+  evaluateCondition(condition, context) {
+    return this.conditionRegistry.evaluate(condition, {
+      random: () => this.random(),
+      gameHelpers: this.gameHelpers,
+      ...context,
+    });
   }
 
-  checkGameStateCondition(condition, context) {
-    const { path, operator, value } = condition;
-
-    switch (path) {
-      case "rooms":
-        if (operator === "hasNeedsRepair") {
-          return this.gameState.rooms.some((room) => room.needsRepair);
-        }
-        if (operator === "hasUnReinforced") {
-          return this.gameState.rooms.some(
-            (room) => room.tenant && !room.reinforced
-          );
-        }
-        break;
+  /**
+   * 說明租客的技能為何可用或不可用：冷卻、次數、成本、健康狀態與需求條件
+   * @param {string} tenantName - 租客姓名
+   * @param {string} skillId - 技能 ID
+   * @returns {Object|null} ConditionRegistry 追蹤樹，找不到租客或技能時為 null
+   */
+  explainSkill(tenantName, skillId) {
+    const tenant = this.findTenantByName(tenantName);
+    const skill = tenant
+      ? (this.skillRegistry.get(tenant.typeId || tenant.type) || []).find(
+          (s) => s.id === skillId
+        )
+      : null;
+    if (!skill) return null;
+
+    const cooldownRemaining = this.cooldownManager.getCooldownRemaining(
+      tenant.name,
+      skill.id
+    );
+    const nodes = [
+      {
+        type: "cooldown",
+        label: "冷卻",
+        subject: "cooldownRemaining",
+        actual: cooldownRemaining,
+        operator: "==",
+        expected: 0,
+        passed: !this.cooldownManager.isOnCooldown(tenant.name, skill.id),
+      },
+      {
+        type: "health",
+        label: "租客健康",
+        subject: "tenant.infected",
+        actual: !!tenant.infected,
+        operator: "==",
+        expected: false,
+        passed: !tenant.infected,
+      },
+    ];
 
-      default:
-        const actualValue = this.getNestedValue(this.gameState, path);
-        return this.compareValues(actualValue, operator, value);
+    if (skill.maxUses) {
+      const usageCount = this.getSkillUsageCount(tenant.name, skill.id);
+      nodes.push({
+        type: "maxUses",
+        label: "使用次數上限",
+        subject: "usageCount",
+        actual: usageCount,
+        operator: "<",
+        expected: skill.maxUses,
+        passed: usageCount < skill.maxUses,
+      });
     }
 
-    return false;
+    Object.entries(skill.cost || {}).forEach(([resource, amount]) => {
+      const current = this.gameState.resources[resource] || 0;
+      nodes.push({
+        type: "cost",
+        label: "成本",
+        subject: `resources.${resource}`,
+        actual: current,
+        operator: ">=",
+        expected: amount,
+        passed: current >= amount,
+      });
+    });
+
+    nodes.push(
+      this.conditionRegistry.explainAll(
+        skill.requirements?.conditions,
+        {
+          random: () => this.random(),
+          gameHelpers: this.gameHelpers,
+          tenant,
+          gameState: this.gameState,
+        },
+        "需求條件"
+      )
+    );
+
+    return {
+      ...this.conditionRegistry.createGroupNode(
+        `技能：${tenant.name} ${skill.name}`,
+        nodes
+      ),
+      tenantName: tenant.name,
+      skillId: skill.id,
+    };
   }
 
   /**
-   * 檢查觸發條件
+   * 說明所有在住租客的主動技能
+   * @returns {Array<Object>} 追蹤樹陣列
    */
-  checkTriggerCondition(condition, context) {
-    const { value } = condition;
-    const { trigger } = context.options || {};
-
-    // 直接匹配觸發器名稱
-    return trigger === value;
+  explainAllSkills() {
+    return this.gameState.rooms
+      .filter((room) => room.tenant)
+      .flatMap((room) => {
+        const tenant = room.tenant;
+        const skills = this.skillRegistry.get(tenant.typeId || tenant.type) || [];
+
+        return skills
+          .filter((skill) => skill.type !== "passive")
+          .map((skill) => this.explainSkill(tenant.name, skill.id));
+      });
   }
 
   /**
@@ -585,14 +716,135 @@ export class SkillSystem extends EventTarget {
         return condition.value === trigger;
       }
       if (condition.type === "probability") {
-        return Math.random() < condition.chance;
+        return this.random() < condition.chance;
       }
       return false;
     });
   }
 
+  /**
+   * 執行到期的排程效果
+   * 來源租客已離開的排程會被取消；效果透過效果處理器註冊表逐一執行，
+   * 每筆排程各自一個交易，處理器失敗即復原該筆並回報失敗
+   * @returns {Promise<Array>} 已成功執行的排程
+   */
+  async processScheduledEffects() {
+    if (!this.initialized) {
+      return [];
+    }
+
+    const dueEffects = this.effectScheduler.takeDue();
+    const executed = [];
+
+    for (const entry of dueEffects) {
+      const tenant = this.findTenantByName(entry.tenantName);
+      if (!tenant) {
+        this.notifyScheduledEffectCancelled(entry, "tenant_left");
+        continue;
+      }
+
+      const handler = this.effectHandlers.get(entry.effect.type);
+      if (!handler) {
+        this.notifyScheduledEffectFailed(
+          entry,
+          `未知的排程效果類型: ${entry.effect.type}`
+        );
+        continue;
+      }
+
+      const context = {
+        tenant,
+        skill: this.getSkillConfig(entry.skillId) || {
+          id: entry.skillId,
+          name: entry.skillName,
+        },
+        gameState: this.gameState,
+        gameHelpers: this.gameHelpers,
+        random: () => this.random(),
+        options: { trigger: "scheduled" },
+        trigger: "scheduled",
+        passive: false,
+        scheduled: entry,
+        timestamp: Date.now(),
+      };
+
+      const transaction = new EffectTransaction([
+        this.gameState,
+        this.effectScheduler.scheduled,
+        this.tenantSystemRef?.tenantStates,
+      ]);
+
+      try {
+        await handler.handle(entry.effect, context);
+        transaction.commit();
+      } catch (error) {
+        transaction.rollback();
+        this.stats.rollbacks++;
+        console.error(`❌ 排程效果執行失敗，已復原:`, error);
+        this.notifyScheduledEffectFailed(entry, error.message);
+        continue;
+      }
+
+      executed.push(entry);
+      this.dispatchEvent(
+        new CustomEvent("scheduledEffectExecuted", { detail: entry })
+      );
+    }
+
+    return executed;
+  }
+
+  /**
+   * 取消指定租客的排程效果（例如租客離開時）
+   * @param {string} tenantName - 來源租客姓名
+   * @param {string} reason - 取消原因
+   */
+  cancelScheduledEffects(tenantName, reason = "tenant_left") {
+    const cancelled = this.effectScheduler.cancelByTenant(tenantName);
+    cancelled.forEach((entry) => {
+      this.notifyScheduledEffectCancelled(entry, reason);
+    });
+    return cancelled.length;
+  }
+
+  /**
+   * 取得尚未執行的排程效果（依執行日排序）
+   */
+  getScheduledEffects() {
+    return this.effectScheduler.getUpcoming();
+  }
+
+  notifyScheduledEffectFailed(entry, error) {
+    console.warn(
+      `⚠️ 排程效果未生效: ${entry.tenantName} 的 ${entry.skillName} (${error})`
+    );
+    this.dispatchEvent(
+      new CustomEvent("scheduledEffectFailed", {
+        detail: { ...entry, error },
+      })
+    );
+  }
+
+  notifyScheduledEffectCancelled(entry, reason) {
+    console.log(
+      `🚫 排程效果已取消: ${entry.tenantName} 的 ${entry.skillName} (${reason})`
+    );
+    this.dispatchEvent(
+      new CustomEvent("scheduledEffectCancelled", {
+        detail: { ...entry, reason },
+      })
+    );
+  }
+
   // =============== 工具方法 ===============
 
+  /**
+   * 取得隨機數（來自共用的種子隨機數服務）
+   */
+  random() {
+    return this.gameHelpers ? this.gameHelpers.random() : Math.random();
+  }
+
   findTenantByName(name) {
     const room = this.gameState.rooms.find(
       (r) => r.tenant && r.tenant.name === name
@@ -631,38 +883,6 @@ export class SkillSystem extends EventTarget {
     }
   }
 
-  getNestedValue(obj, path) {
-    return path
-      .split(".")
-      .reduce((current, key) => current && current[key], obj);
-  }
-
-  compareValues(actual, operator, expected) {
-    switch (operator) {
-      case "===":
-        return actual === expected;
-      case "==":
-        return actual == expected;
-      case ">":
-        return actual > expected;
-      case ">=":
-        return actual >= expected;
-      case "<":
-        return actual < expected;
-      case "<=":
-        return actual <= expected;
-      case "hasNeedsRepair":
-        return Array.isArray(actual) && actual.some((room) => room.needsRepair);
-      case "hasUnReinforced":
-        return (
-          Array.isArray(actual) &&
-          actual.some((room) => room.tenant && !room.reinforced)
-        );
-      default:
-        return false;
-    }
-  }
-
   /**
    * 初始化後備系統
    */
@@ -722,6 +942,39 @@ export class SkillSystem extends EventTarget {
     return fallbackSkills[type] || [];
   }
 
+  /**
+   * 匯出可序列化的技能狀態（供存檔系統使用）
+   */
+  exportState() {
+    return {
+      cooldowns: this.cooldownManager.exportCooldowns(),
+      scheduledEffects: this.effectScheduler.exportScheduled(),
+      executionHistory: [...this.executionHistory],
+      stats: { ...this.stats },
+    };
+  }
+
+  /**
+   * 從存檔復原技能狀態
+   */
+  restoreState(state) {
+    if (!state) {
+      console.warn("⚠️ 存檔缺少技能狀態，冷卻與執行記錄將重置");
+    }
+
+    this.cooldownManager.restoreCooldowns(state?.cooldowns);
+    this.effectScheduler.restoreScheduled(state?.scheduledEffects);
+    this.executionHistory = Array.isArray(state?.executionHistory)
+      ? state.executionHistory
+      : [];
+    this.stats = { ...this.stats, ...(state?.stats || {}) };
+
+    console.log(
+      `📂 已復原 ${this.cooldownManager.cooldowns.size} 筆技能冷卻、${this.effectScheduler.scheduled.length} 筆排程效果、${this.executionHistory.length} 筆執行記錄`
+    );
+    return true;
+  }
+
   /**
    * 取得系統狀態
    */
@@ -731,6 +984,7 @@ export class SkillSystem extends EventTarget {
       skillRegistrySize: this.skillRegistry.size,
       skillExecutorsSize: this.skillExecutors.size,
       effectHandlersSize: this.effectHandlers.size,
+      scheduledEffectsSize: this.effectScheduler.scheduled.length,
       stats: { ...this.stats },
       executionHistorySize: this.executionHistory.length,
     };
@@ -792,19 +1046,15 @@ class BaseSkillExecutor {
     const effects = this.skillConfig.effects || [];
     const results = [];
 
+    // 錯誤不在此攔截，交由 SkillSystem.executeSkill 還原整批效果
     for (const effect of effects) {
-      try {
-        const handler = this.skillSystem.effectHandlers.get(effect.type);
-        if (handler) {
-          const result = await handler.handle(effect, context);
-          results.push(result);
-        } else {
-          console.warn(`⚠️ 未知的效果類型: ${effect.type}`);
-          results.push({ type: "unknown", effect });
-        }
-      } catch (error) {
-        console.error(`❌ 效果執行錯誤:`, error);
-        results.push({ type: "error", error: error.message });
+      const handler = this.skillSystem.effectHandlers.get(effect.type);
+      if (handler) {
+        const result = await handler.handle(effect, context);
+        results.push(result);
+      } else {
+        console.warn(`⚠️ 未知的效果類型: ${effect.type}`);
+        results.push({ type: "unknown", effect });
       }
     }
 
@@ -886,14 +1136,31 @@ class SpecialSkillExecutor extends BaseSkillExecutor {
 // =============== 冷卻管理器 ===============
 
 class CooldownManager {
-  constructor() {
+  constructor(gameStateRef = null) {
+    this.gameState = gameStateRef;
     this.cooldowns = new Map(); // tenantName_skillId -> expireDay
   }
 
+  getCurrentDay() {
+    return (
+      this.gameState?.day ||
+      (typeof window !== "undefined" ? window.gameState?.day : null) ||
+      1
+    );
+  }
+
+  exportCooldowns() {
+    return Array.from(this.cooldowns.entries());
+  }
+
+  restoreCooldowns(entries) {
+    this.cooldowns = new Map(Array.isArray(entries) ? entries : []);
+  }
+
   setSkillCooldown(tenantName, skillId, cooldownDays) {
     if (cooldownDays > 0) {
       const key = `${tenantName}_${skillId}`;
-      const expireDay = (window.gameState?.day || 1) + cooldownDays;
+      const expireDay = this.getCurrentDay() + cooldownDays;
       this.cooldowns.set(key, expireDay);
     }
   }
@@ -904,7 +1171,7 @@ class CooldownManager {
 
     if (!expireDay) return false;
 
-    const currentDay = window.gameState?.day || 1;
+    const currentDay = this.getCurrentDay();
     if (currentDay >= expireDay) {
       this.cooldowns.delete(key);
       return false;
@@ -919,11 +1186,78 @@ class CooldownManager {
 
     if (!expireDay) return 0;
 
-    const currentDay = window.gameState?.day || 1;
+    const currentDay = this.getCurrentDay();
     return Math.max(0, expireDay - currentDay);
   }
 }
 
+// =============== 排程效果管理器 ===============
+
+class EffectScheduler {
+  constructor(gameStateRef = null) {
+    this.gameState = gameStateRef;
+    this.scheduled = []; // {id, executeDay, effect, tenantName, skillId, skillName, scheduledDay}
+    this.nextId = 1;
+  }
+
+  getCurrentDay() {
+    return this.gameState?.day || 1;
+  }
+
+  schedule(effect, delay, source) {
+    const entry = {
+      id: this.nextId++,
+      executeDay: this.getCurrentDay() + Math.max(1, delay),
+      scheduledDay: this.getCurrentDay(),
+      effect,
+      tenantName: source.tenantName,
+      skillId: source.skillId,
+      skillName: source.skillName,
+    };
+
+    this.scheduled.push(entry);
+    return entry;
+  }
+
+  takeDue() {
+    const currentDay = this.getCurrentDay();
+    const due = this.scheduled.filter(
+      (entry) => entry.executeDay <= currentDay
+    );
+    this.scheduled = this.scheduled.filter(
+      (entry) => entry.executeDay > currentDay
+    );
+    return due;
+  }
+
+  cancelByTenant(tenantName) {
+    const cancelled = this.scheduled.filter(
+      (entry) => entry.tenantName === tenantName
+    );
+    this.scheduled = this.scheduled.filter(
+      (entry) => entry.tenantName !== tenantName
+    );
+    return cancelled;
+  }
+
+  getUpcoming() {
+    return [...this.scheduled].sort(
+      (a, b) => a.executeDay - b.executeDay || a.id - b.id
+    );
+  }
+
+  exportScheduled() {
+    return this.scheduled.map((entry) => ({ ...entry }));
+  }
+
+  restoreScheduled(entries) {
+    this.scheduled = Array.isArray(entries) ? entries : [];
+    this.nextId =
+      this.scheduled.reduce((max, entry) => Math.max(max, entry.id || 0), 0) +
+      1;
+  }
+}
+
 // =============== 成本計算器 ===============
 
 class CostCalculator {
@@ -1148,7 +1482,7 @@ class TenantHealingHandler extends EffectHandler {
 
     if (infectedTenants.length > 0) {
       const patient =
-        infectedTenants[Math.floor(Math.random() * infectedTenants.length)];
+        infectedTenants[Math.floor(context.random() * infectedTenants.length)];
       patient.infected = false;
 
       // 發送治療事件
@@ -1217,7 +1551,7 @@ class AutoRepairHandler extends EffectHandler {
 
     if (damagedRooms.length > 0) {
       const room =
-        damagedRooms[Math.floor(Math.random() * damagedRooms.length)];
+        damagedRooms[Math.floor(context.random() * damagedRooms.length)];
       room.needsRepair = false;
 
       return {
@@ -1235,7 +1569,7 @@ class LogMessageHandler extends EffectHandler {
   async handle(effect, context) {
     const { message, logType = "skill" } = effect;
 
-    if (typeof window.addLog === "function") {
+    if (typeof window !== "undefined" && typeof window.addLog === "function") {
       window.addLog(message, logType);
     }
 
@@ -1262,16 +1596,27 @@ class EventTriggerHandler extends EffectHandler {
 }
 
 class ScheduledEffectHandler extends EffectHandler {
+  constructor(effectScheduler) {
+    super();
+    this.effectScheduler = effectScheduler;
+  }
+
   async handle(effect, context) {
     const { delay, effect: scheduledEffect } = effect;
 
-    // 這裡需要實作延遲效果的排程系統
-    console.log(`⏰ 排程效果將在 ${delay} 天後執行`);
+    const entry = this.effectScheduler.schedule(scheduledEffect, delay, {
+      tenantName: context.tenant.name,
+      skillId: context.skill.id,
+      skillName: context.skill.name,
+    });
+    console.log(
+      `⏰ 排程效果將在 ${delay} 天後執行（第${entry.executeDay}天）`
+    );
 
     return {
       type: "effect_scheduled",
       delay,
-      executeDay: context.gameState.day + delay,
+      executeDay: entry.executeDay,
     };
   }
 }
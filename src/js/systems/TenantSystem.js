@@ -163,36 +163,57 @@ export class TenantSystem {
 
   /**
    * 嘗試修復遊戲狀態問題
+   * @param {ValidationResult} validationResult - 遊戲狀態驗證結果
+   * @param {Object} targetState - 待修復的狀態（預設為當前遊戲狀態，讀檔時可傳入候選狀態）
+   * @returns {number} 修復的問題數量
    */
-  attemptGameStateRepair(validationResult) {
+  attemptGameStateRepair(validationResult, targetState = this.gameState) {
     console.log("🔧 嘗試修復遊戲狀態問題...");
 
+    const gameState = targetState;
     let repairCount = 0;
 
     validationResult.errors.forEach((error) => {
       switch (error.code) {
+        case "MISSING_REQUIRED_FIELD":
+          if (error.field === "day" && gameState.day === undefined) {
+            gameState.day = 1;
+            repairCount++;
+            console.log("🔧 修復：補上遊戲天數");
+          } else if (
+            error.field === "resources" &&
+            gameState.resources === undefined
+          ) {
+            gameState.resources = this.getDefaultResources();
+            repairCount++;
+            console.log("🔧 修復：補上資源物件");
+          } else if (error.field === "rooms" && gameState.rooms === undefined) {
+            gameState.rooms = this.getDefaultRooms();
+            repairCount++;
+            console.log("🔧 修復：補上房間陣列");
+          }
+          break;
+
         case "INVALID_DAY":
-          if (this.gameState.day < 1) {
-            this.gameState.day = 1;
+          if (typeof gameState.day !== "number" || gameState.day < 1) {
+            const parsedDay = parseInt(gameState.day, 10);
+            gameState.day = parsedDay >= 1 ? parsedDay : 1;
             repairCount++;
-            console.log("🔧 修復：重設遊戲天數為 1");
+            console.log(`🔧 修復：重設遊戲天數為 ${gameState.day}`);
           }
           break;
 
         case "INVALID_RESOURCES_TYPE":
-          if (
-            !this.gameState.resources ||
-            typeof this.gameState.resources !== "object"
-          ) {
-            this.gameState.resources = this.getDefaultResources();
+          if (!gameState.resources || typeof gameState.resources !== "object") {
+            gameState.resources = this.getDefaultResources();
             repairCount++;
             console.log("🔧 修復：重建資源物件");
           }
           break;
 
         case "INVALID_ROOMS_TYPE":
-          if (!Array.isArray(this.gameState.rooms)) {
-            this.gameState.rooms = this.getDefaultRooms();
+          if (!Array.isArray(gameState.rooms)) {
+            gameState.rooms = this.getDefaultRooms();
             repairCount++;
             console.log("🔧 修復：重建房間陣列");
           }
@@ -201,8 +222,8 @@ export class TenantSystem {
         case "NEGATIVE_RESOURCE_VALUE":
           if (error.field && error.field.startsWith("resources.")) {
             const resourceType = error.field.split(".")[1];
-            if (this.gameState.resources[resourceType] < 0) {
-              this.gameState.resources[resourceType] = 0;
+            if (gameState.resources[resourceType] < 0) {
+              gameState.resources[resourceType] = 0;
               repairCount++;
               console.log(`🔧 修復：重設 ${resourceType} 為 0`);
             }
@@ -212,6 +233,7 @@ export class TenantSystem {
     });
 
     console.log(`🔧 完成狀態修復，共修復 ${repairCount} 個問題`);
+    return repairCount;
   }
 
   /**
@@ -365,7 +387,7 @@ export class TenantSystem {
       ? this.gameHelpers.getUIConfig("display.maxApplicantsPerVisit", 3)
       : 3;
 
-    const baseCount = Math.floor(Math.random() * 3) + 1;
+    const baseCount = Math.floor(this.random() * 3) + 1;
     return Math.min(baseCount, maxApplicants);
   }
 
@@ -435,7 +457,7 @@ export class TenantSystem {
     });
 
     const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
-    const random = Math.random() * totalWeight;
+    const random = this.random() * totalWeight;
 
     let currentWeight = 0;
     for (let i = 0; i < availableTypes.length; i++) {
@@ -446,7 +468,7 @@ export class TenantSystem {
     }
 
     // 後備選擇
-    return availableTypes[Math.floor(Math.random() * availableTypes.length)];
+    return availableTypes[Math.floor(this.random() * availableTypes.length)];
   }
 
   /**
@@ -506,7 +528,7 @@ export class TenantSystem {
       : { baseInfectionRisk: 0.2 };
 
     const finalRisk = baseRisk || probabilities.baseInfectionRisk;
-    return Math.random() < finalRisk;
+    return this.random() < finalRisk;
   }
 
   /**
@@ -515,7 +537,7 @@ export class TenantSystem {
   calculateRent(baseRent) {
     // 基於遊戲天數的小幅波動
     const dayFactor = 1 + this.gameState.day * 0.01; // 每天1%通膨
-    const randomFactor = 0.9 + Math.random() * 0.2; // ±10%隨機
+    const randomFactor = 0.9 + this.random() * 0.2; // ±10%隨機
 
     return Math.floor(baseRent * dayFactor * randomFactor);
   }
@@ -538,7 +560,7 @@ export class TenantSystem {
     const resources = {};
     Object.keys(template).forEach((key) => {
       const base = template[key];
-      const variation = 0.8 + Math.random() * 0.4; // 80% - 120%
+      const variation = 0.8 + this.random() * 0.4; // 80% - 120%
       resources[key] = Math.max(0, Math.floor(base * variation));
     });
 
@@ -568,7 +590,7 @@ export class TenantSystem {
       "小夫",
       "阿義",
     ];
-    return names[Math.floor(Math.random() * names.length)];
+    return names[Math.floor(this.random() * names.length)];
   }
 
   /**
@@ -588,14 +610,14 @@ export class TenantSystem {
         "皮膚蒼白，手有輕微顫抖",
         "有股奇怪的味道，像是腐肉",
       ];
-      return infectedApps[Math.floor(Math.random() * infectedApps.length)];
+      return infectedApps[Math.floor(this.random() * infectedApps.length)];
     } else {
       const normalApps = [
         "看起來精神狀態不錯",
         "衣著整潔，談吐得體",
         "眼神清澈，反應靈敏",
       ];
-      return normalApps[Math.floor(Math.random() * normalApps.length)];
+      return normalApps[Math.floor(this.random() * normalApps.length)];
     }
   }
 
@@ -940,7 +962,7 @@ export class TenantSystem {
 
       case "dissatisfied":
         // 不滿離開可能要求賠償
-        if (Math.random() < 0.3) {
+        if (this.random() < 0.3) {
           const compensation = Math.floor(
             tenant.rent * economicParams.evictionCompensationRate
           );
@@ -957,7 +979,7 @@ export class TenantSystem {
 
       case "evicted":
         // 強制驅逐可能產生聲譽影響
-        if (Math.random() < 0.2) {
+        if (this.random() < 0.2) {
           this.addLog("強制驅逐影響了房東聲譽", "danger");
           // 可以在這裡添加聲譽系統的邏輯
         }
@@ -1038,9 +1060,10 @@ export class TenantSystem {
       }
     });
 
-    // 處理租客互動
-    if (occupiedRooms.length >= 2) {
-      this.processTenantInteractions(occupiedRooms);
+    // 處理租客互動（排除本輪更新中已離開的租客）
+    const remainingRooms = occupiedRooms.filter((room) => room.tenant);
+    if (remainingRooms.length >= 2) {
+      this.processTenantInteractions(remainingRooms);
     }
 
     // 更新驗證統計
@@ -1209,7 +1232,7 @@ export class TenantSystem {
    */
   updateTenantHealth(tenant, tenantState) {
     // 感染惡化檢查
-    if (tenant.infected && Math.random() < 0.1) {
+    if (tenant.infected && this.random() < 0.1) {
       this.addLog(`${tenant.name} 的感染狀況惡化`, "danger");
       tenantState.satisfaction -= 10;
     }
@@ -1218,7 +1241,7 @@ export class TenantSystem {
     if (
       !tenant.infected &&
       tenantState.satisfaction > 70 &&
-      Math.random() < 0.05
+      this.random() < 0.05
     ) {
       tenantState.satisfaction += 2;
     }
@@ -1229,7 +1252,7 @@ export class TenantSystem {
    */
   checkTenantDepartureConditions(tenant, tenantState) {
     // 滿意度過低
-    if (tenantState.satisfaction < 20 && Math.random() < 0.3) {
+    if (tenantState.satisfaction < 20 && this.random() < 0.3) {
       this.evictTenant(tenant.name, "dissatisfied");
       return;
     }
@@ -1239,7 +1262,7 @@ export class TenantSystem {
       tenant.personalResources &&
       tenant.personalResources.food <= 0 &&
       tenant.personalResources.cash <= 0 &&
-      Math.random() < 0.4
+      this.random() < 0.4
     ) {
       this.evictTenant(tenant.name, "resource_shortage");
       return;
@@ -1249,7 +1272,7 @@ export class TenantSystem {
     if (
       tenant.infected &&
       tenantState.satisfaction < 10 &&
-      Math.random() < 0.2
+      this.random() < 0.2
     ) {
       this.evictTenant(tenant.name, "infected");
       return;
@@ -1277,13 +1300,13 @@ export class TenantSystem {
    */
   processTenantInteractions(occupiedRooms) {
     // 互助機制
-    if (Math.random() < 0.3) {
+    if (this.random() < 0.3) {
       this.processMutualAid(occupiedRooms);
     }
 
     // 衝突機制（簡化版，預留給EventSystem）
     const conflictChance = this.calculateConflictChance(occupiedRooms);
-    if (Math.random() < conflictChance) {
+    if (this.random() < conflictChance) {
       this.emitEvent("tenantConflict", {
         tenants: occupiedRooms.map((r) => r.tenant),
         day: this.gameState.day,
@@ -1410,11 +1433,19 @@ export class TenantSystem {
    * 工具函數
    */
 
+  /**
+   * 取得隨機數（來自共用的種子隨機數服務）
+   */
+  random() {
+    return this.gameHelpers ? this.gameHelpers.random() : Math.random();
+  }
+
+  /**
+   * 生成租客 ID（天數 + 計數器，確保相同操作序列產生相同 ID 以便回放）
+   */
   generateUniqueId() {
-    const timestamp = Date.now();
-    const random = Math.floor(Math.random() * 10000);
     const counter = ++this.idCounter;
-    return `tenant_${timestamp}_${random}_${counter}`;
+    return `tenant_${this.gameState.day}_${counter}`;
   }
 
   getCurrentTenantCount() {
@@ -1457,8 +1488,10 @@ export class TenantSystem {
       infected: "感染離開",
       resource_shortage: "資源不足",
       health_crisis: "健康危機",
+      medical_crisis: "醫療危機",
+      skill_effect: "技能效果",
     };
-    return reasons[reason] || reason;
+    return reasons[reason] || `其他原因（${reason}）`;
   }
 
   /**
@@ -1553,12 +1586,12 @@ export class TenantSystem {
   }
 
   generateFallbackApplicants(count) {
-    const finalCount = count || Math.floor(Math.random() * 3) + 1;
+    const finalCount = count || Math.floor(this.random() * 3) + 1;
     const configs = this.getDefaultTenantConfigs();
     const applicants = [];
 
     for (let i = 0; i < finalCount; i++) {
-      const config = configs[Math.floor(Math.random() * configs.length)];
+      const config = configs[Math.floor(this.random() * configs.length)];
       applicants.push(this.createFallbackApplicant(config));
     }
 
@@ -1593,13 +1626,71 @@ export class TenantSystem {
       rent: config.rent,
       skill: config.skill,
       description: config.description,
-      infected: Math.random() < (config.infectionRisk || 0.2),
+      infected: this.random() < (config.infectionRisk || 0.2),
       personalResources: { ...config.personalResources },
-      appearance: this.generateAppearance(Math.random() < 0.2),
+      appearance: this.generateAppearance(this.random() < 0.2),
       createdAt: this.gameState.day,
     };
   }
 
+  /**
+   * 狀態序列化介面（供存檔系統使用）
+   */
+
+  exportState() {
+    return {
+      tenantStates: Array.from(this.tenantStates.entries()),
+      applicantPool: [...this.applicantPool],
+      lastApplicantGeneration: this.lastApplicantGeneration,
+      idCounter: this.idCounter,
+    };
+  }
+
+  restoreState(state) {
+    if (!state || !Array.isArray(state.tenantStates)) {
+      console.warn("⚠️ 存檔缺少租客狀態記錄，將依房間資料重建");
+    }
+
+    this.tenantStates = new Map(
+      Array.isArray(state?.tenantStates) ? state.tenantStates : []
+    );
+    this.applicantPool = Array.isArray(state?.applicantPool)
+      ? state.applicantPool
+      : [];
+    this.lastApplicantGeneration = state?.lastApplicantGeneration || 0;
+    this.idCounter = state?.idCounter || 0;
+
+    // 計數器不得小於既有 ID 的序號，避免產生重複 ID
+    [
+      ...this.gameState.rooms.map((room) => room.tenant),
+      ...this.applicantPool,
+    ].forEach((person) => {
+      const match = /^tenant_\d+_(\d+)$/.exec(person?.id || "");
+      if (match) {
+        this.idCounter = Math.max(this.idCounter, Number(match[1]));
+      }
+    });
+
+    // 補建缺失的狀態記錄，保留存檔中的滿意度
+    this.gameState.rooms.forEach((room) => {
+      if (room.tenant && !this.tenantStates.has(room.tenant.name)) {
+        const savedSatisfaction =
+          this.gameState.tenantSatisfaction?.[room.tenant.name];
+        this.initializeTenantState(room.tenant);
+
+        if (typeof savedSatisfaction === "number") {
+          this.tenantStates.get(room.tenant.name).satisfaction =
+            savedSatisfaction;
+          this.gameState.tenantSatisfaction[room.tenant.name] =
+            savedSatisfaction;
+        }
+      }
+    });
+
+    console.log(`📂 已復原 ${this.tenantStates.size} 筆租客狀態記錄`);
+    return true;
+  }
+
   /**
    * 事件系統介面
    */
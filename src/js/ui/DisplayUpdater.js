@@ -76,7 +76,8 @@ export class DisplayUpdater extends EventTarget {
     const elementIds = [
       'day', 'time', 'cash', 'buildingDefenseText', 'landlordHungerText',
       'scavengeCount', 'food', 'materials', 'medical', 'fuel',
-      'tenantList', 'systemStatus', 'dataSystem', 'ruleEngine', 'gameBridge'
+      'tenantList', 'ongoingEvents', 'scheduledEffects', 'systemStatus', 'dataSystem',
+      'ruleEngine', 'gameBridge', 'randomSeed'
     ];
 
     elementIds.forEach(id => {
@@ -138,6 +139,8 @@ export class DisplayUpdater extends EventTarget {
       this.updateResourceDisplay();
       this.updateRoomDisplay();
       this.updateTenantList();
+      this.updateOngoingEvents();
+      this.updateScheduledEffects();
       this.updateSystemStatusDisplay();
 
       // 發送更新完成事件
@@ -279,8 +282,8 @@ export class DisplayUpdater extends EventTarget {
       const satisfactionIcon = this.getSatisfactionIcon(satisfaction);
 
       infoElement.innerHTML = `
-        ${room.tenant.name}<br>
-        <small>${room.tenant.typeName || room.tenant.type}</small><br>
+        ${this.escapeHTML(room.tenant.name)}<br>
+        <small>${this.escapeHTML(room.tenant.typeName || room.tenant.type)}</small><br>
         <small>滿意度: ${satisfaction} ${satisfactionIcon}</small>
       `;
     } else {
@@ -339,6 +342,59 @@ export class DisplayUpdater extends EventTarget {
     tenantListElement.innerHTML = tenantHtml;
   }
 
+  /**
+   * 更新排程效果列表（技能延遲效果）
+   */
+  updateScheduledEffects() {
+    const listElement = this.elements.get('scheduledEffects');
+    if (!listElement || !this.game?.skillSystem?.getStatus().initialized) return;
+
+    const scheduled = this.game.skillSystem.getScheduledEffects();
+
+    if (scheduled.length === 0) {
+      listElement.innerHTML = '<div class="tenant-item">暫無排程</div>';
+      return;
+    }
+
+    const currentDay = this.game.gameState.day;
+    listElement.innerHTML = scheduled.map(entry => `
+      <div class="tenant-item">
+        ⏰ ${this.escapeHTML(entry.tenantName)}：${this.escapeHTML(entry.skillName)}<br>
+        <small>第 ${entry.executeDay} 天生效（剩 ${entry.executeDay - currentDay} 天）</small>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * 更新進行中的持續型危機（倒數天數、進度與可執行的行動）
+   */
+  updateOngoingEvents() {
+    const listElement = this.elements.get('ongoingEvents');
+    if (!listElement || !this.game?.eventSystem?.getStatus().initialized) return;
+
+    const ongoing = this.game.eventSystem.getOngoingEvents();
+
+    if (ongoing.length === 0) {
+      listElement.innerHTML = '<div class="tenant-item">暫無危機</div>';
+      return;
+    }
+
+    listElement.innerHTML = ongoing.map(({ event, previews, progress, daysLeft }) => `
+      <div class="tenant-item">
+        ⏳ ${event.title}<br>
+        <small style="color:#ff9966">剩 ${daysLeft} 天｜進度 ${progress}</small><br>
+        ${previews.map(({ choice, available, unmetConditions }) => `
+          <button class="btn" style="margin-top:4px"
+                  ${available
+                    ? `onclick="window.gameApp.handleEventChoice('${event.id}', '${choice.id}')"`
+                    : `disabled title="${unmetConditions.join('；')}"`}>
+            ${choice.icon || ''} ${choice.text}
+          </button>
+        `).join('')}
+      </div>
+    `).join('');
+  }
+
   /**
    * 生成租客項目 HTML
    */
@@ -369,8 +425,8 @@ export class DisplayUpdater extends EventTarget {
     }
 
     return `
-      <div class="tenant-item ${tenant.infected ? 'infected' : ''} ${tenant.type || tenant.typeId}">
-        ${tenant.name} (${tenant.typeName || tenant.type})<br>
+      <div class="tenant-item ${tenant.infected ? 'infected' : ''} ${this.escapeHTML(tenant.type || tenant.typeId)}">
+        ${this.escapeHTML(tenant.name)} (${this.escapeHTML(tenant.typeName || tenant.type)})<br>
         <small>房租: ${tenant.rent}/天</small>
         ${resourceInfo}
         <small>滿意度: ${satisfaction}%</small>
@@ -472,6 +528,11 @@ export class DisplayUpdater extends EventTarget {
     this.updateElement('gameBridge', 
       this.game?.gameBridge ? '✅ 連接' : '❌ 未連接'
     );
+
+    // 本局隨機種子（可用於重現遊戲過程）
+    this.updateElement('randomSeed', 
+      this.game?.gameState?.randomSeed ?? '-'
+    );
   }
 
   /**
@@ -650,6 +711,7 @@ export class DisplayUpdater extends EventTarget {
           break;
         case 'tenants':
           this.updateTenantList();
+          this.updateScheduledEffects();
           break;
         case 'system-status':
           this.updateSystemStatusDisplay();
@@ -658,6 +720,18 @@ export class DisplayUpdater extends EventTarget {
     });
   }
 
+  /**
+   * 跳脫 HTML 特殊字元（租客姓名等可能來自匯入的存檔檔案）
+   */
+  escapeHTML(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
   /**
    * 節流函數
    */
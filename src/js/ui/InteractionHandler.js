@@ -91,6 +91,38 @@ export class InteractionHandler extends EventTarget {
       this.routeToGame("handleNextDay");
     });
 
+    this.buttonEventMap.set("showSavesBtn", () => {
+      this.routeToGame("handleShowSaves");
+    });
+
+    this.buttonEventMap.set("showDebugBtn", () => {
+      this.routeToGame("handleShowDiagnostics");
+    });
+
+    this.buttonEventMap.set("showModsBtn", () => {
+      this.routeToGame("handleShowMods");
+    });
+
+    this.buttonEventMap.set("newSaveBtn", () => {
+      this.routeToGame("saveGame");
+    });
+
+    this.buttonEventMap.set("exportRunBtn", () => {
+      this.routeToGame("exportGame");
+    });
+
+    this.buttonEventMap.set("importRunBtn", () => {
+      document.getElementById("importFileInput")?.click();
+    });
+
+    this.buttonEventMap.set("exportReplayBtn", () => {
+      this.routeToGame("exportReplay");
+    });
+
+    this.buttonEventMap.set("importReplayBtn", () => {
+      document.getElementById("importReplayInput")?.click();
+    });
+
     // 模態框關閉按鈕
     this.buttonEventMap.set("closeVisitorModal", () => {
       this.routeToModal("closeModal");
@@ -100,6 +132,18 @@ export class InteractionHandler extends EventTarget {
       this.routeToModal("closeModal");
     });
 
+    this.buttonEventMap.set("closeSaveModal", () => {
+      this.routeToModal("closeModal");
+    });
+
+    this.buttonEventMap.set("closeDebugModal", () => {
+      this.routeToModal("closeModal");
+    });
+
+    this.buttonEventMap.set("closeModsModal", () => {
+      this.routeToModal("closeModal");
+    });
+
     console.log(`📍 已建立 ${this.buttonEventMap.size} 個按鈕事件路由`);
   }
 
@@ -132,6 +176,12 @@ export class InteractionHandler extends EventTarget {
       requiresNoModifiers: true,
     });
 
+    this.keyboardShortcuts.set("d", {
+      description: "條件診斷",
+      handler: () => this.routeToGame("handleShowDiagnostics"),
+      requiresNoModifiers: true,
+    });
+
     this.keyboardShortcuts.set("Escape", {
       description: "關閉模態框",
       handler: () => this.routeToModal("closeModal"),
@@ -177,6 +227,25 @@ export class InteractionHandler extends EventTarget {
     document.addEventListener("contextmenu", contextMenuHandler);
     this.eventListeners.set("contextmenu", contextMenuHandler);
 
+    // 檔案選擇處理（匯入遊戲進度 / 回放檔）
+    const fileInputRoutes = {
+      importFileInput: "importGame",
+      importReplayInput: "importReplay",
+    };
+    const changeHandler = (event) => {
+      const method = fileInputRoutes[event.target.id];
+      if (method) {
+        const file = event.target.files?.[0];
+        event.target.value = ""; // 允許重複選擇同一檔案
+        if (file) {
+          this.routeToGame(method, file);
+        }
+      }
+    };
+
+    document.addEventListener("change", changeHandler);
+    this.eventListeners.set("change", changeHandler);
+
     console.log("🎧 全域事件監聽器已註冊");
   }
 
@@ -277,6 +346,16 @@ export class InteractionHandler extends EventTarget {
       return true;
     }
 
+    // 存檔槽位按鈕
+    if (target.closest(".save-slot") && target.onclick) {
+      return true;
+    }
+
+    // 模組包切換按鈕
+    if (target.closest(".mod-pack") && target.onclick) {
+      return true;
+    }
+
     return false;
   }
 
@@ -316,6 +395,9 @@ export class InteractionHandler extends EventTarget {
 
     if (!shortcut) return;
 
+    // 開發模式的資料參照錯誤未修正前不接受操作
+    if (this.modalManager?.isModalOpen("dataErrorModal")) return;
+
     // 檢查修飾鍵要求
     if (
       shortcut.requiresNoModifiers &&
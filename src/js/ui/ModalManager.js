@@ -3,7 +3,7 @@
  * 職責：模態框狀態管理、內容動態生成、事件處理、多模態框協調
  */
 
-import { UI_CONSTANTS } from "../utils/constants.js";
+import { UI_CONSTANTS, SAVE_SYSTEM } from "../utils/constants.js";
 
 export class ModalManager extends EventTarget {
   constructor(gameInstance) {
@@ -26,6 +26,8 @@ export class ModalManager extends EventTarget {
       maxHistory: 10,
       allowMultiple: false,
       escapeToClose: true,
+      // 必須做出選擇才能關閉的模態框（不接受背景點擊、ESC 與一般關閉）
+      persistentModals: ["eventModal", "dataErrorModal"],
     };
 
     // 初始化狀態
@@ -96,6 +98,35 @@ export class ModalManager extends EventTarget {
       return this.generateScavengeModalContent(data.availableTenants || []);
     });
 
+    // 存檔模態框內容生成器
+    this.contentGenerators.set("saveModal", (data) => {
+      return this.generateSaveModalContent(data.slots || []);
+    });
+
+    // 條件診斷模態框內容生成器
+    this.contentGenerators.set("debugModal", (data) => {
+      return this.generateDebugModalContent(data.diagnostics, data.registry);
+    });
+
+    // 模組包模態框內容生成器
+    this.contentGenerators.set("modsModal", (data) => {
+      return this.generateModsModalContent(data.packs || []);
+    });
+
+    // 資料參照錯誤畫面內容生成器
+    this.contentGenerators.set("dataErrorModal", (data) => {
+      return this.generateDataErrorModalContent(data.errors || []);
+    });
+
+    // 事件模態框內容生成器
+    this.contentGenerators.set("eventModal", (data) => {
+      return this.generateEventModalContent(
+        data.event,
+        data.choices || [],
+        data.previews
+      );
+    });
+
     console.log(`🏭 註冊了 ${this.contentGenerators.size} 個內容生成器`);
   }
 
@@ -105,7 +136,10 @@ export class ModalManager extends EventTarget {
   setupModalEventListeners() {
     // 點擊背景關閉模態框
     document.addEventListener("click", (event) => {
-      if (event.target.classList.contains("modal")) {
+      if (
+        event.target.classList.contains("modal") &&
+        !this.isPersistentModal(event.target.id)
+      ) {
         this.closeModal(event.target.id);
       }
     });
@@ -113,7 +147,11 @@ export class ModalManager extends EventTarget {
     // ESC 鍵關閉模態框
     if (this.config.escapeToClose) {
       document.addEventListener("keydown", (event) => {
-        if (event.key === "Escape" && this.activeModals.size > 0) {
+        if (
+          event.key === "Escape" &&
+          this.activeModals.size > 0 &&
+          !this.getActiveModals().some((id) => this.isPersistentModal(id))
+        ) {
           this.closeAllModals();
         }
       });
@@ -182,6 +220,86 @@ export class ModalManager extends EventTarget {
     return true;
   }
 
+  /**
+   * 顯示存檔管理模態框
+   */
+  showSaveModal() {
+    console.log("💾 顯示存檔管理模態框...");
+
+    if (!this.game.saveManager?.isAvailable()) {
+      alert("存檔系統暫時不可用");
+      return false;
+    }
+
+    const slots = this.game.saveManager.listSlots();
+
+    this.openModal("saveModal", { slots });
+    return true;
+  }
+
+  /**
+   * 顯示條件診斷面板
+   */
+  showDebugModal() {
+    console.log("🔍 顯示條件診斷面板...");
+
+    const registry = this.game.gameBridge?.getService("conditions");
+    if (!registry) {
+      alert("條件註冊表尚未載入");
+      return false;
+    }
+
+    const diagnostics = this.game.explainConditions();
+
+    this.openModal("debugModal", { diagnostics, registry });
+    return true;
+  }
+
+  /**
+   * 顯示模組包管理畫面
+   */
+  showModsModal() {
+    console.log("🧩 顯示模組包管理畫面...");
+
+    const modManager = this.game.gameBridge?.getService("mods");
+    if (!modManager?.loaded) {
+      alert("模組包系統暫時不可用");
+      return false;
+    }
+
+    this.openModal("modsModal", { packs: modManager.getPackSummaries() });
+    return true;
+  }
+
+  /**
+   * 顯示開發模式的資料參照錯誤畫面（無法關閉，資料修正後由熱重載關閉）
+   * @param {Array<Object>} errors - 跨檔案參照檢查的錯誤（message、field）
+   */
+  showDataErrorModal(errors) {
+    console.log(`❌ 顯示資料參照錯誤畫面（${errors.length} 個錯誤）`);
+
+    // 錯誤畫面優先於其他必須處理的模態框
+    this.closeAllModals();
+    return this.openModal("dataErrorModal", { errors });
+  }
+
+  /**
+   * 關閉資料參照錯誤畫面
+   */
+  hideDataErrorModal() {
+    return this.closeModal("dataErrorModal");
+  }
+
+  /**
+   * 顯示事件選擇模態框
+   * @param {Array} [previews] - EventSystem.getChoicePreview 結果，提供時顯示成功率、預期變化與停用原因
+   */
+  showEventModal(event, choices, previews = null) {
+    console.log(`📅 顯示事件模態框: ${event.title}`);
+
+    return this.openModal("eventModal", { event, choices, previews });
+  }
+
   /**
    * 收集租客技能資訊
    */
@@ -216,6 +334,15 @@ export class ModalManager extends EventTarget {
         return false;
       }
 
+      // 必須處理的模態框開啟時，不允許切換到其他模態框
+      const blockingModal = this.getActiveModals().find(
+        (id) => id !== modalId && this.isPersistentModal(id)
+      );
+      if (blockingModal) {
+        console.warn(`⚠️ 請先完成 ${blockingModal} 的選擇`);
+        return false;
+      }
+
       // 關閉其他模態框（如果不允許多重開啟）
       if (!this.config.allowMultiple && this.activeModals.size > 0) {
         this.closeAllModals();
@@ -458,8 +585,258 @@ export class ModalManager extends EventTarget {
     };
   }
 
+  /**
+   * 生成存檔模態框內容
+   */
+  generateSaveModalContent(slots) {
+    if (slots.length === 0) {
+      return {
+        listContent: "<p>目前沒有任何存檔</p>",
+      };
+    }
+
+    const listContent = slots
+      .map((slot) => {
+        const savedAt = new Date(slot.savedAt).toLocaleString();
+
+        return `
+        <div class="applicant save-slot">
+          <strong>${slot.isAutosave ? "🔄 " : "💾 "}${this.escapeHTML(slot.label)}</strong><br>
+          <small>第${slot.day}天 | 租客 ${slot.tenantCount} 位 | 現金 $${
+          slot.cash
+        }</small><br>
+          <small style="color: #aaa;">${savedAt}</small><br>
+          ${
+            (slot.saveVersion || 0) < SAVE_SYSTEM.SAVE_VERSION
+              ? `<small style="color: #ffcc66;">舊版存檔 v${
+                  slot.saveVersion || 0
+                }，讀取時將自動升級</small><br>`
+              : ""
+          }
+          <button class="btn success" onclick="window.gameApp.loadGame('${
+            slot.slotId
+          }')">
+            讀取
+          </button>
+          ${
+            slot.isAutosave
+              ? ""
+              : `<button class="btn" onclick="window.gameApp.saveGame('${slot.slotId}')">
+            覆蓋
+          </button>`
+          }
+          <button class="btn danger" onclick="window.gameApp.deleteSave('${
+            slot.slotId
+          }')">
+            刪除
+          </button>
+        </div>
+      `;
+      })
+      .join("");
+
+    return { listContent };
+  }
+
+  /**
+   * 生成條件診斷內容（✅ 成立、❌ 不成立、🎲 由隨機數決定）
+   */
+  generateDebugModalContent(diagnostics, registry) {
+    const sections = [
+      { title: "規則", traces: diagnostics.rules },
+      { title: "事件", traces: diagnostics.events },
+      { title: "技能", traces: diagnostics.skills },
+    ];
+
+    const listContent = sections
+      .map(({ title, traces }) => {
+        const body =
+          traces.length === 0
+            ? "<p><small>沒有資料</small></p>"
+            : traces
+                .map(
+                  (trace) => `
+        <pre style="white-space: pre-wrap; font-size: 11px; margin: 4px 0;">${this.escapeHTML(
+          registry.formatExplanation(trace).join("\n")
+        )}</pre>`
+                )
+                .join("");
+
+        return `
+      <div class="applicant">
+        <strong>${title}（${traces.length}）</strong>
+        ${body}
+      </div>
+    `;
+      })
+      .join("");
+
+    return {
+      listContent,
+      additionalUpdates: [
+        { selector: "#debugDay", content: `第${diagnostics.day}天` },
+      ],
+    };
+  }
+
+  /**
+   * 生成資料參照錯誤清單（訊息與 JSON 路徑）
+   */
+  generateDataErrorModalContent(errors) {
+    const errorList = errors
+      .map(
+        (error) => `
+        <div class="applicant">
+          <small style="color: #ff6666;">${this.escapeHTML(error.message)}</small><br>
+          <small style="color: #aaa;">${this.escapeHTML(error.field || "")}</small>
+        </div>
+      `
+      )
+      .join("");
+
+    return {
+      listContent: `
+        <p>修正資料檔後，熱重載會重新檢查並關閉此畫面。</p>
+        ${errorList}
+      `,
+    };
+  }
+
+  /**
+   * 生成模組包列表（依套用順序，後面的模組包覆寫前面的）
+   */
+  generateModsModalContent(packs) {
+    if (packs.length === 0) {
+      return {
+        listContent: "<p>沒有可用的模組包（data/mods/index.json）</p>",
+      };
+    }
+
+    const reloadHint = packs.some((pack) => pack.pendingReload)
+      ? `
+        <div class="applicant">
+          <small style="color: #ffcc66;">模組包設定已變更，重新載入後生效</small><br>
+          <button class="btn" onclick="window.gameApp.reloadWithMods()">重新載入</button>
+        </div>
+      `
+      : "";
+
+    const packList = packs
+      .map((pack) => {
+        const messages = [
+          ...pack.errors.map((text) => ["#ff6666", `❌ ${text}`]),
+          ...pack.conflicts.map((text) => ["#ffcc66", `⚠️ ${text}`]),
+        ]
+          .map(
+            ([color, text]) =>
+              `<small style="color: ${color};">${this.escapeHTML(
+                text
+              )}</small><br>`
+          )
+          .join("");
+
+        // 未通過驗證的模組包不能啟用
+        const toggleButton = !pack.valid
+          ? ""
+          : `<button class="btn ${
+              pack.enabled ? "danger" : "success"
+            }" onclick="window.gameApp.toggleModPack('${pack.id}', ${!pack.enabled})">
+            ${pack.enabled ? "停用" : "啟用"}
+          </button>`;
+
+        return `
+        <div class="applicant mod-pack">
+          <strong>${pack.order + 1}. 🧩 ${this.escapeHTML(pack.name)}</strong>
+          ${pack.version ? `<small>v${this.escapeHTML(pack.version)}</small>` : ""}
+          ${pack.enabled ? '<small style="color: #66ff66;">（啟用）</small>' : ""}<br>
+          <small>${this.escapeHTML(pack.description)}</small><br>
+          <small style="color: #aaa;">資料：${
+            pack.dataTypes.join(", ") || "無"
+          }${
+          pack.appliedTypes.length > 0
+            ? `｜已套用：${pack.appliedTypes.join(", ")}`
+            : ""
+        }</small><br>
+          ${messages}
+          ${toggleButton}
+        </div>
+      `;
+      })
+      .join("");
+
+    return { listContent: reloadHint + packList };
+  }
+
+  /**
+   * @private
+   */
+  escapeHTML(text) {
+    return text
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;");
+  }
+
+  /**
+   * 生成事件模態框內容
+   * 無預覽資料時只列出可選選項
+   */
+  generateEventModalContent(event, choices, previews = null) {
+    const entries =
+      previews ||
+      choices.map((choice) => ({
+        choice,
+        available: true,
+        unmetConditions: [],
+      }));
+
+    const listContent = entries
+      .map((preview) => {
+        const { choice, available, unmetConditions } = preview;
+        const { successChance, expectedDeltaText } = preview;
+        const details = [
+          typeof successChance === "number"
+            ? `成功率 ${Math.round(successChance * 100)}%`
+            : "",
+          expectedDeltaText ? `預期：${expectedDeltaText}` : "",
+        ].filter(Boolean);
+
+        return `
+      <div style="margin: 8px 0;">
+        <button class="btn ${choice.icon ? "" : "success"}" ${
+          available
+            ? `onclick="window.gameApp.handleEventChoice('${event.id}', '${choice.id}')"`
+            : "disabled"
+        }>
+          ${choice.icon || ""} ${choice.text}
+        </button>
+        ${
+          details.length > 0
+            ? `<div style="font-size: 11px; color: #aaa;">${details.join("｜")}</div>`
+            : ""
+        }
+        ${
+          available
+            ? ""
+            : `<div style="font-size: 11px; color: #ff6666;">無法選擇：${unmetConditions.join("；")}</div>`
+        }
+      </div>
+    `;
+      })
+      .join("");
+
+    return {
+      listContent,
+      additionalUpdates: [
+        { selector: "#eventTitle", content: event.title },
+        { selector: "#eventDescription", content: event.description },
+      ],
+    };
+  }
+
   /**
    * 關閉指定模態框
+   * 未指定 ID 時關閉最近開啟的模態框，但不會關閉必須處理的模態框
    */
   closeModal(modalId = null) {
     try {
@@ -483,6 +860,9 @@ export class ModalManager extends EventTarget {
         // 關閉最近開啟的模態框
         if (this.activeModals.size > 0) {
           const lastModalId = Array.from(this.activeModals).pop();
+          if (this.isPersistentModal(lastModalId)) {
+            return false;
+          }
           return this.closeModal(lastModalId);
         }
       }
@@ -549,6 +929,13 @@ export class ModalManager extends EventTarget {
     return this.activeModals.size > 0;
   }
 
+  /**
+   * 檢查模態框是否必須做出選擇才能關閉
+   */
+  isPersistentModal(modalId) {
+    return this.config.persistentModals.includes(modalId);
+  }
+
   /**
    * 取得當前開啟的模態框
    */
@@ -220,6 +220,7 @@ export class UIManager extends EventTarget {
     window.showVisitorModal = () => this.showVisitorModal();
     window.showSkillModal = () => this.showSkillModal();
     window.showScavengeModal = () => this.showScavengeModal();
+    window.showSaveModal = () => this.showSaveModal();
 
     console.log("🌍 統一 UI 函數代理已設定");
   }
@@ -325,6 +326,73 @@ export class UIManager extends EventTarget {
     return this.modalManager.showScavengeModal();
   }
 
+  /**
+   * 顯示存檔管理模態框
+   */
+  showSaveModal() {
+    if (!this.modalManager) {
+      console.warn("⚠️ ModalManager 不可用");
+      return false;
+    }
+
+    return this.modalManager.showSaveModal();
+  }
+
+  /**
+   * 顯示條件診斷面板
+   */
+  showDebugModal() {
+    if (!this.modalManager) {
+      console.warn("⚠️ ModalManager 不可用");
+      return false;
+    }
+
+    return this.modalManager.showDebugModal();
+  }
+
+  /**
+   * 顯示開發模式的資料參照錯誤畫面
+   */
+  showDataErrorModal(errors) {
+    if (!this.modalManager) {
+      console.warn("⚠️ ModalManager 不可用");
+      return false;
+    }
+
+    return this.modalManager.showDataErrorModal(errors);
+  }
+
+  /**
+   * 關閉資料參照錯誤畫面
+   */
+  hideDataErrorModal() {
+    return this.modalManager?.hideDataErrorModal() || false;
+  }
+
+  /**
+   * 顯示模組包管理畫面
+   */
+  showModsModal() {
+    if (!this.modalManager) {
+      console.warn("⚠️ ModalManager 不可用");
+      return false;
+    }
+
+    return this.modalManager.showModsModal();
+  }
+
+  /**
+   * 顯示事件選擇模態框
+   */
+  showEventModal(event, choices, previews = null) {
+    if (!this.modalManager) {
+      console.warn("⚠️ ModalManager 不可用");
+      return false;
+    }
+
+    return this.modalManager.showEventModal(event, choices, previews);
+  }
+
   /**
    * 關閉模態框
    */
@@ -39,6 +39,57 @@ export const SYSTEM_LIMITS = Object.freeze({
   }
 });
 
+/**
+ * 存檔系統技術常數（localStorage 相關固定值）
+ */
+export const SAVE_SYSTEM = Object.freeze({
+  // 存檔格式版本（結構變動時遞增）
+  SAVE_VERSION: 2,
+
+  // localStorage 鍵值
+  STORAGE: {
+    KEY_PREFIX: 'apocalypseLandlord.save.',
+    INDEX_KEY: 'apocalypseLandlord.saveIndex'
+  },
+
+  // 存檔槽位
+  SLOTS: {
+    AUTOSAVE: 'autosave',
+    MAX_NAMED_SLOTS: 5,
+    MAX_NAME_LENGTH: 20
+  },
+
+  // 匯出/匯入檔案
+  EXPORT: {
+    FORMAT: 'apocalypse-landlord-run',
+    FILE_PREFIX: 'apocalypse-landlord',
+    MAX_FILE_SIZE: 5 * 1024 * 1024
+  },
+
+  // 操作記錄與回放
+  REPLAY: {
+    FORMAT: 'apocalypse-landlord-replay',
+    FORMAT_VERSION: 1,
+    FILE_PREFIX: 'apocalypse-landlord-replay',
+    MAX_ACTIONS: 20000
+  }
+});
+
+/**
+ * 模組包技術常數（資料目錄下的 mods/）
+ */
+export const MOD_SYSTEM = Object.freeze({
+  // 模組包清單（陣列順序即套用順序）
+  INDEX_FILE: 'mods/index.json',
+  DIRECTORY: 'mods',
+
+  // 啟用中的模組包（localStorage 鍵值）
+  STORAGE_KEY: 'apocalypseLandlord.enabledMods',
+
+  // 模組包可提供的資料類型
+  DATA_TYPES: ['tenants', 'skills', 'events', 'rules']
+});
+
 /**
  * UI技術常數（瀏覽器相關固定值）
  */
@@ -148,6 +199,20 @@ export const DATA_TYPES = Object.freeze({
     MEDICAL: 'medical',
     FUEL: 'fuel',
     CASH: 'cash'
+  },
+
+  // 規則引擎群組（rules.json 的 rules[].group）
+  RULE_GROUPS: {
+    DAY_START: 'day_start',
+    DAY_END: 'day_end',
+    RENT_COLLECTED: 'rent_collected'
+  },
+
+  // 轉發到 GameBridge 的業務事件（規則與事件的 trigger.on 可訂閱）
+  BRIDGED_EVENTS: {
+    TENANT_HIRED: 'tenantHired',
+    TENANT_EVICTED: 'tenantEvicted',
+    RESOURCE_WARNING: 'resourceWarning'
   }
 });
 
@@ -171,6 +236,17 @@ export const ERROR_CODES = Object.freeze({
   PRECONDITION_NOT_MET: 'PRECONDITION_NOT_MET',
   RESOURCE_INSUFFICIENT: 'RESOURCE_INSUFFICIENT',
 
+  // 存檔相關錯誤
+  STORAGE_UNAVAILABLE: 'STORAGE_UNAVAILABLE',
+  SAVE_NOT_FOUND: 'SAVE_NOT_FOUND',
+  SAVE_CORRUPTED: 'SAVE_CORRUPTED',
+  SAVE_VERSION_UNSUPPORTED: 'SAVE_VERSION_UNSUPPORTED',
+  SAVE_MIGRATION_FAILED: 'SAVE_MIGRATION_FAILED',
+
+  // 回放相關錯誤
+  REPLAY_INVALID: 'REPLAY_INVALID',
+  REPLAY_DIVERGED: 'REPLAY_DIVERGED',
+
   // 使用者介面錯誤
   UI_ELEMENT_NOT_FOUND: 'UI_ELEMENT_NOT_FOUND',
   EVENT_HANDLER_ERROR: 'EVENT_HANDLER_ERROR',
@@ -242,6 +318,13 @@ export const DEV_CONFIG = Object.freeze({
     ENABLE_METRICS: false,
     SAMPLE_RATE: 0.1,
     MAX_EXECUTION_TIME_WARNING: 100
+  },
+
+  // 資料檔熱重載（開發模式）
+  HOT_RELOAD: {
+    POLL_INTERVAL: 2000,
+    DATA_TYPES: ['rules', 'tenants', 'skills', 'events'],
+    MAX_LOGGED_CHANGES: 8
   }
 });
 
@@ -340,6 +423,7 @@ export class SystemUtils {
  */
 export default {
   SYSTEM_LIMITS,
+  SAVE_SYSTEM,
   UI_CONSTANTS,
   EVENT_TYPES,
   DATA_TYPES,
@@ -11,6 +11,9 @@ export class GameHelpers {
     this.config = rulesConfig;
     this.initialized = false;
 
+    // 共用的種子隨機數服務（由 main.js 注入）
+    this.randomService = null;
+
     // 快取常用的配置區塊
     this.gameDefaults = {};
     this.gameBalance = {};
@@ -435,11 +438,11 @@ export class GameHelpers {
       return this._fallbackFormat(value, "unknown");
     }
 
-    // 找到對應的等級（從高到低檢查）
-    const level =
-      levelConfig.levels
-        .sort((a, b) => b.threshold - a.threshold)
-        .find((l) => value >= l.threshold) || levelConfig.levels[0];
+    // 找到對應的等級（從高到低檢查；複製後排序，不改動配置資料）
+    const levels = [...levelConfig.levels].sort(
+      (a, b) => b.threshold - a.threshold
+    );
+    const level = levels.find((l) => value >= l.threshold) || levels[0];
 
     const color = this.getColorBySeverity(level.severity);
 
@@ -650,7 +653,7 @@ export class GameHelpers {
    * console.log(probabilities.randomEventChance); // 0.3 - 隨機事件觸發機率
    *
    * // 用於隨機判斷
-   * if (Math.random() < probabilities.medicalEmergencyChance) {
+   * if (gameHelpers.random() < probabilities.medicalEmergencyChance) {
    *   // 觸發醫療緊急事件
    * }
    *
@@ -730,6 +733,10 @@ export class GameHelpers {
         resourceScarcityBonus: 0.1,
         elderReduction: 0.12,
       },
+      repetition: mechanicsConfig.events?.repetition || {
+        recentDays: 7,
+        recentWeightFactor: 0.5,
+      },
     };
   }
 
@@ -889,7 +896,7 @@ export class GameHelpers {
       attempts++;
 
       if (attempts >= maxAttempts) {
-        name = `${this.generateName(type)}${Math.floor(Math.random() * 1000)}`;
+        name = `${this.generateName(type)}${this.randomInt(0, 999)}`;
         break;
       }
     } while (existingNames.includes(name));
@@ -945,7 +952,7 @@ export class GameHelpers {
    * // 在申請者篩選中使用
    * const applicant = {
    *   name: gameHelpers.generateName(),
-   *   infected: Math.random() < 0.2,
+   *   infected: gameHelpers.random() < 0.2,
    *   appearance: applicant.infected ?
    *     gameHelpers.getInfectedAppearance() :
    *     gameHelpers.getNormalAppearance()
@@ -1249,14 +1256,19 @@ export class GameHelpers {
 
   /**
    * 機率計算
+   * @param {number} base - 基礎機率
+   * @param {Array} modifiers - 機率修正（如 hasTenantType 加成）
+   * @param {Function} [isModifierActive] - (modifier) => 是否套用該修正，未提供時一律套用
    */
-  calculateProbability(base, modifiers = []) {
+  calculateProbability(base, modifiers = [], isModifierActive = null) {
     let probability = base;
 
     modifiers.forEach((modifier) => {
       if (modifier.type === "hasTenantType") {
         // 根據租客類型調整機率的邏輯
-        probability += modifier.bonus || 0;
+        if (!isModifierActive || isModifierActive(modifier)) {
+          probability += modifier.bonus || 0;
+        }
       }
     });
 
@@ -1296,6 +1308,39 @@ export class GameHelpers {
     return Math.max(min, Math.min(max, value));
   }
 
+  /**
+   * 注入隨機數服務 - 讓所有隨機結果來自同一個種子序列
+   *
+   * @param {RandomService} randomService - 已註冊至 GameBridge 的隨機數服務
+   *
+   * @example
+   * const randomService = gameBridge.getService('random');
+   * gameHelpers.setRandomService(randomService);
+   */
+  setRandomService(randomService) {
+    this.randomService = randomService;
+  }
+
+  /**
+   * 基礎隨機數 - 取得 [0, 1) 區間的隨機數
+   *
+   * @returns {number} 0（包含）到 1（不包含）之間的隨機數
+   *
+   * @description
+   * 所有業務系統的隨機判定都應透過此方法取得隨機數，
+   * 以確保相同種子能重現相同的遊戲過程。
+   * 尚未注入隨機數服務時（例如單獨使用 GameHelpers）退回 Math.random。
+   *
+   * @example
+   * // 30% 機率觸發
+   * if (gameHelpers.random() < 0.3) {
+   *   console.log('觸發事件');
+   * }
+   */
+  random() {
+    return this.randomService ? this.randomService.next() : Math.random();
+  }
+
   /**
    * 範圍內隨機整數 - 生成指定範圍內的隨機整數
    *
@@ -1317,7 +1362,7 @@ export class GameHelpers {
    * console.log(randomReward); // 10到50之間的整數
    */
   randomInt(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+    return Math.floor(this.random() * (max - min + 1)) + min;
   }
 
   /**
@@ -1346,7 +1391,7 @@ export class GameHelpers {
     if (!Array.isArray(array) || array.length === 0) {
       return "";
     }
-    return array[Math.floor(Math.random() * array.length)];
+    return array[Math.floor(this.random() * array.length)];
   }
 
   /**
@@ -1497,7 +1542,7 @@ export class GameHelpers {
    */
   _fallbackNameGeneration(type) {
     const fallbackNames = ["小明", "小華", "小李", "老王", "阿強"];
-    return fallbackNames[Math.floor(Math.random() * fallbackNames.length)];
+    return this._randomSelect(fallbackNames);
   }
 
   /**
@@ -1547,6 +1592,7 @@ export class GameHelpers {
       hasUIConfig: !!this.uiConfig && Object.keys(this.uiConfig).length > 0,
       hasContentConfig:
         !!this.contentConfig && Object.keys(this.contentConfig).length > 0,
+      seededRandom: !!this.randomService,
     };
   }
 
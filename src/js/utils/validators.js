@@ -14,6 +14,8 @@
  * - 錯誤追蹤：詳細的錯誤資訊和位置
  */
 
+import { MOD_SYSTEM, DATA_TYPES } from "./constants.js";
+
 /**
  * 驗證結果標準化類型
  */
@@ -159,6 +161,36 @@ export class BaseValidator {
 
 // ==================== 配置驗證器（Config Validators） ====================
 
+/**
+ * 配置驗證規則使用的欄位與列舉值
+ * 驗證方法與 toJsonSchema() 共用，產生的 JSON Schema 與執行時驗證一致
+ */
+const CONFIG_RULES = Object.freeze({
+  RESOURCE_KEYS: ["food", "materials", "medical", "fuel", "cash"],
+  TENANT_REQUIRED_FIELDS: [
+    "typeId",
+    "typeName",
+    "category",
+    "rent",
+    "skill",
+    "infectionRisk",
+    "description",
+  ],
+  TENANT_RARITIES: ["common", "uncommon", "rare", "epic", "legendary"],
+  TENANT_CATEGORIES: ["doctor", "worker", "farmer", "soldier", "elder"],
+  SKILL_REQUIRED_FIELDS: ["id", "name", "type", "description"],
+  SKILL_TYPES: ["active", "passive", "special"],
+  EVENT_REQUIRED_CATEGORIES: [
+    "random_events",
+    "conflict_events",
+    "special_events",
+  ],
+  EVENT_REQUIRED_FIELDS: ["id", "title", "description"],
+  RULE_RECOMMENDED_SECTIONS: ["gameDefaults", "gameBalance", "mechanics", "ui"],
+});
+
+const JSON_SCHEMA_DRAFT = "http://json-schema.org/draft-07/schema#";
+
 /**
  * 配置驗證器基類
  * 專門用於驗證 JSON 配置檔案的結構和內容
@@ -195,6 +227,66 @@ export class ConfigValidator extends BaseValidator {
 
     return result;
   }
+
+  /**
+   * 驗證事件觸發器 trigger.on（規則與事件共用）
+   * @param {Object} trigger - 觸發器設定
+   * @param {string} field - 欄位路徑（錯誤訊息用）
+   */
+  validateTriggerBinding(trigger, field, context, result) {
+    if (typeof trigger?.on !== "string" || trigger.on === "") {
+      result.addError(
+        `${context}: ${field}.on 必須是事件名稱`,
+        `${field}.on`,
+        "INVALID_TRIGGER_EVENT",
+        context
+      );
+    }
+
+    if (
+      trigger?.filter !== undefined &&
+      (!trigger.filter ||
+        typeof trigger.filter !== "object" ||
+        Array.isArray(trigger.filter))
+    ) {
+      result.addError(
+        `${context}: ${field}.filter 必須是「路徑 → 期望值」物件`,
+        `${field}.filter`,
+        "INVALID_TRIGGER_FILTER",
+        context
+      );
+    }
+  }
+
+  /**
+   * 對應 validateTriggerBinding 的 JSON Schema
+   */
+  getTriggerBindingSchema() {
+    return {
+      type: "object",
+      required: ["on"],
+      properties: {
+        on: {
+          type: "string",
+          minLength: 1,
+          description: "訂閱的 GameBridge 事件名稱",
+          examples: Object.values(DATA_TYPES.BRIDGED_EVENTS),
+        },
+        filter: {
+          type: "object",
+          description: "事件資料的「路徑 → 期望值」過濾條件",
+        },
+      },
+    };
+  }
+
+  /**
+   * 產生描述此配置驗證規則的 JSON Schema（draft-07），未支援時回傳 null
+   * 只能表達結構與數值範圍；ID 唯一性等跨項目檢查仍只在執行時驗證
+   */
+  toJsonSchema() {
+    return null;
+  }
 }
 
 /**
@@ -246,17 +338,7 @@ export class TenantConfigValidator extends ConfigValidator {
     const context = `租客配置 ${index}`;
 
     // 必要欄位檢查
-    const requiredFields = [
-      "typeId",
-      "typeName",
-      "category",
-      "rent",
-      "skill",
-      "infectionRisk",
-      "description",
-    ];
-
-    requiredFields.forEach((field) => {
+    CONFIG_RULES.TENANT_REQUIRED_FIELDS.forEach((field) => {
       if (!(field in config)) {
         result.addError(
           `${context}: 缺少必要欄位 ${field}`,
@@ -331,8 +413,7 @@ export class TenantConfigValidator extends ConfigValidator {
 
     // 稀有度驗證
     if (config.rarity) {
-      const validRarities = ["common", "uncommon", "rare", "epic", "legendary"];
-      if (!validRarities.includes(config.rarity)) {
+      if (!CONFIG_RULES.TENANT_RARITIES.includes(config.rarity)) {
         result.addWarning(
           `${context}: 稀有度 '${config.rarity}' 不在標準列表中`,
           "rarity",
@@ -344,14 +425,7 @@ export class TenantConfigValidator extends ConfigValidator {
 
     // 類別驗證
     if (config.category) {
-      const validCategories = [
-        "doctor",
-        "worker",
-        "farmer",
-        "soldier",
-        "elder",
-      ];
-      if (!validCategories.includes(config.category)) {
+      if (!CONFIG_RULES.TENANT_CATEGORIES.includes(config.category)) {
         result.addWarning(
           `${context}: 類別 '${config.category}' 不在標準列表中`,
           "category",
@@ -367,7 +441,7 @@ export class TenantConfigValidator extends ConfigValidator {
    */
   validatePersonalResourcesConfig(resources, context) {
     const result = new ValidationResult(true);
-    const resourceKeys = ["food", "materials", "medical", "fuel", "cash"];
+    const resourceKeys = CONFIG_RULES.RESOURCE_KEYS;
 
     if (typeof resources !== "object" || resources === null) {
       return result.addError(
@@ -483,6 +557,67 @@ export class TenantConfigValidator extends ConfigValidator {
       }
     });
   }
+
+  /**
+   * tenants.json 的 JSON Schema
+   */
+  toJsonSchema() {
+    const resourceAmounts = Object.fromEntries(
+      CONFIG_RULES.RESOURCE_KEYS.map((key) => [key, { type: "number" }])
+    );
+
+    return {
+      $schema: JSON_SCHEMA_DRAFT,
+      title: "tenants.json",
+      description: "租客類型定義（typeId 不可重複）",
+      type: "array",
+      items: {
+        type: "object",
+        required: [...CONFIG_RULES.TENANT_REQUIRED_FIELDS],
+        properties: {
+          typeId: { description: "租客類型 ID，skills.json 以此分組" },
+          typeName: { description: "顯示名稱" },
+          category: {
+            description: "類別（標準列表外的值會產生警告）",
+            examples: [...CONFIG_RULES.TENANT_CATEGORIES],
+          },
+          rent: { type: "number", exclusiveMinimum: 0, description: "房租" },
+          skill: { description: "技能簡述" },
+          infectionRisk: {
+            type: "number",
+            minimum: 0,
+            maximum: 1,
+            description: "感染機率",
+          },
+          rarity: {
+            description: "稀有度（標準列表外的值會產生警告）",
+            examples: [...CONFIG_RULES.TENANT_RARITIES],
+          },
+          description: { description: "說明" },
+          personalResources: {
+            type: "object",
+            description: "入住時攜帶的個人資源（負值會產生警告）",
+            properties: resourceAmounts,
+          },
+          skillIds: {
+            type: "array",
+            description: "可用技能，需對應 skills.json 中同類型的技能 ID",
+          },
+          unlockConditions: {
+            type: "object",
+            properties: {
+              day: { type: "number", minimum: 1 },
+              buildingDefense: { type: "number", minimum: 0 },
+              totalTenants: { type: "number", minimum: 0 },
+              events: {
+                description: "需要先發生過的事件 ID",
+              },
+            },
+          },
+        },
+      },
+    };
+  }
 }
 
 /**
@@ -560,8 +695,7 @@ export class SkillConfigValidator extends ConfigValidator {
     const context = `${tenantType} 技能 ${index}`;
 
     // 必要欄位檢查
-    const requiredFields = ["id", "name", "type", "description"];
-    requiredFields.forEach((field) => {
+    CONFIG_RULES.SKILL_REQUIRED_FIELDS.forEach((field) => {
       if (!(field in skill)) {
         result.addError(
           `${context}: 缺少必要欄位 ${field}`,
@@ -573,7 +707,7 @@ export class SkillConfigValidator extends ConfigValidator {
     });
 
     // 技能類型驗證
-    const validTypes = ["active", "passive", "special"];
+    const validTypes = CONFIG_RULES.SKILL_TYPES;
     if (skill.type && !validTypes.includes(skill.type)) {
       result.addError(
         `${context}: 技能類型必須是 ${validTypes.join(", ")} 之一`,
@@ -643,10 +777,8 @@ export class SkillConfigValidator extends ConfigValidator {
       );
     }
 
-    const validResources = ["food", "materials", "medical", "fuel", "cash"];
-
     Object.entries(cost).forEach(([resource, amount]) => {
-      if (!validResources.includes(resource)) {
+      if (!CONFIG_RULES.RESOURCE_KEYS.includes(resource)) {
         result.addWarning(
           `${context}: 成本資源 '${resource}' 不在標準資源列表中`,
           `cost.${resource}`,
@@ -691,6 +823,51 @@ export class SkillConfigValidator extends ConfigValidator {
       }
     });
   }
+
+  /**
+   * skills.json 的 JSON Schema
+   */
+  toJsonSchema() {
+    const costAmount = { type: "number", minimum: 0 };
+
+    return {
+      $schema: JSON_SCHEMA_DRAFT,
+      title: "skills.json",
+      description: "依租客類型分組的技能（同一類型內 id 不可重複）",
+      type: "object",
+      additionalProperties: {
+        type: "array",
+        items: { $ref: "#/definitions/skill" },
+      },
+      definitions: {
+        skill: {
+          type: "object",
+          required: [...CONFIG_RULES.SKILL_REQUIRED_FIELDS],
+          properties: {
+            id: { description: "技能 ID，需列在 tenants.json 的 skillIds" },
+            name: { description: "顯示名稱" },
+            type: { enum: [...CONFIG_RULES.SKILL_TYPES] },
+            description: { description: "說明" },
+            cost: {
+              type: "object",
+              description: "使用成本（標準資源以外的鍵會產生警告）",
+              properties: Object.fromEntries(
+                CONFIG_RULES.RESOURCE_KEYS.map((key) => [key, costAmount])
+              ),
+              additionalProperties: costAmount,
+            },
+            cooldown: {
+              type: "number",
+              minimum: -1,
+              description: "冷卻天數，-1 表示永久性技能",
+            },
+            effects: { type: "array" },
+            maxUses: { type: "number", minimum: 1 },
+          },
+        },
+      },
+    };
+  }
 }
 
 /**
@@ -721,13 +898,7 @@ export class EventConfigValidator extends ConfigValidator {
     if (!result.isValid) return result;
 
     // 驗證必要分類
-    const requiredCategories = [
-      "random_events",
-      "conflict_events",
-      "special_events",
-    ];
-
-    requiredCategories.forEach((category) => {
+    CONFIG_RULES.EVENT_REQUIRED_CATEGORIES.forEach((category) => {
       if (!eventData[category] || !Array.isArray(eventData[category])) {
         result.addError(
           `事件配置缺少 ${category} 分類或格式錯誤`,
@@ -779,7 +950,7 @@ export class EventConfigValidator extends ConfigValidator {
     const context = `${category} 事件 ${index}`;
 
     // 基本欄位檢查
-    ["id", "title", "description"].forEach((field) => {
+    CONFIG_RULES.EVENT_REQUIRED_FIELDS.forEach((field) => {
       if (!(field in event)) {
         result.addError(
           `${context}: 缺少必要欄位 ${field}`,
@@ -835,9 +1006,114 @@ export class EventConfigValidator extends ConfigValidator {
       );
     }
 
+    // 驗證重複觸發控制欄位
+    this.validateRepetitionFields(event, context, result);
+
+    // 驗證持續型危機設定
+    if (event.deadline !== undefined) {
+      this.validateDeadlineConfig(event.deadline, context, result);
+    }
+
+    // 驗證事件驅動觸發器
+    if (event.trigger?.on !== undefined) {
+      this.validateTriggerBinding(event.trigger, "trigger", context, result);
+    }
+
     return result;
   }
 
+  /**
+   * 驗證 deadline（持續型危機的期限與到期結果）
+   */
+  validateDeadlineConfig(deadline, context, result) {
+    if (!deadline || typeof deadline !== "object") {
+      result.addError(
+        `${context}: deadline 必須是物件`,
+        "deadline",
+        "INVALID_DEADLINE",
+        context
+      );
+      return;
+    }
+
+    if (!Number.isInteger(deadline.days) || deadline.days < 1) {
+      result.addError(
+        `${context}: deadline.days 必須是正整數`,
+        "deadline.days",
+        "INVALID_DEADLINE_DAYS",
+        context
+      );
+    }
+
+    if (!deadline.defaultOutcome) {
+      result.addWarning(
+        `${context}: deadline 未設定 defaultOutcome，期限到時不會有任何效果`,
+        "deadline.defaultOutcome",
+        "MISSING_DEFAULT_OUTCOME",
+        context
+      );
+    }
+
+    if (
+      deadline.progressOutcomes !== undefined &&
+      !Array.isArray(deadline.progressOutcomes)
+    ) {
+      result.addError(
+        `${context}: deadline.progressOutcomes 必須是陣列`,
+        "deadline.progressOutcomes",
+        "INVALID_PROGRESS_OUTCOMES",
+        context
+      );
+    }
+  }
+
+  /**
+   * 驗證 cooldownDays、maxOccurrences 與 weight
+   */
+  validateRepetitionFields(event, context, result) {
+    if (
+      event.cooldownDays !== undefined &&
+      (!Number.isInteger(event.cooldownDays) || event.cooldownDays < 0)
+    ) {
+      result.addError(
+        `${context}: cooldownDays 必須是非負整數`,
+        "cooldownDays",
+        "INVALID_COOLDOWN_DAYS",
+        context
+      );
+    }
+
+    if (
+      event.maxOccurrences !== undefined &&
+      (!Number.isInteger(event.maxOccurrences) || event.maxOccurrences < 1)
+    ) {
+      result.addError(
+        `${context}: maxOccurrences 必須是正整數`,
+        "maxOccurrences",
+        "INVALID_MAX_OCCURRENCES",
+        context
+      );
+    }
+
+    if (event.weight !== undefined) {
+      if (typeof event.weight !== "number" || event.weight < 0) {
+        result.addError(
+          `${context}: weight 必須是非負數`,
+          "weight",
+          "INVALID_WEIGHT",
+          context
+        );
+      } else if (event.weight === 0) {
+        result.addWarning(
+          `${context}: weight 為 0，此事件永遠不會被抽選`,
+          "weight",
+          "ZERO_WEIGHT",
+          context
+        );
+      }
+    }
+  }
+
   /**
    * 驗證動態選擇配置
    */
@@ -902,6 +1178,75 @@ export class EventConfigValidator extends ConfigValidator {
       }
     });
   }
+
+  /**
+   * events.json 的 JSON Schema
+   */
+  toJsonSchema() {
+    const eventList = {
+      type: "array",
+      items: { $ref: "#/definitions/event" },
+    };
+
+    return {
+      $schema: JSON_SCHEMA_DRAFT,
+      title: "events.json",
+      description: "依分類分組的事件（同一分類內 id 不可重複）",
+      type: "object",
+      required: [...CONFIG_RULES.EVENT_REQUIRED_CATEGORIES],
+      properties: Object.fromEntries(
+        CONFIG_RULES.EVENT_REQUIRED_CATEGORIES.map((category) => [
+          category,
+          eventList,
+        ])
+      ),
+      additionalProperties: { items: { $ref: "#/definitions/event" } },
+      definitions: {
+        event: {
+          type: "object",
+          required: [...CONFIG_RULES.EVENT_REQUIRED_FIELDS],
+          anyOf: [{ required: ["choices"] }, { required: ["dynamicChoices"] }],
+          properties: {
+            id: { description: "事件 ID" },
+            title: { description: "標題" },
+            description: { description: "說明" },
+            choices: { type: "array" },
+            dynamicChoices: {
+              type: "object",
+              required: ["base"],
+              properties: {
+                base: { type: "array" },
+                conditional: { type: "array" },
+              },
+            },
+            priority: { type: "number", minimum: 0 },
+            cooldownDays: { type: "integer", minimum: 0 },
+            maxOccurrences: { type: "integer", minimum: 1 },
+            weight: {
+              type: "number",
+              minimum: 0,
+              description: "抽選權重（0 會產生警告：永遠不會被抽選）",
+            },
+            deadline: {
+              type: "object",
+              required: ["days"],
+              description: "持續型危機（未設定 defaultOutcome 會產生警告）",
+              properties: {
+                days: { type: "integer", minimum: 1 },
+                defaultOutcome: { type: "object" },
+                progressOutcomes: { type: "array" },
+              },
+            },
+            trigger: {
+              description: "觸發設定；設定 on 時訂閱 GameBridge 事件",
+              if: { type: "object", required: ["on"] },
+              then: this.getTriggerBindingSchema(),
+            },
+          },
+        },
+      },
+    };
+  }
 }
 
 /**
@@ -932,14 +1277,7 @@ export class RuleConfigValidator extends ConfigValidator {
     if (!result.isValid) return result;
 
     // 驗證主要區塊
-    const recommendedSections = [
-      "gameDefaults",
-      "gameBalance",
-      "mechanics",
-      "ui",
-    ];
-
-    recommendedSections.forEach((section) => {
+    CONFIG_RULES.RULE_RECOMMENDED_SECTIONS.forEach((section) => {
       if (!(section in ruleData)) {
         result.addWarning(
           `規則配置缺少推薦區塊: ${section}`,
@@ -964,6 +1302,83 @@ export class RuleConfigValidator extends ConfigValidator {
       result.merge(mechanicsResult);
     }
 
+    // 驗證宣告式規則
+    if (ruleData.rules !== undefined) {
+      result.merge(this.validateRuleDefinitions(ruleData.rules));
+    }
+
+    return result;
+  }
+
+  /**
+   * 驗證 rules 區塊（註冊到 RuleEngine 的宣告式規則）
+   */
+  validateRuleDefinitions(rules) {
+    const result = new ValidationResult(true);
+    const context = "宣告式規則";
+
+    if (!Array.isArray(rules)) {
+      return result.addError(
+        `${context}: rules 必須是陣列`,
+        "rules",
+        "INVALID_RULES_SECTION",
+        context
+      );
+    }
+
+    const seenIds = new Set();
+
+    rules.forEach((rule, index) => {
+      const field = `rules[${index}]`;
+
+      if (!rule || typeof rule.id !== "string" || rule.id === "") {
+        result.addError(
+          `${context}: ${field} 缺少 id`,
+          `${field}.id`,
+          "MISSING_RULE_ID",
+          context
+        );
+        return;
+      }
+
+      if (seenIds.has(rule.id)) {
+        result.addError(
+          `${context}: 規則 ID 重複: ${rule.id}`,
+          `${field}.id`,
+          "DUPLICATE_RULE_ID",
+          context
+        );
+      }
+      seenIds.add(rule.id);
+
+      if (rule.trigger !== undefined) {
+        this.validateTriggerBinding(
+          rule.trigger,
+          `${field}.trigger`,
+          context,
+          result
+        );
+      } else if (typeof rule.group !== "string" || rule.group === "") {
+        result.addWarning(
+          `${context}: ${rule.id} 未指定 group，將歸入 default 群組且不會自動執行`,
+          `${field}.group`,
+          "MISSING_RULE_GROUP",
+          context
+        );
+      }
+
+      ["conditions", "effects"].forEach((key) => {
+        if (rule[key] !== undefined && !Array.isArray(rule[key])) {
+          result.addError(
+            `${context}: ${rule.id}.${key} 必須是陣列`,
+            `${field}.${key}`,
+            "INVALID_RULE_STRUCTURE",
+            context
+          );
+        }
+      });
+    });
+
     return result;
   }
 
@@ -1109,10 +1524,701 @@ export class RuleConfigValidator extends ConfigValidator {
 
     return result;
   }
+
+  /**
+   * rules.json 的 JSON Schema
+   */
+  toJsonSchema() {
+    const sectionDescription = "推薦區塊（缺少時產生警告）";
+
+    return {
+      $schema: JSON_SCHEMA_DRAFT,
+      title: "rules.json",
+      description: "遊戲預設值、平衡參數、機制設定與宣告式規則",
+      type: "object",
+      properties: {
+        ...Object.fromEntries(
+          CONFIG_RULES.RULE_RECOMMENDED_SECTIONS.map((section) => [
+            section,
+            { description: sectionDescription },
+          ])
+        ),
+        gameBalance: {
+          description: sectionDescription,
+          properties: {
+            landlord: {
+              properties: {
+                hungerSystem: {
+                  required: ["levels"],
+                  properties: {
+                    levels: {
+                      type: "array",
+                      items: {
+                        type: "object",
+                        required: ["threshold"],
+                        properties: { threshold: { type: "number" } },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+            tenants: {
+              properties: {
+                satisfactionSystem: {
+                  required: ["baseValue"],
+                  properties: {
+                    baseValue: { type: "number" },
+                    range: {
+                      required: ["min", "max"],
+                      description: "min 必須小於 max",
+                      properties: {
+                        min: { type: "number" },
+                        max: { type: "number" },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+        mechanics: {
+          description: sectionDescription,
+          properties: {
+            harvest: {
+              required: ["baseAmount"],
+              properties: { baseAmount: { type: "number", minimum: 0 } },
+            },
+            scavenging: {
+              properties: {
+                baseSuccessRates: {
+                  additionalProperties: {
+                    type: "number",
+                    minimum: 0,
+                    maximum: 100,
+                  },
+                },
+              },
+            },
+          },
+        },
+        rules: {
+          type: "array",
+          description: "註冊到 RuleEngine 的宣告式規則（id 不可重複）",
+          items: { $ref: "#/definitions/rule" },
+        },
+      },
+      definitions: {
+        rule: {
+          type: "object",
+          required: ["id"],
+          properties: {
+            id: { type: "string", minLength: 1 },
+            group: {
+              description: "執行群組（未設定 trigger 時缺少會產生警告）",
+              examples: Object.values(DATA_TYPES.RULE_GROUPS),
+            },
+            trigger: this.getTriggerBindingSchema(),
+            enabled: {
+              type: "boolean",
+              description: "設為 false 時不執行（預設啟用）",
+            },
+            conditions: { type: "array" },
+            effects: { type: "array" },
+          },
+        },
+      },
+    };
+  }
+}
+
+/**
+ * 模組包清單驗證器
+ * 驗證 mods/ 目錄下的模組包清單，資料內容合併後再由對應的配置驗證器檢查
+ */
+export class ModManifestValidator extends ConfigValidator {
+  constructor() {
+    super("ModManifestValidator");
+    this.setupDefaultRules();
+  }
+
+  setupDefaultRules() {
+    this.addRule(
+      (data) => typeof data === "object" && data !== null,
+      "模組包清單必須是物件格式",
+      null,
+      "INVALID_DATA_TYPE"
+    );
+
+    return this;
+  }
+
+  /**
+   * 驗證模組包清單
+   */
+  validateModManifest(manifest) {
+    const result = this.validate(manifest);
+    if (!result.isValid) return result;
+
+    const context = `模組包 ${manifest.id || "(未命名)"}`;
+    result.merge(this.validateConfigStructure(manifest, ["id", "name", "data"]));
+
+    if (manifest.id !== undefined && !/^[a-z0-9_-]+$/.test(manifest.id)) {
+      result.addError(
+        `${context}: id 只能包含小寫英數字、底線與連字號`,
+        "id",
+        "INVALID_MOD_ID",
+        context
+      );
+    }
+
+    const data = manifest.data;
+    if (data === undefined) return result;
+
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      return result.addError(
+        `${context}: data 必須是以資料類型為鍵的物件`,
+        "data",
+        "INVALID_MOD_DATA",
+        context
+      );
+    }
+
+    Object.entries(data).forEach(([dataType, content]) => {
+      if (!MOD_SYSTEM.DATA_TYPES.includes(dataType)) {
+        result.addError(
+          `${context}: 不支援的資料類型 ${dataType}（可用：${MOD_SYSTEM.DATA_TYPES.join(
+            ", "
+          )}）`,
+          `data.${dataType}`,
+          "UNKNOWN_MOD_DATA_TYPE",
+          context
+        );
+        return;
+      }
+
+      // tenants.json 是陣列，其他資料檔都是物件
+      const expectArray = dataType === "tenants";
+      if (
+        !content ||
+        typeof content !== "object" ||
+        Array.isArray(content) !== expectArray
+      ) {
+        result.addError(
+          `${context}: data.${dataType} 必須是${expectArray ? "陣列" : "物件"}`,
+          `data.${dataType}`,
+          "INVALID_MOD_DATA",
+          context
+        );
+      }
+    });
+
+    if (Object.keys(data).length === 0) {
+      result.addWarning(
+        `${context}: 沒有提供任何資料`,
+        "data",
+        "EMPTY_MOD_DATA",
+        context
+      );
+    }
+
+    return result;
+  }
+}
+
+const CROSS_REFERENCE_CONTEXT = "跨檔案參照檢查";
+
+/**
+ * 跨檔案參照驗證器
+ * 在各資料檔個別通過驗證後，檢查 tenants、skills、events、rules 之間的 ID 參照：
+ * 懸空的租客類型/技能/事件/選項 ID、未被使用的技能與連鎖事件，
+ * 以及（提供已註冊類型時）未知的條件與效果類型。欄位以 JSON 路徑標示
+ * 未知類型預設為警告；strictTypes 時為錯誤（開發模式用來阻擋啟動）
+ */
+export class CrossReferenceValidator extends ConfigValidator {
+  constructor() {
+    super("CrossReferenceValidator");
+    this.setupDefaultRules();
+  }
+
+  setupDefaultRules() {
+    this.addRule(
+      (data) => typeof data === "object" && data !== null,
+      "跨檔案參照檢查需要以資料類型為鍵的物件",
+      null,
+      "INVALID_DATA_TYPE"
+    );
+
+    return this;
+  }
+
+  /**
+   * 驗證跨檔案參照，缺少的資料類型會略過相關檢查
+   * @param {Object} dataMap - { tenants, skills, events, rules }
+   * @param {Object} [knownTypes] - 已註冊的類型，未提供時不檢查類型名稱
+   * @param {Iterable<string>} [knownTypes.conditions] - 條件類型
+   * @param {Object<string, Iterable<string>>} [knownTypes.effects] - 各資料類型（events、skills、rules）可執行的效果類型
+   * @param {Object} [options]
+   * @param {boolean} [options.strictTypes=false] - 未知的條件與效果類型視為錯誤
+   */
+  validateCrossReferences(dataMap, knownTypes = {}, options = {}) {
+    const result = this.validate(dataMap);
+    if (!result.isValid) return result;
+
+    const scan = {
+      result: result,
+      index: this.buildReferenceIndex(dataMap),
+      conditionTypes: knownTypes.conditions
+        ? new Set(knownTypes.conditions)
+        : null,
+      effectTypes: new Map(
+        Object.entries(knownTypes.effects || {}).map(([source, types]) => [
+          source,
+          new Set(types),
+        ])
+      ),
+      referencedEvents: new Set(),
+      strictTypes: options.strictTypes === true,
+    };
+
+    this.checkTenants(dataMap.tenants, scan);
+    this.checkSkills(dataMap.skills, scan);
+    this.checkEvents(dataMap.events, scan);
+    this.checkRules(dataMap.rules, scan);
+    this.checkUnusedEvents(dataMap.events, scan);
+
+    return result;
+  }
+
+  /**
+   * 建立 ID 索引，缺少的資料類型為 null
+   * @private
+   */
+  buildReferenceIndex({ tenants, skills, events }) {
+    const index = {
+      tenantTypes: null,
+      listedSkills: null,
+      skillsByType: null,
+      eventChoices: null,
+    };
+
+    if (Array.isArray(tenants)) {
+      index.tenantTypes = new Set(tenants.map((tenant) => tenant.typeId));
+      index.listedSkills = new Map(
+        tenants.map((tenant) => [tenant.typeId, new Set(tenant.skillIds || [])])
+      );
+    }
+
+    if (skills && typeof skills === "object") {
+      index.skillsByType = new Map(
+        Object.entries(skills).map(([tenantType, list]) => [
+          tenantType,
+          new Set((Array.isArray(list) ? list : []).map((skill) => skill.id)),
+        ])
+      );
+    }
+
+    if (events && typeof events === "object") {
+      index.eventChoices = new Map();
+      CrossReferenceValidator.listEvents(events).forEach(({ event }) => {
+        const choices = [
+          ...(event.choices || []),
+          ...(event.dynamicChoices?.base || []),
+          ...(event.dynamicChoices?.conditional || []).map(
+            (entry) => entry.choice || {}
+          ),
+        ];
+        index.eventChoices.set(
+          event.id,
+          new Set(choices.map((choice) => choice.id))
+        );
+      });
+    }
+
+    return index;
+  }
+
+  /**
+   * 租客類型的 skillIds 與解鎖事件
+   * @private
+   */
+  checkTenants(tenants, scan) {
+    if (!Array.isArray(tenants)) return;
+    const { skillsByType } = scan.index;
+
+    tenants.forEach((tenant, i) => {
+      (tenant.skillIds || []).forEach((skillId, j) => {
+        if (!skillsByType || skillsByType.get(tenant.typeId)?.has(skillId)) {
+          return;
+        }
+
+        const definedIn = Array.from(skillsByType.entries())
+          .filter(([, ids]) => ids.has(skillId))
+          .map(([tenantType]) => tenantType);
+        const hint = definedIn.length
+          ? `（定義在 skills.${definedIn.join(", skills.")}）`
+          : "";
+        this.reportError(
+          scan,
+          `租客類型 ${tenant.typeId} 的技能 ${skillId} 不存在於 skills.${tenant.typeId}${hint}`,
+          `tenants[${i}].skillIds[${j}]`,
+          "DANGLING_SKILL_ID"
+        );
+      });
+
+      (tenant.unlockConditions?.events || []).forEach((eventId, j) => {
+        this.checkEventId(
+          eventId,
+          `tenants[${i}].unlockConditions.events[${j}]`,
+          scan
+        );
+      });
+    });
+  }
+
+  /**
+   * 技能分組必須對應租客類型；沒有列在該類型 skillIds 的技能視為未使用
+   * @private
+   */
+  checkSkills(skills, scan) {
+    if (!skills || typeof skills !== "object") return;
+
+    const { tenantTypes, listedSkills } = scan.index;
+
+    Object.entries(skills).forEach(([tenantType, list]) => {
+      if (!Array.isArray(list)) return;
+
+      if (tenantTypes && !tenantTypes.has(tenantType)) {
+        this.reportError(
+          scan,
+          `技能分組 ${tenantType} 沒有對應的租客類型`,
+          `skills.${tenantType}`,
+          "DANGLING_TENANT_TYPE"
+        );
+      }
+
+      list.forEach((skill, i) => {
+        const path = `skills.${tenantType}[${i}]`;
+
+        if (listedSkills?.get(tenantType)?.has(skill.id) === false) {
+          scan.result.addWarning(
+            `技能 ${skill.id} 沒有列在租客類型 ${tenantType} 的 skillIds 中，不會被使用`,
+            `${path}.id`,
+            "UNUSED_SKILL",
+            CROSS_REFERENCE_CONTEXT
+          );
+        }
+
+        this.walkConditions(
+          skill.requirements?.conditions,
+          `${path}.requirements.conditions`,
+          scan
+        );
+        this.walkEffects(skill.effects, `${path}.effects`, "skills", scan);
+      });
+    });
+  }
+
+  /**
+   * 事件觸發條件、選項、期限結果中的條件與效果
+   * @private
+   */
+  checkEvents(events, scan) {
+    if (!events || typeof events !== "object") return;
+
+    CrossReferenceValidator.listEvents(events).forEach(({ event, path }) => {
+      this.walkConditions(
+        event.trigger?.conditions,
+        `${path}.trigger.conditions`,
+        scan
+      );
+
+      this.walkChoices(event.choices, `${path}.choices`, scan);
+      this.walkChoices(
+        event.dynamicChoices?.base,
+        `${path}.dynamicChoices.base`,
+        scan
+      );
+      (event.dynamicChoices?.conditional || []).forEach((entry, i) => {
+        const entryPath = `${path}.dynamicChoices.conditional[${i}]`;
+        this.walkCondition(entry.condition, `${entryPath}.condition`, scan);
+        this.walkChoice(entry.choice, `${entryPath}.choice`, scan);
+      });
+
+      const deadline = event.deadline;
+      if (deadline && typeof deadline === "object") {
+        this.walkConditions(
+          deadline.activeConditions,
+          `${path}.deadline.activeConditions`,
+          scan
+        );
+        this.walkEffects(
+          deadline.defaultOutcome?.effects,
+          `${path}.deadline.defaultOutcome.effects`,
+          "events",
+          scan
+        );
+        (deadline.progressOutcomes || []).forEach((outcome, i) => {
+          this.walkEffects(
+            outcome.effects,
+            `${path}.deadline.progressOutcomes[${i}].effects`,
+            "events",
+            scan
+          );
+        });
+      }
+    });
+  }
+
+  /**
+   * 規則的條件與效果，以及租客解鎖設定
+   * @private
+   */
+  checkRules(rules, scan) {
+    if (!rules || typeof rules !== "object") return;
+
+    (Array.isArray(rules.rules) ? rules.rules : []).forEach((rule, i) => {
+      this.walkConditions(rule.conditions, `rules.rules[${i}].conditions`, scan);
+      this.walkEffects(rule.effects, `rules.rules[${i}].effects`, "rules", scan);
+    });
+
+    const tenantUnlocks = rules.progression?.tenantUnlocks || {};
+    Object.entries(tenantUnlocks).forEach(([tenantType, unlock]) => {
+      const path = `rules.progression.tenantUnlocks.${tenantType}`;
+      this.checkTenantType(tenantType, path, scan);
+
+      (unlock?.conditions || []).forEach((condition, i) => {
+        // 含比較運算子的是狀態條件，其餘是「事件 ID（可加 _survived）」
+        if (typeof condition !== "string" || /[<>=!]/.test(condition)) return;
+        this.checkEventId(
+          condition.replace(/_survived$/, ""),
+          `${path}.conditions[${i}]`,
+          scan
+        );
+      });
+    });
+  }
+
+  /**
+   * 只能由 scheduleEvent / triggerEvent 觸發、卻沒被任何效果參照的連鎖事件
+   * @private
+   */
+  checkUnusedEvents(events, scan) {
+    if (!events || typeof events !== "object") return;
+
+    CrossReferenceValidator.listEvents(events).forEach(({ event, path }) => {
+      if (event.trigger?.type !== "chain") return;
+      if (scan.referencedEvents.has(event.id)) return;
+
+      scan.result.addWarning(
+        `連鎖事件 ${event.id} 沒有被任何 scheduleEvent / triggerEvent 效果參照，永遠不會觸發`,
+        `${path}.id`,
+        "UNUSED_EVENT",
+        CROSS_REFERENCE_CONTEXT
+      );
+    });
+  }
+
+  /**
+   * @private
+   */
+  walkChoices(choices, path, scan) {
+    if (!Array.isArray(choices)) return;
+    choices.forEach((choice, i) =>
+      this.walkChoice(choice, `${path}[${i}]`, scan)
+    );
+  }
+
+  /**
+   * @private
+   */
+  walkChoice(choice, path, scan) {
+    if (!choice || typeof choice !== "object") return;
+    this.walkConditions(choice.conditions, `${path}.conditions`, scan);
+    this.walkEffects(choice.effects, `${path}.effects`, "events", scan);
+  }
+
+  /**
+   * @private
+   */
+  walkConditions(conditions, path, scan) {
+    if (!Array.isArray(conditions)) return;
+    conditions.forEach((condition, i) =>
+      this.walkCondition(condition, `${path}[${i}]`, scan)
+    );
+  }
+
+  /**
+   * 檢查單一條件（含 and / or 巢狀條件）
+   * @private
+   */
+  walkCondition(condition, path, scan) {
+    if (!condition || typeof condition !== "object") return;
+
+    if (scan.conditionTypes && !scan.conditionTypes.has(condition.type)) {
+      this.reportUnknownType(
+        scan,
+        `未知的條件類型 ${condition.type}（條件會被視為不成立）`,
+        `${path}.type`,
+        "UNKNOWN_CONDITION_TYPE"
+      );
+    }
+
+    switch (condition.type) {
+      case "hasTenantType": {
+        const key = condition.tenantType !== undefined ? "tenantType" : "value";
+        const tenantType = condition[key];
+        if (tenantType !== "any" && tenantType !== "infected") {
+          this.checkTenantType(tenantType, `${path}.${key}`, scan);
+        }
+        break;
+      }
+      case "choiceMade":
+        if (this.checkEventId(condition.eventId, `${path}.eventId`, scan)) {
+          this.checkChoiceId(condition, path, scan);
+        }
+        break;
+    }
+
+    this.walkConditions(condition.conditions, `${path}.conditions`, scan);
+    this.walkCondition(condition.condition, `${path}.condition`, scan);
+  }
+
+  /**
+   * @private
+   */
+  walkEffects(effects, path, source, scan) {
+    if (!Array.isArray(effects)) return;
+    effects.forEach((effect, i) =>
+      this.walkEffect(effect, `${path}[${i}]`, source, scan)
+    );
+  }
+
+  /**
+   * 檢查單一效果（含 probabilityCheck、multiple、scheduledEffect 等巢狀效果）
+   * @param {string} source - 效果所屬的資料類型，決定由哪個系統的執行器處理
+   * @private
+   */
+  walkEffect(effect, path, source, scan) {
+    if (!effect || typeof effect !== "object") return;
+
+    const knownEffects = scan.effectTypes.get(source);
+    if (knownEffects && !knownEffects.has(effect.type)) {
+      this.reportUnknownType(
+        scan,
+        `未知的效果類型 ${effect.type}（${source} 沒有對應的執行器，執行時會被略過）`,
+        `${path}.type`,
+        "UNKNOWN_EFFECT_TYPE"
+      );
+    }
+
+    if (effect.type === "scheduleEvent" || effect.type === "triggerEvent") {
+      scan.referencedEvents.add(effect.eventId);
+      this.checkEventId(effect.eventId, `${path}.eventId`, scan);
+    }
+
+    ["effects", "success", "failure"].forEach((key) =>
+      this.walkEffects(effect[key], `${path}.${key}`, source, scan)
+    );
+    this.walkEffect(effect.effect, `${path}.effect`, source, scan);
+    this.walkConditions(effect.conditions, `${path}.conditions`, scan);
+    this.walkConditions(
+      effect.condition?.modifiers,
+      `${path}.condition.modifiers`,
+      scan
+    );
+  }
+
+  /**
+   * @private
+   */
+  checkTenantType(tenantType, path, scan) {
+    const { tenantTypes } = scan.index;
+    if (!tenantTypes || tenantTypes.has(tenantType)) return true;
+
+    this.reportError(
+      scan,
+      `租客類型 ${tenantType} 不存在於 tenants.json`,
+      path,
+      "DANGLING_TENANT_TYPE"
+    );
+    return false;
+  }
+
+  /**
+   * @private
+   */
+  checkEventId(eventId, path, scan) {
+    const { eventChoices } = scan.index;
+    if (!eventChoices || eventChoices.has(eventId)) return true;
+
+    this.reportError(
+      scan,
+      `事件 ${eventId} 不存在於 events.json`,
+      path,
+      "DANGLING_EVENT_ID"
+    );
+    return false;
+  }
+
+  /**
+   * @private
+   */
+  checkChoiceId(condition, path, scan) {
+    const choices = scan.index.eventChoices?.get(condition.eventId);
+    if (!choices || choices.has(condition.choiceId)) return;
+
+    this.reportError(
+      scan,
+      `事件 ${condition.eventId} 沒有選項 ${condition.choiceId}`,
+      `${path}.choiceId`,
+      "DANGLING_CHOICE_ID"
+    );
+  }
+
+  /**
+   * @private
+   */
+  reportError(scan, message, field, code) {
+    scan.result.addError(message, field, code, CROSS_REFERENCE_CONTEXT);
+  }
+
+  /**
+   * 未知類型依 strictTypes 回報為錯誤或警告
+   * @private
+   */
+  reportUnknownType(scan, message, field, code) {
+    if (scan.strictTypes) {
+      this.reportError(scan, message, field, code);
+    } else {
+      scan.result.addWarning(message, field, code, CROSS_REFERENCE_CONTEXT);
+    }
+  }
+
+  /**
+   * 攤平 events.json 的分類，附上每個事件的 JSON 路徑
+   */
+  static listEvents(events) {
+    return Object.entries(events).flatMap(([category, list]) =>
+      Array.isArray(list)
+        ? list.map((event, i) => ({
+            event: event || {},
+            path: `events.${category}[${i}]`,
+          }))
+        : []
+    );
+  }
 }
 
 // ==================== 實例驗證器（Instance Validators） ====================
 
+/**
+ * 租客姓名允許的字元：文字、數字、空白與 ._-·/（涵蓋綽號、全名與正式稱呼）
+ * 姓名會顯示在介面上，匯入的檔案中含 HTML 或引號的姓名一律拒絕
+ */
+const TENANT_NAME_PATTERN = /^[\p{L}\p{M}\p{N} ._\-·/]{1,32}$/u;
+
 /**
  * 實例驗證器基類
  * 專門用於驗證運行時物件實例的有效性
@@ -1198,6 +2304,13 @@ export class TenantInstanceValidator extends InstanceValidator {
         "INVALID_NAME",
         context
       );
+    } else if (!TENANT_NAME_PATTERN.test(applicant.name)) {
+      result.addError(
+        `${context}: 姓名只能包含文字、數字、空白與 ._-·/（最多 32 字）`,
+        "name",
+        "UNSAFE_NAME",
+        context
+      );
     }
 
     // 房租驗證
@@ -1993,6 +3106,455 @@ export class GameStateInstanceValidator extends InstanceValidator {
   }
 }
 
+/**
+ * 存檔快照實例驗證器
+ * 驗證存檔/匯出檔案的整體結構（遊戲狀態 + 各系統內部狀態）
+ */
+export class SaveSnapshotInstanceValidator extends InstanceValidator {
+  constructor() {
+    super("SaveSnapshotInstanceValidator");
+  }
+
+  /**
+   * 驗證存檔快照實例
+   * @param {Object} snapshot - 存檔快照
+   * @param {Object} [options] - 驗證選項
+   * @param {Array<string>} [options.knownEventIds] - 目前資料中的事件 ID，提供時檢查排程事件是否存在
+   */
+  validateSnapshot(snapshot, options = {}) {
+    const result = new ValidationResult(true);
+    const context = "存檔快照";
+
+    // 必要欄位檢查
+    const requiredFields = ["saveVersion", "gameState"];
+    const structureResult = this.validateObjectStructure(
+      snapshot,
+      requiredFields
+    );
+    result.merge(structureResult);
+
+    if (!result.isValid) return result;
+
+    // 版本驗證
+    if (!Number.isInteger(snapshot.saveVersion) || snapshot.saveVersion < 1) {
+      result.addError(
+        `${context}: saveVersion 必須是正整數`,
+        "saveVersion",
+        "INVALID_SAVE_VERSION",
+        context
+      );
+    }
+
+    // 模組包清單（舊版存檔沒有此欄位）
+    if (
+      snapshot.mods !== undefined &&
+      (!Array.isArray(snapshot.mods) ||
+        snapshot.mods.some((id) => typeof id !== "string"))
+    ) {
+      result.addError(
+        `${context}: mods 必須是模組包 ID 字串陣列`,
+        "mods",
+        "INVALID_MOD_LIST",
+        context
+      );
+    }
+
+    // 遊戲狀態驗證（含房間內租客）
+    const gameStateValidator = new GameStateInstanceValidator();
+    result.merge(gameStateValidator.validateGameState(snapshot.gameState));
+
+    // 系統狀態驗證
+    if (snapshot.systems !== undefined) {
+      result.merge(
+        this.validateSystemStates(snapshot.systems, context, options)
+      );
+    }
+
+    // 租客狀態一致性
+    if (result.isValid) {
+      result.merge(this.validateTenantStateConsistency(snapshot, context));
+    }
+
+    return result;
+  }
+
+  /**
+   * 驗證各系統內部狀態結構
+   */
+  validateSystemStates(systems, context, options = {}) {
+    const result = new ValidationResult(true);
+
+    if (typeof systems !== "object" || systems === null) {
+      return result.addError(
+        `${context}: systems 必須是物件`,
+        "systems",
+        "INVALID_SYSTEM_STATE",
+        context
+      );
+    }
+
+    // 需為陣列的欄位：[系統名稱, 欄位名稱, 是否為鍵值對陣列]
+    const arrayFields = [
+      ["tenantSystem", "tenantStates", true],
+      ["tenantSystem", "applicantPool", false],
+      ["skillSystem", "cooldowns", true],
+      ["skillSystem", "executionHistory", false],
+      ["eventSystem", "eventHistory", false],
+      ["ruleEngine", "executionHistory", false],
+      ["ruleEngine", "ruleRuntime", true],
+    ];
+
+    arrayFields.forEach(([systemName, field, isEntryList]) => {
+      const systemState = systems[systemName];
+      if (!systemState || systemState[field] === undefined) return;
+
+      const path = `systems.${systemName}.${field}`;
+      const value = systemState[field];
+
+      if (!Array.isArray(value)) {
+        result.addError(
+          `${context}: ${path} 必須是陣列`,
+          path,
+          "INVALID_SYSTEM_STATE",
+          context
+        );
+        return;
+      }
+
+      if (isEntryList) {
+        const invalidIndex = value.findIndex(
+          (entry) =>
+            !Array.isArray(entry) ||
+            entry.length !== 2 ||
+            typeof entry[0] !== "string"
+        );
+
+        if (invalidIndex !== -1) {
+          result.addError(
+            `${context}: ${path}[${invalidIndex}] 必須是 [鍵, 值] 格式`,
+            path,
+            "INVALID_SYSTEM_STATE",
+            context
+          );
+        }
+      }
+    });
+
+    // 租客狀態與申請者的姓名會顯示在介面上，需符合姓名格式
+    const tenantStates = systems.tenantSystem?.tenantStates;
+    if (Array.isArray(tenantStates)) {
+      tenantStates.forEach((entry, index) => {
+        if (Array.isArray(entry) && !TENANT_NAME_PATTERN.test(entry[0])) {
+          result.addError(
+            `${context}: 租客狀態 ${index} 的姓名格式無效`,
+            `systems.tenantSystem.tenantStates[${index}]`,
+            "UNSAFE_NAME",
+            context
+          );
+        }
+      });
+    }
+
+    const applicantPool = systems.tenantSystem?.applicantPool;
+    if (Array.isArray(applicantPool)) {
+      const tenantValidator = new TenantInstanceValidator();
+      applicantPool.forEach((applicant) => {
+        result.merge(tenantValidator.validateApplicant(applicant));
+      });
+    }
+
+    // 技能冷卻值必須是天數
+    const cooldowns = systems.skillSystem?.cooldowns;
+    if (Array.isArray(cooldowns)) {
+      cooldowns.forEach((entry) => {
+        if (Array.isArray(entry) && typeof entry[1] !== "number") {
+          result.addError(
+            `${context}: 技能冷卻 ${entry[0]} 的到期日必須是數值`,
+            "systems.skillSystem.cooldowns",
+            "INVALID_COOLDOWN_VALUE",
+            context
+          );
+        }
+      });
+    }
+
+    // 技能排程效果：生效日為天數，效果需有類型，租客姓名需符合姓名格式
+    result.merge(
+      this.validateStateEntries(
+        systems,
+        "skillSystem",
+        "scheduledEffects",
+        context,
+        (entry) => {
+          if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+            return "必須是物件";
+          }
+          if (!Number.isFinite(entry.executeDay)) {
+            return "的生效日 executeDay 必須是數值";
+          }
+          if (entry.id !== undefined && !Number.isInteger(entry.id)) {
+            return "的 id 必須是整數";
+          }
+          if (
+            !entry.effect ||
+            typeof entry.effect !== "object" ||
+            typeof entry.effect.type !== "string"
+          ) {
+            return "的 effect 必須是含 type 的物件";
+          }
+          if (!TENANT_NAME_PATTERN.test(entry.tenantName)) {
+            return "的租客姓名格式無效";
+          }
+          if (
+            typeof entry.skillId !== "string" ||
+            typeof entry.skillName !== "string"
+          ) {
+            return "缺少技能 ID 或名稱";
+          }
+          return null;
+        }
+      )
+    );
+
+    // 事件鏈排程：到期日為天數，事件需存在於目前資料
+    const knownEventIds = options.knownEventIds
+      ? new Set(options.knownEventIds)
+      : null;
+    result.merge(
+      this.validateStateEntries(
+        systems,
+        "eventSystem",
+        "scheduledEvents",
+        context,
+        (entry) => {
+          if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+            return "必須是物件";
+          }
+          if (typeof entry.eventId !== "string") {
+            return "缺少事件 ID";
+          }
+          if (knownEventIds && !knownEventIds.has(entry.eventId)) {
+            return `的事件 ${entry.eventId} 不存在`;
+          }
+          if (!Number.isFinite(entry.dueDay)) {
+            return "的到期日 dueDay 必須是數值";
+          }
+          if (
+            entry.conditions !== undefined &&
+            !Array.isArray(entry.conditions)
+          ) {
+            return "的 conditions 必須是陣列";
+          }
+          return null;
+        }
+      )
+    );
+
+    // 待決事件與持續型危機：[事件 ID, 記錄]，記錄的 eventId 需與鍵一致
+    const checkEventEntry = (entry, checkRecord) => {
+      if (!Array.isArray(entry) || entry.length !== 2) {
+        return "必須是 [事件 ID, 記錄] 格式";
+      }
+      const [eventId, record] = entry;
+      if (!record || typeof record !== "object" || Array.isArray(record)) {
+        return "的記錄必須是物件";
+      }
+      if (typeof eventId !== "string" || record.eventId !== eventId) {
+        return "的事件 ID 與記錄不一致";
+      }
+      if (knownEventIds && !knownEventIds.has(eventId)) {
+        return `的事件 ${eventId} 不存在`;
+      }
+      return checkRecord(record);
+    };
+
+    result.merge(
+      this.validateStateEntries(
+        systems,
+        "eventSystem",
+        "activeEvents",
+        context,
+        (entry) =>
+          checkEventEntry(entry, (record) => {
+            if (
+              !Array.isArray(record.choiceIds) ||
+              !record.choiceIds.every((id) => typeof id === "string")
+            ) {
+              return "的 choiceIds 必須是選項 ID 陣列";
+            }
+            if (!Number.isFinite(record.day)) {
+              return "的觸發日 day 必須是數值";
+            }
+            return null;
+          })
+      )
+    );
+
+    result.merge(
+      this.validateStateEntries(
+        systems,
+        "eventSystem",
+        "ongoingEvents",
+        context,
+        (entry) =>
+          checkEventEntry(entry, (record) => {
+            const dayField = ["startDay", "deadlineDay", "progress"].find(
+              (field) => !Number.isFinite(record[field])
+            );
+            if (dayField) {
+              return `的 ${dayField} 必須是數值`;
+            }
+            if (
+              !record.actedDays ||
+              typeof record.actedDays !== "object" ||
+              Array.isArray(record.actedDays)
+            ) {
+              return "的 actedDays 必須是物件";
+            }
+            return null;
+          })
+      )
+    );
+
+    // 事件觸發次數：事件 ID → {count, lastDay}
+    const occurrences = systems.eventSystem?.eventOccurrences;
+    if (occurrences !== undefined) {
+      result.merge(
+        this.validateEventOccurrences(occurrences, context, knownEventIds)
+      );
+    }
+
+    // 隨機數產生器狀態必須是 32 位元無號整數
+    const randomState = systems.random;
+    if (randomState) {
+      ["seed", "state"].forEach((field) => {
+        const value = randomState[field];
+        if (
+          value !== undefined &&
+          (!Number.isInteger(value) || value < 0 || value > 0xffffffff)
+        ) {
+          result.addError(
+            `${context}: 隨機數狀態 ${field} 必須是 32 位元無號整數`,
+            `systems.random.${field}`,
+            "INVALID_RANDOM_STATE",
+            context
+          );
+        }
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * 驗證事件觸發次數記錄（目前資料已沒有的事件只提出警告）
+   * @private
+   */
+  validateEventOccurrences(occurrences, context, knownEventIds = null) {
+    const result = new ValidationResult(true);
+    const path = "systems.eventSystem.eventOccurrences";
+
+    if (
+      !occurrences ||
+      typeof occurrences !== "object" ||
+      Array.isArray(occurrences)
+    ) {
+      return result.addError(
+        `${context}: ${path} 必須是以事件 ID 為鍵的物件`,
+        path,
+        "INVALID_SYSTEM_STATE",
+        context
+      );
+    }
+
+    Object.entries(occurrences).forEach(([eventId, occurrence]) => {
+      if (
+        !occurrence ||
+        typeof occurrence !== "object" ||
+        !Number.isInteger(occurrence.count) ||
+        occurrence.count < 0 ||
+        !Number.isFinite(occurrence.lastDay)
+      ) {
+        result.addError(
+          `${context}: ${path}.${eventId} 必須是 {count: 非負整數, lastDay: 數值}`,
+          `${path}.${eventId}`,
+          "INVALID_SYSTEM_STATE",
+          context
+        );
+      } else if (knownEventIds && !knownEventIds.has(eventId)) {
+        result.addWarning(
+          `${context}: 事件 ${eventId} 已不在目前資料中，觸發次數不會生效`,
+          `${path}.${eventId}`,
+          "UNKNOWN_EVENT_ID",
+          context
+        );
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * 逐筆檢查系統狀態中的記錄陣列（欄位不存在時略過，由系統自行重建）
+   * @param {Function} checkEntry - (entry) => 問題說明，格式正確時回傳 null
+   * @private
+   */
+  validateStateEntries(systems, systemName, field, context, checkEntry) {
+    const result = new ValidationResult(true);
+    const value = systems[systemName]?.[field];
+    if (value === undefined) return result;
+
+    const path = `systems.${systemName}.${field}`;
+    if (!Array.isArray(value)) {
+      return result.addError(
+        `${context}: ${path} 必須是陣列`,
+        path,
+        "INVALID_SYSTEM_STATE",
+        context
+      );
+    }
+
+    value.forEach((entry, index) => {
+      const problem = checkEntry(entry);
+      if (problem) {
+        result.addError(
+          `${context}: ${path}[${index}] ${problem}`,
+          `${path}[${index}]`,
+          "INVALID_SYSTEM_STATE",
+          context
+        );
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * 驗證房間租客與租客狀態記錄的一致性
+   */
+  validateTenantStateConsistency(snapshot, context) {
+    const result = new ValidationResult(true);
+    const tenantStates = snapshot.systems?.tenantSystem?.tenantStates;
+
+    if (!Array.isArray(tenantStates)) return result;
+
+    const recordedNames = new Set(tenantStates.map((entry) => entry[0]));
+
+    snapshot.gameState.rooms.forEach((room) => {
+      if (room.tenant && !recordedNames.has(room.tenant.name)) {
+        result.addWarning(
+          `${context}: 租客 ${room.tenant.name} 缺少狀態記錄，讀取時將重建`,
+          "systems.tenantSystem.tenantStates",
+          "MISSING_TENANT_STATE",
+          context
+        );
+      }
+    });
+
+    return result;
+  }
+}
+
 // ==================== 驗證工廠（重構版） ====================
 
 /**
@@ -2015,11 +3577,20 @@ export class ValidatorFactory {
     this.configValidators.set("skills", new SkillConfigValidator());
     this.configValidators.set("events", new EventConfigValidator());
     this.configValidators.set("rules", new RuleConfigValidator());
+    this.configValidators.set("mods", new ModManifestValidator());
+    this.configValidators.set(
+      "crossReferences",
+      new CrossReferenceValidator()
+    );
 
     // 實例驗證器
     this.instanceValidators.set("tenant", new TenantInstanceValidator());
     this.instanceValidators.set("resource", new ResourceInstanceValidator());
     this.instanceValidators.set("gameState", new GameStateInstanceValidator());
+    this.instanceValidators.set(
+      "saveSnapshot",
+      new SaveSnapshotInstanceValidator()
+    );
   }
 
   /**
@@ -2089,6 +3660,10 @@ export class ValidatorFactory {
           return validator.validateEventConfig(configData);
         case "rules":
           return validator.validateRuleConfig(configData);
+        case "mods":
+          return validator.validateModManifest(configData);
+        case "crossReferences":
+          return validator.validateCrossReferences(configData);
         default:
           return validator.validate(configData);
       }
@@ -2103,8 +3678,9 @@ export class ValidatorFactory {
 
   /**
    * 執行實例驗證
+   * @param {Object} [options] - 驗證選項（saveSnapshot 見 validateSnapshot）
    */
-  validateInstance(type, instanceData) {
+  validateInstance(type, instanceData, options = {}) {
     const validator = this.getInstanceValidator(type);
 
     if (!validator) {
@@ -2127,6 +3703,8 @@ export class ValidatorFactory {
           }
         case "gameState":
           return validator.validateGameState(instanceData);
+        case "saveSnapshot":
+          return validator.validateSnapshot(instanceData, options);
         default:
           return validator.validate(instanceData);
       }
@@ -2157,16 +3735,52 @@ export class ValidatorFactory {
     return this.validateInstance(type, data);
   }
 
+  /**
+   * 跨檔案參照驗證
+   * @param {Object} dataMap - { tenants, skills, events, rules }
+   * @param {Object} [knownTypes] - 已註冊的條件與效果類型，見 CrossReferenceValidator
+   * @param {Object} [options] - { strictTypes }：未知類型視為錯誤
+   */
+  validateCrossReferences(dataMap, knownTypes = {}, options = {}) {
+    const validator = this.getConfigValidator("crossReferences");
+
+    try {
+      return validator.validateCrossReferences(dataMap, knownTypes, options);
+    } catch (error) {
+      return new ValidationResult(false).addError(
+        `跨檔案參照驗證過程發生錯誤: ${error.message}`,
+        null,
+        "CONFIG_VALIDATION_ERROR"
+      );
+    }
+  }
+
   /**
    * 批次配置驗證
+   * 同時提供兩種以上的遊戲資料時，額外以 crossReferences 回報跨檔案參照問題
+   * @param {Object} configMap - 資料類型 -> 資料
+   * @param {Object} [options]
+   * @param {Object} [options.knownTypes] - 傳給跨檔案參照驗證的已註冊類型
+   * @param {boolean} [options.strictTypes] - 未知的條件與效果類型視為錯誤
    */
-  validateMultipleConfigs(configMap) {
+  validateMultipleConfigs(configMap, options = {}) {
     const results = {};
 
     Object.entries(configMap).forEach(([type, data]) => {
       results[type] = this.validateConfig(type, data);
     });
 
+    const gameDataTypes = ["tenants", "skills", "events", "rules"].filter(
+      (type) => configMap[type] !== undefined
+    );
+    if (gameDataTypes.length > 1 && !("crossReferences" in configMap)) {
+      results.crossReferences = this.validateCrossReferences(
+        configMap,
+        options.knownTypes,
+        { strictTypes: options.strictTypes }
+      );
+    }
+
     return results;
   }
 
@@ -2190,6 +3804,21 @@ export class ValidatorFactory {
     return this.validateMultipleConfigs(dataMap);
   }
 
+  /**
+   * 由配置驗證器產生各資料檔的 JSON Schema
+   * @returns {Object<string, Object>} 資料類型 -> JSON Schema（僅含支援的驗證器）
+   */
+  generateConfigSchemas() {
+    const schemas = {};
+
+    this.configValidators.forEach((validator, type) => {
+      const schema = validator.toJsonSchema();
+      if (schema) schemas[type] = schema;
+    });
+
+    return schemas;
+  }
+
   /**
    * 取得所有可用的驗證器類型
    */
@@ -2278,6 +3907,134 @@ export class ValidationUtils {
     );
   }
 
+  /**
+   * 以 JSON Schema 檢查資料
+   * 支援 toJsonSchema() 產生的關鍵字：type、required、properties、
+   * additionalProperties、items、enum、minimum、maximum、exclusiveMinimum、
+   * minLength、anyOf、if/then 與 #/definitions/ 參照
+   * @param {Object} schema - JSON Schema
+   * @param {any} data - 要檢查的資料
+   * @param {string} [rootName] - 欄位路徑前綴
+   * @returns {ValidationResult} 檢查結果，field 為 JSON 路徑
+   */
+  static checkJsonSchema(schema, data, rootName = "") {
+    const result = new ValidationResult(true);
+    const context = "JSON Schema 檢查";
+
+    const typeOf = (value) => {
+      if (value === null) return "null";
+      if (Array.isArray(value)) return "array";
+      if (Number.isInteger(value)) return "integer";
+      return typeof value;
+    };
+    const matchesType = (value, type) =>
+      type === typeOf(value) ||
+      (type === "number" && typeOf(value) === "integer");
+    const resolve = (node) => {
+      if (!node?.$ref) return node;
+      const name = node.$ref.replace("#/definitions/", "");
+      if (!schema.definitions?.[name]) {
+        throw new Error(`找不到 Schema 定義: ${node.$ref}`);
+      }
+      return schema.definitions[name];
+    };
+
+    const check = (node, value, path, report) => {
+      node = resolve(node);
+      if (!node || typeof node !== "object") return;
+      const field = path || "(root)";
+
+      if (node.type && !matchesType(value, node.type)) {
+        report(`${field} 必須是 ${node.type}`, field, "SCHEMA_TYPE");
+        return;
+      }
+      if (node.enum && !node.enum.includes(value)) {
+        report(
+          `${field} 必須是 ${node.enum.join(", ")} 之一`,
+          field,
+          "SCHEMA_ENUM"
+        );
+      }
+      if (typeof value === "number") {
+        if (node.minimum !== undefined && value < node.minimum) {
+          report(`${field} 不可小於 ${node.minimum}`, field, "SCHEMA_RANGE");
+        }
+        if (node.maximum !== undefined && value > node.maximum) {
+          report(`${field} 不可大於 ${node.maximum}`, field, "SCHEMA_RANGE");
+        }
+        if (
+          node.exclusiveMinimum !== undefined &&
+          value <= node.exclusiveMinimum
+        ) {
+          report(
+            `${field} 必須大於 ${node.exclusiveMinimum}`,
+            field,
+            "SCHEMA_RANGE"
+          );
+        }
+      }
+      if (
+        typeof value === "string" &&
+        node.minLength !== undefined &&
+        value.length < node.minLength
+      ) {
+        report(
+          `${field} 長度不可小於 ${node.minLength}`,
+          field,
+          "SCHEMA_LENGTH"
+        );
+      }
+
+      if (Array.isArray(value) && node.items) {
+        value.forEach((item, index) =>
+          check(node.items, item, `${path}[${index}]`, report)
+        );
+      }
+
+      if (typeOf(value) === "object") {
+        (node.required || []).forEach((key) => {
+          if (!(key in value)) {
+            report(`${field} 缺少必要欄位 ${key}`, field, "SCHEMA_REQUIRED");
+          }
+        });
+
+        Object.entries(value).forEach(([key, child]) => {
+          const childPath = path ? `${path}.${key}` : key;
+          if (node.properties && key in node.properties) {
+            check(node.properties[key], child, childPath, report);
+          } else if (node.additionalProperties === false) {
+            report(
+              `${field} 不允許欄位 ${key}`,
+              childPath,
+              "SCHEMA_ADDITIONAL"
+            );
+          } else if (node.additionalProperties) {
+            check(node.additionalProperties, child, childPath, report);
+          }
+        });
+      }
+
+      // 組合關鍵字：子 Schema 不通過時不直接回報，只判斷是否符合
+      const passes = (subSchema) => {
+        let valid = true;
+        check(subSchema, value, path, () => (valid = false));
+        return valid;
+      };
+      if (node.anyOf && !node.anyOf.some(passes)) {
+        report(`${field} 不符合任何允許的格式`, field, "SCHEMA_ANY_OF");
+      }
+      if (node.if && node.then && passes(node.if)) {
+        check(node.then, value, path, report);
+      }
+    };
+
+    check(schema, data, rootName, (message, field, code) =>
+      result.addError(message, field, code, context)
+    );
+
+    return result;
+  }
+
   /**
    * 格式化驗證結果為可讀字串
    */
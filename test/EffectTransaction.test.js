@@ -0,0 +1,113 @@
+/**
+ * EffectTransaction 還原測試
+ * 執行：node --test test/
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+import { EffectTransaction } from "../src/js/core/EffectTransaction.js";
+import {
+  HeadlessGame,
+  BASIC_SCRIPT,
+} from "../src/js/headless/HeadlessGame.js";
+
+// 遊戲初始化訊息量大，且與測試執行器共用 stdout，測試期間暫停一般輸出與警告
+const { log: consoleLog, warn: consoleWarn } = console;
+before(() => {
+  console.log = () => {};
+  console.warn = () => {};
+});
+after(() => {
+  console.log = consoleLog;
+  console.warn = consoleWarn;
+});
+
+test("還原 Map 根物件的鍵值與值內容", () => {
+  const state = { satisfaction: 60, personalResources: { food: 2 } };
+  const states = new Map([["小明", state]]);
+
+  const transaction = new EffectTransaction([states]);
+  state.satisfaction = 10;
+  state.personalResources.food = 0;
+  states.delete("小明");
+  states.set("阿華", { satisfaction: 50 });
+  transaction.rollback();
+
+  assert.deepEqual([...states.keys()], ["小明"]);
+  assert.equal(states.get("小明"), state);
+  assert.equal(state.satisfaction, 60);
+  assert.equal(state.personalResources.food, 2);
+});
+
+test("事件效果批次失敗時還原被移除租客的狀態記錄", async () => {
+  const game = new HeadlessGame({ seed: 42 });
+  try {
+    await game.initialize();
+    await game.run(BASIC_SCRIPT, 2);
+
+    const room = game.gameState.rooms.find((r) => r.tenant);
+    assert.ok(room, "模擬後應至少有一位租客");
+
+    const tenant = room.tenant;
+    tenant.infected = true;
+    const tenantState = game.tenantSystem.tenantStates.get(tenant.name);
+    const satisfaction = tenantState.satisfaction;
+
+    game.eventSystem.effectExecutors.set("failForTest", () => {
+      throw new Error("測試用失敗");
+    });
+
+    const outcome = game.eventSystem.applyChoice(
+      { id: "rollback_test", title: "還原測試" },
+      {
+        id: "evict_then_fail",
+        text: "送走感染者",
+        effects: [
+          { type: "removeTenant", target: "infected" },
+          { type: "failForTest" },
+        ],
+      }
+    );
+
+    assert.equal(outcome.rolledBack, true);
+    assert.equal(room.tenant, tenant);
+    assert.equal(game.tenantSystem.tenantStates.get(tenant.name), tenantState);
+    assert.equal(tenantState.satisfaction, satisfaction);
+    assert.equal(game.gameState.tenantSatisfaction[tenant.name], satisfaction);
+  } finally {
+    game.shutdown();
+  }
+});
+
+test("事件效果復原時事件維持待決", async () => {
+  const game = new HeadlessGame({ seed: 42 });
+  try {
+    await game.initialize();
+
+    const eventSystem = game.eventSystem;
+    const event = {
+      id: "rollback_pending_test",
+      title: "待決測試",
+      choices: [{ id: "fail", text: "失敗", effects: [{ type: "failForTest" }] }],
+    };
+    const findEventById = eventSystem.findEventById.bind(eventSystem);
+    eventSystem.findEventById = (id) =>
+      id === event.id ? event : findEventById(id);
+    eventSystem.effectExecutors.set("failForTest", () => {
+      throw new Error("測試用失敗");
+    });
+    eventSystem.activeEvents.set(event.id, {
+      eventId: event.id,
+      choiceIds: ["fail"],
+      day: game.gameState.day,
+    });
+
+    eventSystem.executeEvent(event.id, "fail");
+
+    assert.ok(eventSystem.activeEvents.has(event.id));
+    assert.equal(eventSystem.getPendingEvents()[0]?.event, event);
+  } finally {
+    game.shutdown();
+  }
+});